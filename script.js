@@ -1,62 +1,744 @@
+import {
+    MAX_BATCH_UPDATES,
+    addDays, adherenceStats, applyBatchToMonth, applyDoseWrite, asNeededLimits, courseEndDate, defaultDoseTimes,
+    diffMedications, fieldError, groupBatchUpdates, isActiveOn, isScheduledOn, isValidDate, monthsInRange,
+    profileIdFromName, purgeMedication, readStatsQuery, summarizeDays, taperPhaseOn, taperPhases, timesPerDayOn,
+    validateBatch, validateDoseUpdate, validateMedicationList, validateProfileFields, withArchived,
+    withStartDates, withoutEveryOtherDay,
+} from './shared/medications.js';
+
 // API Configuration
+// Default server for Cloud sync; it can be changed in the app's storage settings.
 // For local development, use: 'http://localhost:8787'
 // For production, use your deployed Worker URL
-const API_BASE_URL = 'https://medication-tracker-api.seonkim1003.workers.dev';
-
-// Available users
-const USERS = ['Seonho', 'Peter', 'Angelina'];
-
-// Get user ID from localStorage or default to first user
+const DEFAULT_API_BASE_URL = 'https://medication-tracker-api.seonkim1003.workers.dev';
+
+// IndexedDB database used by the Local only storage mode
+const LOCAL_DB_NAME = 'medication-tracker';
+const LOCAL_DB_VERSION = 1;
+
+// Longest course the Add Medication form accepts, in days or doses
+const MAX_COURSE_LENGTH = 999;
+
+// Months of entries to keep loaded on either side of the visible month
+const ENTRY_BUFFER_MONTHS = 1;
+
+// How many times a write is re-applied after another device changed the same data
+const MAX_CONFLICT_RETRIES = 3;
+
+// Avatar colors handed out to new profiles in turn
+const PROFILE_COLORS = ['#667eea', '#28a745', '#fd7e14', '#e83e8c', '#17a2b8', '#6f42c1'];
+
+// Reminder choices (minutes before each dose) for the calendar feed
+const CALENDAR_ALARMS = [
+    { value: '', label: 'No reminders' },
+    { value: '0', label: 'At dose time' },
+    { value: '5', label: '5 minutes before' },
+    { value: '15', label: '15 minutes before' },
+    { value: '30', label: '30 minutes before' },
+];
+
+const WEBHOOK_EVENT_LABELS = {
+    'dose.missed': 'Dose missed',
+    'dose.late': 'Dose taken late',
+    'medication.added': 'Medication added',
+    'medication.removed': 'Medication removed',
+    'webhook.test': 'Test',
+};
+
+// Fields a CSV column can be mapped to in the import wizard
+const IMPORT_FIELD_LABELS = {
+    date: 'Date',
+    medication: 'Medication name',
+    medicationId: 'Medication ID',
+    dose: 'Dose number (1, 2, …)',
+    doseIndex: 'Dose index (0, 1, …)',
+    taken: 'Taken / status',
+    time: 'Time',
+    notes: 'Notes',
+};
+
+// Get the selected profile ID from localStorage (null until a profile is chosen)
 function getUserId() {
     const currentUser = localStorage.getItem('currentUser');
-    if (currentUser && USERS.includes(currentUser)) {
-        return currentUser.toLowerCase();
+    // Older versions stored the display name ("Seonho") rather than the ID ("seonho")
+    return currentUser ? currentUser.toLowerCase() : null;
+}
+
+// Share links open the app as `?share=<token>`, read-only
+function getShareToken() {
+    return new URLSearchParams(window.location.search).get('share');
+}
+
+function setUserId(userId) {
+    if (userId) {
+        localStorage.setItem('currentUser', userId);
+    } else {
+        localStorage.removeItem('currentUser');
     }
-    // Default to first user if none selected
-    const defaultUser = USERS[0];
-    localStorage.setItem('currentUser', defaultUser);
-    return defaultUser.toLowerCase();
 }
 
-// Get current user name
-function getCurrentUser() {
-    const currentUser = localStorage.getItem('currentUser');
-    return currentUser || USERS[0]; // Default to first user
+// Session tokens are kept per profile so switching back doesn't require logging in again
+function getSessionTokens() {
+    try {
+        return JSON.parse(localStorage.getItem('sessionTokens')) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+function getSessionToken(userId) {
+    return getSessionTokens()[userId] || null;
+}
+
+function setSessionToken(userId, token) {
+    const tokens = getSessionTokens();
+    if (token) {
+        tokens[userId] = token;
+    } else {
+        delete tokens[userId];
+    }
+    localStorage.setItem('sessionTokens', JSON.stringify(tokens));
+}
+
+// Where data is kept: 'cloud' (the Worker at the server URL, shared by every
+// device that logs in) or 'local' (IndexedDB in this browser only)
+function getStorageMode() {
+    return localStorage.getItem('storageMode') === 'local' ? 'local' : 'cloud';
+}
+
+function getServerUrl() {
+    return localStorage.getItem('serverUrl') || DEFAULT_API_BASE_URL;
+}
+
+function saveStorageSettings(mode, serverUrl) {
+    localStorage.setItem('storageMode', mode);
+    if (serverUrl && serverUrl !== DEFAULT_API_BASE_URL) {
+        localStorage.setItem('serverUrl', serverUrl);
+    } else {
+        localStorage.removeItem('serverUrl');
+    }
+}
+
+// "max 4 in 24h" and "at least 4h apart" for an as-needed medication's limits
+function describeAsNeededLimits(med) {
+    const limits = [];
+    if (med.maxPer24h) {
+        limits.push(`max ${med.maxPer24h} in 24h`);
+    }
+    if (med.minIntervalMinutes) {
+        limits.push(`at least ${formatMinutes(med.minIntervalMinutes)} apart`);
+    }
+    return limits;
+}
+
+// 90 -> "1h30m", 240 -> "4h", 45 -> "45m"
+function formatMinutes(total) {
+    const hours = Math.floor(total / 60);
+    const minutes = total % 60;
+    return `${hours ? `${hours}h` : ''}${minutes ? `${minutes}m` : ''}`;
+}
+
+// 1 -> "1st", 22 -> "22nd", 13 -> "13th"
+function ordinal(n) {
+    const suffixes = { one: 'st', two: 'nd', few: 'rd', other: 'th' };
+    return `${n}${suffixes[new Intl.PluralRules('en-US', { type: 'ordinal' }).select(n)]}`;
+}
+
+// Today's date (YYYY-MM-DD) in the browser's timezone
+function localDateKey(date = new Date()) {
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 10);
+}
+
+function sameDose(a, b) {
+    if (!a || !b) return !a && !b;
+    return a.taken === b.taken && a.timestamp === b.timestamp;
+}
+
+function describeDose(dose) {
+    if (!dose) return 'cleared';
+    const status = dose.taken ? 'marked taken' : 'marked missed';
+    return dose.timestamp ? `${status} at ${new Date(dose.timestamp).toLocaleString()}` : status;
+}
+
+function isConflict(error) {
+    return error.code === 'conflict' && error.body.current;
+}
+
+// Short label for the device a change came from, from its user agent
+function describeDevice(userAgent) {
+    if (!userAgent) return 'unknown device';
+    const platforms = [
+        ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'],
+        ['Windows', 'Windows'], ['Mac OS', 'Mac'], ['CrOS', 'Chromebook'], ['Linux', 'Linux'],
+    ];
+    const browsers = [['Edg/', 'Edge'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']];
+    const platform = platforms.find(([token]) => userAgent.includes(token));
+    const browser = browsers.find(([token]) => userAgent.includes(token));
+    if (!platform && !browser) return userAgent.slice(0, 40);
+    return [browser && browser[1], platform && `on ${platform[1]}`].filter(Boolean).join(' ');
+}
+
+function describeHistoryEvent(event) {
+    const sources = { batch: ' (bulk action)', system: ' automatically, after the dose time passed' };
+    const bulk = sources[event.source] || '';
+    switch (event.action) {
+        case 'set':
+            return `${describeDose(event.value)}${bulk}`;
+        case 'timestamp':
+            return `time changed from ${describeDose(event.previous)} to ${describeDose(event.value)}${bulk}`;
+        case 'clear':
+            return `cleared, was ${describeDose(event.previous)}${bulk}`;
+        default:
+            return event.action;
+    }
+}
+
+// Turn a 422 response into one readable line per rejected field
+function formatValidationErrors(error) {
+    const errors = (error.body && error.body.errors) || [];
+    if (errors.length === 0) return error.message;
+    return errors.map(e => `${e.field} ${e.message}`).join('\n');
+}
+
+// Sends API requests to the Worker at `baseURL`
+class CloudBackend {
+    constructor(baseURL) {
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.local = false;
+    }
+
+    async fetch(endpoint, config) {
+        return fetch(`${this.baseURL}${endpoint}`, config);
+    }
+}
+
+// Worker routes the local backend answers, with the Worker's request and
+// response shapes. `handler` names a LocalBackend method.
+const LOCAL_ROUTES = [
+    { method: 'GET', path: '/profiles', handler: 'handleListProfiles' },
+    { method: 'POST', path: '/profiles', handler: 'handleCreateProfile' },
+    { method: 'PUT', path: '/profiles/:id', handler: 'handleUpdateProfile' },
+    { method: 'DELETE', path: '/profiles/:id', handler: 'handleDeleteProfile' },
+    { method: 'GET', path: '/data', handler: 'handleGetData' },
+    { method: 'POST', path: '/medications', handler: 'handleSaveMedications' },
+    { method: 'DELETE', path: '/medication/:id', handler: 'handleDeleteMedication' },
+    { method: 'POST', path: '/medication/:id/archive', handler: 'handleArchiveMedication' },
+    { method: 'POST', path: '/medication/:id/restore', handler: 'handleRestoreMedication' },
+    { method: 'POST', path: '/entry', handler: 'handleSetEntry' },
+    { method: 'PUT', path: '/entry', handler: 'handleUpdateEntryTimestamp' },
+    { method: 'DELETE', path: '/entries/:date/:medicationId/:doseIndex', handler: 'handleClearEntry' },
+    { method: 'POST', path: '/entries/batch', handler: 'handleEntryBatch' },
+    { method: 'GET', path: '/history', handler: 'handleGetHistory' },
+    { method: 'GET', path: '/stats', handler: 'handleGetStats' },
+].map(route => {
+    const params = [];
+    const pattern = route.path.replace(/:(\w+)/g, (_, name) => {
+        params.push(name);
+        return '([^/]+)';
+    });
+    return { ...route, params, pattern: new RegExp(`^${pattern}$`) };
+});
+
+// Answers the same /api/v1 requests as the Worker from IndexedDB, so the app
+// works in this browser without a server. Records use the Worker's KV keys
+// and shapes (a versioned medication list and month documents of
+// { days, versions } per profile), which keeps copying them to the cloud
+// simple. Features that need a server (passcodes, import, export, calendar
+// feeds, share links and webhooks) answer with a `cloud_only` error.
+class LocalBackend {
+    constructor() {
+        this.local = true;
+        this.database = null;
+    }
+
+    async fetch(endpoint, config, userId) {
+        const url = new URL(endpoint, window.location.href);
+        const path = url.pathname.replace(/^\/api\/v1/, '');
+        const method = config.method || 'GET';
+        const route = LOCAL_ROUTES.find(r => r.method === method && r.pattern.test(path));
+        if (!route) {
+            return this.errorResponse('This feature needs Cloud sync', 501, 'cloud_only');
+        }
+
+        const match = path.match(route.pattern);
+        const params = {};
+        route.params.forEach((name, index) => {
+            params[name] = decodeURIComponent(match[index + 1]);
+        });
+        const ifMatch = (config.headers || {})['If-Match'];
+        let body = {};
+        try {
+            body = config.body ? JSON.parse(config.body) : {};
+        } catch (error) {
+            return this.errorResponse('Request body must be valid JSON', 400, 'bad_request');
+        }
+        if (!body || typeof body !== 'object' || Array.isArray(body)) {
+            return this.errorResponse('Request body must be a JSON object', 400, 'bad_request');
+        }
+
+        try {
+            return await this[route.handler]({
+                url,
+                params,
+                userId,
+                body,
+                expected: ifMatch ? parseInt(ifMatch.replace(/"/g, ''), 10) : null,
+                actor: { userId, session: 'local', device: navigator.userAgent },
+            });
+        } catch (error) {
+            console.error('Local storage failed:', error);
+            return this.errorResponse('Could not read or write data in this browser', 500, 'internal_error');
+        }
+    }
+
+    jsonResponse(data, status = 200) {
+        return new Response(JSON.stringify(data), {
+            status,
+            headers: { 'Content-Type': 'application/json' },
+        });
+    }
+
+    errorResponse(message, status, code) {
+        return this.jsonResponse({ error: message, code }, status);
+    }
+
+    validationResponse(errors) {
+        return this.jsonResponse({ error: 'Validation failed', code: 'validation_failed', errors }, 422);
+    }
+
+    conflictResponse(current) {
+        return this.jsonResponse({
+            error: 'This data was changed on another device',
+            code: 'conflict',
+            conflict: true,
+            current,
+        }, 409);
+    }
+
+    openDatabase() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = indexedDB.open(LOCAL_DB_NAME, LOCAL_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('records');
+                    request.result.createObjectStore('history', { keyPath: ['userId', 'scope', 'id'] });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    // Run one request against an object store, resolving with its result
+    // once the transaction has committed
+    async run(storeName, mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(key) {
+        return this.run('records', 'readonly', store => store.get(key));
+    }
+
+    put(key, value) {
+        return this.run('records', 'readwrite', store => store.put(value, key));
+    }
+
+    listKeys(prefix) {
+        return this.run('records', 'readonly', store => store.getAllKeys(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+    }
+
+    async getProfiles() {
+        return (await this.get('profiles')) || [];
+    }
+
+    async getMedications(userId) {
+        const current = (await this.get(`user:${userId}:medications`)) || { medications: [], version: 0 };
+        // In memory only, like the Worker: the next change to the list stores it
+        return { ...current, medications: withoutEveryOtherDay(current.medications, localDateKey()) };
+    }
+
+    async saveMedications(userId, medications, version) {
+        await this.put(`user:${userId}:medications`, { medications, version });
+    }
+
+    async getMonth(userId, month) {
+        return (await this.get(`user:${userId}:months:${month}`)) || { days: {}, versions: {} };
+    }
+
+    async saveMonth(userId, month, doc) {
+        await this.put(`user:${userId}:months:${month}`, doc);
+    }
+
+    async getEntries(userId, from, to) {
+        const prefix = `user:${userId}:months:`;
+        const months = from
+            ? monthsInRange(from, to)
+            : (await this.listKeys(prefix)).map(key => key.slice(prefix.length));
+
+        const entries = {};
+        const versions = {};
+        const inRange = date => !from || (date >= from && date <= to);
+        for (const month of months) {
+            const doc = await this.getMonth(userId, month);
+            for (const [date, dayEntries] of Object.entries(doc.days)) {
+                if (inRange(date)) entries[date] = dayEntries;
+            }
+            for (const [date, version] of Object.entries(doc.versions)) {
+                if (inRange(date)) versions[date] = version;
+            }
+        }
+        return { entries, versions };
+    }
+
+    async addHistory(userId, scope, actor, events) {
+        const at = new Date().toISOString();
+        const requestId = Math.random().toString(36).slice(2, 10);
+        const db = await this.openDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('history', 'readwrite');
+            const store = transaction.objectStore('history');
+            events.forEach((event, index) => {
+                store.put({
+                    userId,
+                    scope,
+                    id: `${at}:${requestId}:${String(index).padStart(3, '0')}`,
+                    event: { at, ...actor, ...event },
+                });
+            });
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async replaceMedications(userId, actor, current, medications) {
+        const version = current.version + 1;
+        await this.saveMedications(userId, medications, version);
+        await this.addHistory(userId, 'medications', actor,
+            diffMedications(current.medications, medications).map(event => ({ ...event, version })));
+        return this.jsonResponse({ success: true, medications, version });
+    }
+
+    // Write one dose of a day (If-Match: day version), like POST/PUT /entry
+    // and DELETE /entries/:date/:medicationId/:doseIndex
+    async writeEntry({ userId, expected, actor }, update) {
+        const { medications } = await this.getMedications(userId);
+        const errors = validateDoseUpdate(update, medications, update.action);
+        if (errors.length > 0) {
+            return this.validationResponse(errors);
+        }
+        const month = update.date.slice(0, 7);
+        const doc = await this.getMonth(userId, month);
+        const written = applyDoseWrite(doc, update, expected);
+        if (written.conflict) {
+            return this.conflictResponse({ version: written.version, entries: written.entries });
+        }
+        if (written.error) {
+            return this.errorResponse(written.error, 404, written.code);
+        }
+        if (!written.event) {
+            return this.jsonResponse({ success: true, entries: written.entries, version: written.version });
+        }
+
+        await this.saveMonth(userId, month, doc);
+        await this.addHistory(userId, `entries:${update.date}`, actor, [written.event]);
+        const { entries, version } = written;
+        return this.jsonResponse({ success: true, entry: entries[update.medicationId], entries, version });
+    }
+
+    // GET /profiles
+    async handleListProfiles() {
+        return this.jsonResponse({ profiles: await this.getProfiles() });
+    }
+
+    // POST /profiles - { name, color }
+    async handleCreateProfile({ body }) {
+        const error = validateProfileFields({ name: body.name, color: body.color });
+        if (error || body.name === undefined) {
+            return this.errorResponse(error || 'name is required', 400, 'bad_request');
+        }
+
+        const profiles = await this.getProfiles();
+        const name = body.name.trim();
+        // Same IDs as the Worker would pick, so profiles keep them in the cloud
+        const id = profileIdFromName(name, profiles);
+        const profile = { id, name, color: body.color || PROFILE_COLORS[0], createdAt: new Date().toISOString() };
+        await this.put('profiles', [...profiles, profile]);
+        return this.jsonResponse({ success: true, profile }, 201);
+    }
+
+    // PUT /profiles/:id - { name, color, timezone }
+    async handleUpdateProfile({ params, body }) {
+        const profiles = await this.getProfiles();
+        const profile = profiles.find(p => p.id === params.id);
+        if (!profile) {
+            return this.errorResponse('Profile not found', 404, 'profile_not_found');
+        }
+        const error = validateProfileFields({ name: body.name, color: body.color, timezone: body.timezone });
+        if (error) {
+            return this.errorResponse(error, 400, 'bad_request');
+        }
+
+        if (body.name !== undefined) profile.name = body.name.trim();
+        if (body.color !== undefined) profile.color = body.color;
+        if (body.timezone !== undefined) profile.timezone = body.timezone;
+        await this.put('profiles', profiles);
+        return this.jsonResponse({ success: true, profile });
+    }
+
+    // DELETE /profiles/:id - The profile and all of its data
+    async handleDeleteProfile({ params }) {
+        const profiles = await this.getProfiles();
+        if (!profiles.some(p => p.id === params.id)) {
+            return this.errorResponse('Profile not found', 404, 'profile_not_found');
+        }
+        const prefix = `user:${params.id}:`;
+        await this.run('records', 'readwrite', store => store.delete(IDBKeyRange.bound(prefix, `${prefix}\uffff`)));
+        await this.run('history', 'readwrite', store => store.delete(IDBKeyRange.bound([params.id], [params.id, []])));
+        await this.put('profiles', profiles.filter(p => p.id !== params.id));
+        return this.jsonResponse({ success: true });
+    }
+
+    // GET /data?from=&to=
+    async handleGetData({ url, userId }) {
+        const from = url.searchParams.get('from');
+        const to = url.searchParams.get('to');
+        const { medications, version } = await this.getMedications(userId);
+        const { entries, versions } = await this.getEntries(userId, from, to);
+        return this.jsonResponse({
+            medications,
+            entries,
+            versions: { medications: version, entries: versions },
+            ...(from ? { range: { from, to } } : {}),
+        });
+    }
+
+    // POST /medications - { medications } (If-Match: medications version)
+    async handleSaveMedications({ body, userId, expected, actor }) {
+        const errors = validateMedicationList(body.medications);
+        if (errors.length > 0) {
+            return this.validationResponse(errors);
+        }
+        const current = await this.getMedications(userId);
+        if (expected !== null && expected !== current.version) {
+            return this.conflictResponse(current);
+        }
+        const today = localDateKey();
+        return this.replaceMedications(userId, actor, current,
+            withStartDates(current.medications, withoutEveryOtherDay(body.medications, today), today));
+    }
+
+    // POST /medication/:id/archive - { stopDate }
+    async handleArchiveMedication(context) {
+        return this.updateArchived(context, true);
+    }
+
+    // POST /medication/:id/restore
+    async handleRestoreMedication(context) {
+        return this.updateArchived(context, false);
+    }
+
+    async updateArchived({ params, body, userId, actor }, archive) {
+        const current = await this.getMedications(userId);
+        if (!current.medications.some(m => m.id === params.id)) {
+            return this.errorResponse('Medication not found', 404, 'medication_not_found');
+        }
+        const stopDate = archive ? (body.stopDate || localDateKey()) : null;
+        if (archive && !isValidDate(stopDate)) {
+            return this.validationResponse([fieldError('stopDate', 'must be a valid date in YYYY-MM-DD format')]);
+        }
+        return this.replaceMedications(userId, actor, current, withArchived(current.medications, params.id, stopDate));
+    }
+
+    // DELETE /medication/:id - The medication and its recorded doses
+    async handleDeleteMedication({ params, userId, actor }) {
+        const current = await this.getMedications(userId);
+        if (!current.medications.some(m => m.id === params.id)) {
+            return this.errorResponse('Medication not found', 404, 'medication_not_found');
+        }
+        const medications = current.medications.filter(m => m.id !== params.id);
+        const version = current.version + 1;
+        await this.saveMedications(userId, medications, version);
+        await this.addHistory(userId, 'medications', actor,
+            diffMedications(current.medications, medications).map(event => ({ ...event, version })));
+
+        let purgedDays = 0;
+        const prefix = `user:${userId}:months:`;
+        for (const key of await this.listKeys(prefix)) {
+            const month = key.slice(prefix.length);
+            const doc = await this.getMonth(userId, month);
+            const days = purgeMedication(doc, params.id);
+            if (days > 0) {
+                await this.saveMonth(userId, month, doc);
+                purgedDays += days;
+            }
+        }
+        return this.jsonResponse({ success: true, medications, version, purgedDays });
+    }
+
+    // POST /entry - { date, medicationId, taken, timestamp, doseIndex }
+    async handleSetEntry(context) {
+        return this.writeEntry(context, { ...context.body, action: 'set' });
+    }
+
+    // PUT /entry - { date, medicationId, timestamp, doseIndex }
+    async handleUpdateEntryTimestamp(context) {
+        return this.writeEntry(context, { ...context.body, action: 'timestamp' });
+    }
+
+    // DELETE /entries/:date/:medicationId/:doseIndex
+    async handleClearEntry(context) {
+        const { date, medicationId, doseIndex } = context.params;
+        return this.writeEntry(context, { date, medicationId, doseIndex: Number(doseIndex), action: 'clear' });
+    }
+
+    // POST /entries/batch - { updates, versions }, all-or-nothing per day.
+    // Invalid updates fail their whole day, as they do in the Worker.
+    async handleEntryBatch({ body, userId, actor }) {
+        const errors = validateBatch(body);
+        if (errors.length > 0) {
+            return this.validationResponse(errors);
+        }
+
+        const { updates, versions = {} } = body;
+        const { medications } = await this.getMedications(userId);
+        const { results, byMonth } = groupBatchUpdates(updates, medications);
+        const days = {};
+        for (const [month, byDate] of byMonth) {
+            const doc = await this.getMonth(userId, month);
+            const applied = applyBatchToMonth(doc, byDate, updates, versions, results);
+            Object.assign(days, applied.days);
+            if (applied.history.length === 0) continue;
+            await this.saveMonth(userId, month, doc);
+            for (const [date, events] of applied.history) {
+                await this.addHistory(userId, `entries:${date}`, actor, events);
+            }
+        }
+
+        return this.jsonResponse({ success: results.every(result => result.ok), results, days });
+    }
+
+    // GET /history?date=&medicationId=&doseIndex=&limit=&cursor=
+    async handleGetHistory({ url, userId }) {
+        const date = url.searchParams.get('date');
+        const medicationId = url.searchParams.get('medicationId');
+        const doseIndex = url.searchParams.get('doseIndex');
+        const limit = Number(url.searchParams.get('limit') || 100);
+        const cursor = url.searchParams.get('cursor');
+        const scope = date ? `entries:${date}` : 'medications';
+        // Events before the cursor's, which is excluded
+        const records = await this.run('history', 'readonly', store =>
+            store.getAll(IDBKeyRange.bound([userId, scope], [userId, scope, cursor === null ? [] : cursor], false, cursor !== null)));
+
+        // Newest first to pick the page, then returned oldest first like the Worker
+        const matching = records.filter(({ event }) =>
+            (!medicationId || event.medicationId === medicationId) &&
+            (doseIndex === null || event.doseIndex === Number(doseIndex))).reverse();
+        const page = matching.slice(0, limit);
+        return this.jsonResponse({
+            history: page.map(record => record.event).reverse(),
+            cursor: matching.length > limit ? page[page.length - 1].id : null,
+        });
+    }
+
+    // GET /stats?from=&to=&today=&groupBy=&medicationId= - The same counts and
+    // percentages as the Worker's /stats
+    async handleGetStats({ url, userId }) {
+        const query = readStatsQuery(url.searchParams, localDateKey());
+        if (query.error) {
+            return this.errorResponse(query.error, 400, 'bad_request');
+        }
+        const { from, to, today, groupBy } = query;
+
+        const { medications } = await this.getMedications(userId);
+        const { entries } = await this.getEntries(userId, from, to);
+        const stats = adherenceStats(medications, summarizeDays(entries), query);
+        return this.jsonResponse({ range: { from, to }, today, groupBy: groupBy || null, ...stats });
+    }
+}
+
+// Backend chosen in the storage settings. Share links always use the cloud,
+// where they were created.
+function createBackend() {
+    if (getStorageMode() === 'local' && !getShareToken()) {
+        return new LocalBackend();
+    }
+    return new CloudBackend(getServerUrl());
 }
 
 // API Client
 class APIClient {
-    constructor(baseURL) {
-        this.baseURL = baseURL;
+    // `backend` is a CloudBackend or a LocalBackend
+    constructor(backend) {
+        this.backend = backend;
+        this.shareToken = getShareToken();
         this.updateUserId();
     }
 
     updateUserId() {
         this.userId = getUserId();
+        this.token = getSessionToken(this.userId);
+        // Versions of the documents this client last saw, sent as If-Match
+        this.medicationsVersion = 0;
+        this.medicationsBase = [];
+        this.entryVersions = {};
+    }
+
+    // Asks the user how to resolve a conflicting edit. Resolves to true to keep
+    // this device's change.
+    async resolveConflict(message) {
+        return confirm(message);
     }
 
+    // Pass `raw: true` to get the Response back instead of parsed JSON
     async request(endpoint, options = {}) {
-        const url = `${this.baseURL}${endpoint}`;
+        const { raw, ...fetchOptions } = options;
         const config = {
-            ...options,
+            ...fetchOptions,
             headers: {
                 'Content-Type': 'application/json',
-                'X-User-ID': this.userId,
+                ...(this.shareToken ? { 'X-Share-Token': this.shareToken } : {}),
+                ...(this.token && !this.shareToken ? { 'Authorization': `Bearer ${this.token}` } : {}),
                 ...options.headers,
             },
         };
 
         try {
-            const response = await fetch(url, config);
+            const response = await this.backend.fetch(endpoint, config, this.userId);
             if (!response.ok) {
-                throw new Error(`API error: ${response.status}`);
+                const body = await response.json().catch(() => ({}));
+                const apiError = new Error(body.error || `API error: ${response.status}`);
+                apiError.status = response.status;
+                // Stable machine-readable reason, e.g. 'validation_failed' or 'share_expired'
+                apiError.code = body.code;
+                apiError.body = body;
+
+                // Session missing, expired or revoked: forget it and ask the user to log in
+                if (response.status === 401 && !endpoint.startsWith('/api/v1/auth/')) {
+                    if (!this.shareToken) {
+                        setSessionToken(this.userId, null);
+                        this.token = null;
+                    }
+                    if (this.onUnauthorized) {
+                        this.onUnauthorized();
+                    }
+                }
+                throw apiError;
             }
-            return await response.json();
+            return raw ? response : await response.json();
         } catch (error) {
             console.error('API request failed:', error);
             // Provide more helpful error message
-            if (error.message.includes('Failed to fetch') || error.name === 'TypeError') {
-                const helpfulError = new Error('Cannot connect to API. Make sure the Worker is running. For local development, run: npm run worker:dev');
+            if (!this.backend.local && (error.message.includes('Failed to fetch') || error.name === 'TypeError')) {
+                const helpfulError = new Error(`Cannot connect to API at ${this.backend.baseURL}. Make sure the Worker is running and the server URL in Settings is right. For local development, run: npm run worker:dev`);
                 helpfulError.originalError = error;
                 throw helpfulError;
             }
@@ -64,349 +746,2166 @@ class APIClient {
         }
     }
 
-    async getData() {
-        return this.request('/api/data');
+    async login(userId, passcode) {
+        return this.authenticate('/api/v1/auth/login', userId, passcode);
     }
 
-    async saveMedications(medications) {
-        return this.request('/api/medications', {
-            method: 'POST',
-            body: JSON.stringify({ medications }),
-        });
+    // Only profiles from before passcodes existed lack one. Once another
+    // profile has a passcode the server wants a session for one of them, so
+    // send any session this device has.
+    async setupPasscode(userId, passcode) {
+        const memberToken = Object.values(getSessionTokens())[0];
+        return this.authenticate('/api/v1/auth/setup', userId, passcode, memberToken);
     }
 
-    async saveEntry(date, medicationId, taken, timestamp, doseIndex = 0) {
-        return this.request('/api/entry', {
+    async authenticate(endpoint, userId, passcode, token = null) {
+        const session = await this.request(endpoint, {
             method: 'POST',
-            body: JSON.stringify({ date, medicationId, taken, timestamp, doseIndex }),
+            body: JSON.stringify({ userId, passcode }),
+            ...(token ? { headers: { 'Authorization': `Bearer ${token}` } } : {}),
         });
+        setSessionToken(session.userId, session.token);
+        if (session.userId === this.userId) {
+            this.token = session.token;
+        }
+        return session;
     }
 
-    async updateEntryTimestamp(date, medicationId, timestamp, doseIndex = 0) {
-        return this.request('/api/entry', {
-            method: 'PUT',
-            body: JSON.stringify({ date, medicationId, timestamp, doseIndex }),
+    async logout() {
+        try {
+            await this.request('/api/v1/auth/logout', { method: 'POST' });
+        } finally {
+            setSessionToken(this.userId, null);
+            this.token = null;
+        }
+    }
+
+    // Local only mode has no passcodes
+    isAuthenticated() {
+        return this.backend.local || Boolean(this.token);
+    }
+
+    async getProfiles() {
+        return this.request('/api/v1/profiles');
+    }
+
+    // `passcode` is required by the server and ignored in Local only mode.
+    // The server logs the new profile in straight away.
+    async createProfile(name, color, passcode) {
+        const result = await this.request('/api/v1/profiles', {
+            method: 'POST',
+            body: JSON.stringify({ name, color, passcode }),
         });
+        if (result.session) {
+            setSessionToken(result.profile.id, result.session.token);
+        }
+        return result;
     }
 
-    async deleteMedication(medicationId) {
-        return this.request(`/api/medication/${medicationId}`, {
-            method: 'DELETE',
+    async updateProfile(profileId, changes) {
+        return this.request(`/api/v1/profiles/${profileId}`, {
+            method: 'PUT',
+            body: JSON.stringify(changes),
         });
     }
 
-    async deleteEntry(date, medicationId, doseIndex) {
-        return this.request('/api/entry', {
+    async deleteProfile(profileId) {
+        return this.request(`/api/v1/profiles/${profileId}`, {
             method: 'DELETE',
-            body: JSON.stringify({ date, medicationId, doseIndex }),
         });
     }
-}
 
-// Calendar Application
-class MedicationTracker {
-    constructor() {
-        this.api = new APIClient(API_BASE_URL);
-        this.currentDate = new Date();
-        this.medications = [];
-        this.entries = {};
-        this.selectedDate = null;
-        this.init();
+    async getData(from, to) {
+        const query = from && to ? `?from=${from}&to=${to}` : '';
+        const data = await this.request(`/api/v1/data${query}`);
+        if (data.versions) {
+            this.medicationsVersion = data.versions.medications || 0;
+            Object.assign(this.entryVersions, data.versions.entries || {});
+        }
+        this.medicationsBase = JSON.parse(JSON.stringify(data.medications || []));
+        return data;
     }
 
-    switchProfile(user) {
-        if (!USERS.includes(user)) {
-            console.error('Invalid user selected');
-            return;
-        }
-        
-        localStorage.setItem('currentUser', user);
-        this.api.updateUserId();
-        
-        // Reload data for the new profile
-        this.loadData().then(() => {
-            this.renderCalendar();
-            // If on data tab, refresh it too
-            if (document.getElementById('dataTab') && document.getElementById('dataTab').classList.contains('active')) {
-                this.renderDataView();
+    // Save the medication list. If another device saved it first, merge the
+    // two lists against the version we started from and try again.
+    async saveMedications(medications) {
+        let local = medications;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.request('/api/v1/medications', {
+                    method: 'POST',
+                    headers: { 'If-Match': `"${this.medicationsVersion}"` },
+                    body: JSON.stringify({ medications: local }),
+                });
+                this.medicationsVersion = result.version;
+                this.medicationsBase = JSON.parse(JSON.stringify(result.medications));
+                return result;
+            } catch (error) {
+                if (!isConflict(error) || attempt >= MAX_CONFLICT_RETRIES) throw error;
+                const current = error.body.current;
+                local = await this.mergeMedications(this.medicationsBase, local, current.medications);
+                this.medicationsVersion = current.version;
+                this.medicationsBase = JSON.parse(JSON.stringify(current.medications));
             }
-        });
+        }
     }
 
-    async init() {
-        // Ensure API client has the correct user ID
-        this.api.updateUserId();
-        await this.loadData();
-        this.renderCalendar();
-        this.attachEventListeners();
-        this.setupProfileSelector();
-    }
+    // Three-way merge of medication lists by ID. Changes made on only one side
+    // are kept; the user is asked about medications changed on both.
+    async mergeMedications(base, local, remote) {
+        const byId = list => new Map(list.map(med => [med.id, med]));
+        const baseById = byId(base);
+        const localById = byId(local);
+        const remoteById = byId(remote);
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        const merged = [];
+        const ids = [...remote.map(med => med.id), ...local.map(med => med.id).filter(id => !remoteById.has(id))];
+
+        for (const id of ids) {
+            const baseMed = baseById.get(id);
+            const localMed = localById.get(id);
+            const remoteMed = remoteById.get(id);
+
+            if (!baseMed) {
+                // Added on one side only
+                merged.push(localMed || remoteMed);
+                continue;
+            }
 
-    setupProfileSelector() {
-        const profileSelect = document.getElementById('profileSelect');
-        if (!profileSelect) return;
+            if (!remoteMed) {
+                // Deleted on the other device; keep it only if we changed it since
+                if (!same(localMed, baseMed) && await this.resolveConflict(
+                    `"${localMed.name}" was deleted on another device, but you changed it. Keep your version?`
+                )) {
+                    merged.push(localMed);
+                }
+                continue;
+            }
 
-        // Set current selection
-        const currentUser = getCurrentUser().toLowerCase();
-        profileSelect.value = currentUser;
+            if (!localMed) {
+                // Deleted here; keep it only if the other device changed it since
+                if (!same(remoteMed, baseMed) && await this.resolveConflict(
+                    `"${remoteMed.name}" was changed on another device after you deleted it. Keep it?`
+                )) {
+                    merged.push(remoteMed);
+                }
+                continue;
+            }
 
-        // Listen for profile changes
-        profileSelect.addEventListener('change', (e) => {
-            const selectedProfile = e.target.value;
-            // Convert back to capitalized name
-            const userMap = {
-                'seonho': 'Seonho',
-                'peter': 'Peter',
-                'angelina': 'Angelina'
-            };
-            const user = userMap[selectedProfile];
-            if (user) {
-                this.switchProfile(user);
+            if (same(localMed, remoteMed) || same(localMed, baseMed)) {
+                merged.push(remoteMed);
+            } else if (same(remoteMed, baseMed)) {
+                merged.push(localMed);
+            } else {
+                const keepMine = await this.resolveConflict(
+                    `"${localMed.name}" was also changed on another device. Keep your version?`
+                );
+                merged.push(keepMine ? localMed : remoteMed);
             }
-        });
+        }
+
+        return merged;
     }
 
-    async loadData() {
-        try {
-            const data = await this.api.getData();
-            this.medications = data.medications || [];
-            this.entries = data.entries || {};
-        } catch (error) {
-            console.error('Failed to load data:', error);
-            // Use empty data if API fails
-            this.medications = [];
-            this.entries = {};
+    // Write one dose of a day's entries. If another device changed that day
+    // first, re-apply on top of its version. The user is only asked when the
+    // other device changed this same dose to something we hadn't seen.
+    async writeDose(date, medicationId, doseIndex, expectedDose, send) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await send(this.entryVersions[date] || 0);
+                this.entryVersions[date] = result.version;
+                return result;
+            } catch (error) {
+                if (!isConflict(error) || attempt >= MAX_CONFLICT_RETRIES) throw error;
+
+                const current = error.body.current;
+                this.entryVersions[date] = current.version;
+
+                const medEntry = current.entries[medicationId];
+                const serverDose = (medEntry && medEntry.doses && medEntry.doses[doseIndex]) || null;
+                if (!sameDose(serverDose, expectedDose)) {
+                    const keepMine = await this.resolveConflict(
+                        `This dose was ${describeDose(serverDose)} on another device. Replace it with your change?`
+                    );
+                    if (!keepMine) {
+                        const cancelled = new Error('Change discarded in favor of the other device');
+                        cancelled.cancelled = true;
+                        cancelled.current = current;
+                        throw cancelled;
+                    }
+                }
+            }
         }
     }
 
-    attachEventListeners() {
-        // Calendar navigation
-        document.getElementById('prevMonth').addEventListener('click', () => {
-            this.currentDate.setMonth(this.currentDate.getMonth() - 1);
-            this.renderCalendar();
+    async saveEntry(date, medicationId, taken, timestamp, doseIndex = 0, expectedDose = null) {
+        return this.writeDose(date, medicationId, doseIndex, expectedDose, version => this.request('/api/v1/entry', {
+            method: 'POST',
+            headers: { 'If-Match': `"${version}"` },
+            body: JSON.stringify({ date, medicationId, taken, timestamp, doseIndex }),
+        }));
+    }
+
+    async updateEntryTimestamp(date, medicationId, timestamp, doseIndex = 0, expectedDose = null) {
+        return this.writeDose(date, medicationId, doseIndex, expectedDose, version => this.request('/api/v1/entry', {
+            method: 'PUT',
+            headers: { 'If-Match': `"${version}"` },
+            body: JSON.stringify({ date, medicationId, timestamp, doseIndex }),
+        }));
+    }
+
+    // Apply many dose updates ({ date, medicationId, doseIndex, action, taken,
+    // timestamp, expectedDose }) in one request. Days changed on another device
+    // are retried like single writes; the user is asked once if any of those
+    // changes touched the same doses.
+    async saveEntries(updates) {
+        const results = new Array(updates.length);
+        const days = {};
+        let pending = updates.map((update, index) => ({ ...update, index }));
+
+        for (let attempt = 0; pending.length > 0; attempt++) {
+            const versions = {};
+            pending.forEach(update => {
+                versions[update.date] = this.entryVersions[update.date] || 0;
+            });
+
+            const response = await this.request('/api/v1/entries/batch', {
+                method: 'POST',
+                body: JSON.stringify({
+                    updates: pending.map(({ date, medicationId, doseIndex, action, taken, timestamp }) =>
+                        ({ date, medicationId, doseIndex, action, taken, timestamp })),
+                    versions,
+                }),
+            });
+
+            Object.entries(response.days).forEach(([date, day]) => {
+                days[date] = day;
+                this.entryVersions[date] = day.version;
+            });
+
+            const retry = [];
+            const changedElsewhere = [];
+            response.results.forEach((result, i) => {
+                const update = pending[i];
+                if (!result.conflict || attempt >= MAX_CONFLICT_RETRIES) {
+                    results[update.index] = result;
+                    return;
+                }
+                const medEntry = days[update.date].entries[update.medicationId];
+                const serverDose = (medEntry && medEntry.doses && medEntry.doses[update.doseIndex]) || null;
+                (sameDose(serverDose, update.expectedDose) ? retry : changedElsewhere).push(update);
+            });
+
+            if (changedElsewhere.length > 0) {
+                const keepMine = await this.resolveConflict(
+                    `${changedElsewhere.length} of these doses were changed on another device. Replace them with your changes?`
+                );
+                if (keepMine) {
+                    retry.push(...changedElsewhere);
+                } else {
+                    changedElsewhere.forEach(update => {
+                        results[update.index] = { ok: false, cancelled: true };
+                    });
+                }
+            }
+
+            pending = retry;
+        }
+
+        return { results, days };
+    }
+
+    // Download recorded doses as a file. Returns { blob, filename }.
+    async exportData({ format, from, to, medicationId }) {
+        const params = new URLSearchParams({ format });
+        if (from && to) {
+            params.set('from', from);
+            params.set('to', to);
+        }
+        if (medicationId) params.set('medicationId', medicationId);
+
+        const response = await this.request(`/api/v1/export?${params}`, { raw: true });
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const match = disposition.match(/filename="([^"]+)"/);
+        return {
+            blob: await response.blob(),
+            filename: match ? match[1] : `${this.userId}-medications.${format}`,
+        };
+    }
+
+    // Preview (dryRun: true) or run an import; see POST /api/v1/import
+    async importData(options) {
+        return this.request('/api/v1/import', {
+            method: 'POST',
+            body: JSON.stringify({ ...options, timezoneOffset: new Date().getTimezoneOffset() }),
         });
+    }
 
-        document.getElementById('nextMonth').addEventListener('click', () => {
-            this.currentDate.setMonth(this.currentDate.getMonth() + 1);
-            this.renderCalendar();
+    async getCalendarToken() {
+        const data = await this.request('/api/v1/calendar/token');
+        return data.token;
+    }
+
+    async regenerateCalendarToken() {
+        const data = await this.request('/api/v1/calendar/token', { method: 'POST' });
+        return data.token;
+    }
+
+    async getShare() {
+        return await this.request('/api/v1/share');
+    }
+
+    async getShares() {
+        const data = await this.request('/api/v1/shares');
+        return data.shares;
+    }
+
+    async createShare({ label, scope, expiresInDays }) {
+        const data = await this.request('/api/v1/shares', {
+            method: 'POST',
+            body: JSON.stringify({ label, scope, expiresInDays }),
         });
+        return data.share;
+    }
 
-        // Settings modal
-        document.getElementById('settingsBtn').addEventListener('click', () => {
-            this.openSettingsModal();
+    async revokeShare(shareId) {
+        return await this.request(`/api/v1/shares/${encodeURIComponent(shareId)}`, { method: 'DELETE' });
+    }
+
+    async getWebhooks() {
+        return await this.request('/api/v1/webhooks');
+    }
+
+    async createWebhook(url, events) {
+        const data = await this.request('/api/v1/webhooks', {
+            method: 'POST',
+            body: JSON.stringify({ url, events }),
         });
+        return data.webhook;
+    }
 
-        document.getElementById('closeSettings').addEventListener('click', () => {
-            this.closeSettingsModal();
+    async deleteWebhook(webhookId) {
+        return await this.request(`/api/v1/webhooks/${encodeURIComponent(webhookId)}`, { method: 'DELETE' });
+    }
+
+    async testWebhook(webhookId) {
+        return await this.request(`/api/v1/webhooks/${encodeURIComponent(webhookId)}/test`, { method: 'POST' });
+    }
+
+    async getWebhookDeliveries() {
+        const data = await this.request('/api/v1/webhooks/deliveries');
+        return data.deliveries;
+    }
+
+    // Resolves to { history, cursor }. Pass `cursor` back for older events.
+    async getHistory(date, medicationId, doseIndex, cursor = null) {
+        const params = new URLSearchParams();
+        if (date) params.set('date', date);
+        if (medicationId) params.set('medicationId', medicationId);
+        if (doseIndex !== undefined && doseIndex !== null) params.set('doseIndex', doseIndex);
+        if (cursor) params.set('cursor', cursor);
+        return this.request(`/api/v1/history?${params}`);
+    }
+
+    async getStats({ from, to, today, groupBy, medicationId } = {}) {
+        const params = new URLSearchParams();
+        if (from) params.set('from', from);
+        if (to) params.set('to', to);
+        if (today) params.set('today', today);
+        if (groupBy) params.set('groupBy', groupBy);
+        if (medicationId) params.set('medicationId', medicationId);
+        return await this.request(`/api/v1/stats?${params}`);
+    }
+
+    async deleteMedication(medicationId) {
+        const result = await this.request(`/api/v1/medication/${encodeURIComponent(medicationId)}`, {
+            method: 'DELETE',
         });
+        this.medicationsVersion = result.version;
+        this.medicationsBase = JSON.parse(JSON.stringify(result.medications));
+        return result;
+    }
 
-        // Tracking modal
-        document.getElementById('closeTracking').addEventListener('click', () => {
-            this.closeTrackingModal();
+    async archiveMedication(medicationId, stopDate) {
+        const result = await this.request(`/api/v1/medication/${encodeURIComponent(medicationId)}/archive`, {
+            method: 'POST',
+            body: JSON.stringify({ stopDate }),
         });
+        this.medicationsVersion = result.version;
+        this.medicationsBase = JSON.parse(JSON.stringify(result.medications));
+        return result;
+    }
 
-        // Add medication
-        document.getElementById('addMedicationBtn').addEventListener('click', () => {
-            this.addMedication();
+    async restoreMedication(medicationId) {
+        const result = await this.request(`/api/v1/medication/${encodeURIComponent(medicationId)}/restore`, {
+            method: 'POST',
         });
+        this.medicationsVersion = result.version;
+        this.medicationsBase = JSON.parse(JSON.stringify(result.medications));
+        return result;
+    }
 
-        document.getElementById('newMedicationName').addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') {
-                this.addMedication();
+    async deleteEntry(date, medicationId, doseIndex, expectedDose = null) {
+        const path = `/api/v1/entries/${date}/${encodeURIComponent(medicationId)}/${doseIndex}`;
+        return this.writeDose(date, medicationId, doseIndex, expectedDose, version => this.request(path, {
+            method: 'DELETE',
+            headers: { 'If-Match': `"${version}"` },
+        }));
+    }
+}
+
+// Calendar Application
+class MedicationTracker {
+    constructor() {
+        this.api = new APIClient(createBackend());
+        this.currentDate = new Date();
+        this.profiles = [];
+        this.medications = [];
+        this.entries = {};
+        this.selectedDate = null;
+        this.doseErrors = {};
+        // Opened from a share link: view only, no settings or dose changes
+        this.readOnly = Boolean(this.api.shareToken);
+        this.init();
+    }
+
+    getProfile(profileId) {
+        return this.profiles.find(p => p.id === profileId) || null;
+    }
+
+    getProfileName(profileId) {
+        const profile = this.getProfile(profileId);
+        return profile ? profile.name : profileId;
+    }
+
+    switchProfile(profileId) {
+        if (!this.getProfile(profileId)) {
+            console.error('Invalid profile selected');
+            return;
+        }
+        
+        setUserId(profileId);
+        this.api.updateUserId();
+        this.renderProfileSelector();
+
+        // Each profile has its own session, so ask for the passcode if we don't have one yet
+        if (!this.api.isAuthenticated()) {
+            this.medications = [];
+            this.entries = {};
+            this.renderCalendar();
+            this.showLoginScreen(profileId);
+            return;
+        }
+        
+        document.getElementById('loginModal').classList.remove('active');
+
+        // Reload data for the new profile
+        this.loadData().then(() => {
+            this.renderCalendar();
+            // If on data tab, refresh it too
+            if (document.getElementById('dataTab') && document.getElementById('dataTab').classList.contains('active')) {
+                this.renderDataView();
             }
         });
+    }
 
-        // Frequency type change
-        document.getElementById('frequencyType').addEventListener('change', (e) => {
-            const weeklyRow = document.getElementById('weeklyDaysRow');
-            if (e.target.value === 'weekly') {
-                weeklyRow.style.display = 'block';
-            } else {
-                weeklyRow.style.display = 'none';
+    async init() {
+        // Ensure API client has the correct user ID
+        this.api.updateUserId();
+        this.api.onUnauthorized = () => this.showLoginScreen(this.api.userId);
+        this.attachEventListeners();
+
+        if (this.readOnly) {
+            await this.initSharedView();
+            return;
+        }
+
+        this.setupProfileSelector();
+        await this.start();
+    }
+
+    // Load the profiles and open the selected one, asking for its passcode if
+    // needed. Runs again after the storage settings change.
+    async start() {
+        document.body.classList.toggle('local-mode', this.api.backend.local);
+        await this.loadProfiles();
+
+        if (!this.getProfile(this.api.userId)) {
+            setUserId(null);
+            this.api.updateUserId();
+            this.renderCalendar();
+            this.showLoginScreen();
+            return;
+        }
+
+        setUserId(this.api.userId);
+        this.renderProfileSelector();
+
+        if (!this.api.isAuthenticated()) {
+            this.renderCalendar();
+            this.showLoginScreen(this.api.userId);
+            return;
+        }
+
+        await this.loadData();
+        this.renderCalendar();
+    }
+
+    async initSharedView() {
+        document.body.classList.add('read-only');
+        const banner = document.getElementById('shareBanner');
+        this.api.onUnauthorized = () => {
+            banner.textContent = 'This share link has expired or been revoked.';
+        };
+
+        let share;
+        try {
+            share = await this.api.getShare();
+        } catch (error) {
+            console.error('Failed to open share link:', error);
+            banner.textContent = error.code === 'share_expired'
+                ? 'This share link has expired or been revoked.'
+                : 'Could not open this share link. Please try again.';
+            this.renderCalendar();
+            return;
+        }
+
+        this.profiles = [share.profile];
+        this.api.userId = share.profile.id;
+        banner.textContent = `Viewing ${share.profile.name}'s medications (read-only), ` +
+            `available until ${new Date(share.expiresAt).toLocaleDateString()}`;
+        if (share.scope !== 'analytics') {
+            document.getElementById('dataTab').style.display = 'none';
+        }
+
+        await this.loadData();
+        this.renderCalendar();
+    }
+
+    async loadProfiles() {
+        try {
+            const data = await this.api.getProfiles();
+            this.profiles = data.profiles || [];
+            this.setConnectionError(null);
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+            this.profiles = [];
+            this.setConnectionError(error);
+        }
+        this.renderProfileSelector();
+    }
+
+    // Say why nothing loaded instead of leaving an empty calendar. Pass null
+    // once loading works again.
+    setConnectionError(error) {
+        if (!error) {
+            this.connectionError = null;
+        } else if (error.status) {
+            this.connectionError = `Could not load your data: ${error.message}`;
+        } else {
+            this.connectionError = this.api.backend.local
+                ? 'Could not open the data saved in this browser.'
+                : `Cannot reach the server at ${this.api.backend.baseURL}. Check the server URL in Storage settings, or switch to Local only.`;
+        }
+        document.getElementById('connectionBanner').textContent = this.connectionError || '';
+    }
+
+    setupProfileSelector() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+
+        // Listen for profile changes
+        profileSelect.addEventListener('change', (e) => {
+            const selectedProfile = e.target.value;
+            if (selectedProfile === '__add__') {
+                // Keep showing the current profile while the new one is created
+                profileSelect.value = this.api.userId || '';
+                this.addProfile();
+                return;
             }
+            this.switchProfile(selectedProfile);
+        });
+    }
+
+    renderProfileSelector() {
+        const profileSelect = document.getElementById('profileSelect');
+        if (!profileSelect) return;
+
+        profileSelect.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
         });
 
-        // Tab switching
-        document.getElementById('calendarTab').addEventListener('click', () => {
-            this.switchTab('calendar');
-        });
+        const addOption = document.createElement('option');
+        addOption.value = '__add__';
+        addOption.textContent = '➕ Add profile…';
+        profileSelect.appendChild(addOption);
+
+        // Set current selection
+        profileSelect.value = this.api.userId || '';
+    }
+
+    async addProfile() {
+        const input = prompt('Name for the new profile:');
+        const name = input ? input.trim() : '';
+        if (!name) {
+            return;
+        }
+
+        const color = PROFILE_COLORS[this.profiles.length % PROFILE_COLORS.length];
+        // Cloud profiles are created with their passcode (see submitLogin)
+        if (!this.api.backend.local) {
+            this.showNewProfileForm(name, color);
+            return;
+        }
+        try {
+            const { profile } = await this.api.createProfile(name, color);
+            this.profiles.push(profile);
+            this.switchProfile(profile.id);
+        } catch (error) {
+            console.error('Failed to create profile:', error);
+            alert(error.status === 400 ? error.message : 'Failed to create profile. Please try again.');
+        }
+    }
+
+    showLoginScreen(profileId = null) {
+        this.loginUser = profileId;
+        document.getElementById('settingsModal').classList.remove('active');
+        document.getElementById('trackingModal').classList.remove('active');
+
+        const profiles = document.getElementById('loginProfiles');
+        const form = document.getElementById('loginForm');
+
+        if (!profileId) {
+            document.getElementById('loginTitle').textContent = "Who's tracking?";
+            profiles.innerHTML = '';
+            this.profiles.forEach(profile => {
+                const btn = document.createElement('button');
+                btn.className = 'user-login-btn';
+
+                const avatar = document.createElement('div');
+                avatar.className = 'user-avatar';
+                avatar.style.background = profile.color;
+                avatar.textContent = profile.name.charAt(0).toUpperCase();
+                btn.appendChild(avatar);
+
+                const label = document.createElement('div');
+                label.className = 'user-name';
+                label.textContent = profile.name;
+                btn.appendChild(label);
+
+                btn.addEventListener('click', () => {
+                    this.switchProfile(profile.id);
+                });
+                profiles.appendChild(btn);
+            });
+
+            // The first profile can be created without logging in
+            if (this.profiles.length === 0) {
+                const empty = document.createElement('p');
+                empty.className = 'login-hint';
+                empty.textContent = this.connectionError || 'No profiles yet. Create one to get started.';
+                profiles.appendChild(empty);
+
+                const addBtn = document.createElement('button');
+                addBtn.className = 'add-btn';
+                addBtn.textContent = '➕ Add Profile';
+                addBtn.addEventListener('click', () => {
+                    this.addProfile();
+                });
+                profiles.appendChild(addBtn);
+            }
+
+            profiles.style.display = 'flex';
+            form.style.display = 'none';
+        } else {
+            document.getElementById('loginTitle').textContent = `Log in as ${this.getProfileName(profileId)}`;
+            profiles.style.display = 'none';
+            form.style.display = 'flex';
+            this.setLoginMode('login');
+        }
+
+        document.getElementById('loginModal').classList.add('active');
+        if (profileId) {
+            document.getElementById('loginPasscode').focus();
+        }
+    }
+
+    // Ask for the passcode of a profile about to be created on the server
+    showNewProfileForm(name, color) {
+        this.newProfile = { name, color };
+        this.loginUser = null;
+        document.getElementById('settingsModal').classList.remove('active');
+        document.getElementById('loginTitle').textContent = `Add ${name}`;
+        document.getElementById('loginProfiles').style.display = 'none';
+        document.getElementById('loginForm').style.display = 'flex';
+        this.setLoginMode('create');
+        document.getElementById('loginModal').classList.add('active');
+        document.getElementById('loginPasscode').focus();
+    }
+
+    // 'login', 'setup' (choose a passcode for a profile without one) or
+    // 'create' (choose the passcode of this.newProfile)
+    setLoginMode(mode) {
+        this.loginMode = mode;
+        const isSetup = mode !== 'login';
+        let hint = 'Enter your passcode to continue.';
+        if (mode === 'setup') {
+            hint = `No passcode is set for ${this.getProfileName(this.loginUser)} yet. Choose one to protect this profile.`;
+        } else if (mode === 'create') {
+            hint = `Choose a passcode to protect ${this.newProfile.name}'s profile.`;
+        }
+        document.getElementById('loginHint').textContent = hint;
+        document.getElementById('loginPasscode').value = '';
+        document.getElementById('loginPasscodeConfirm').value = '';
+        document.getElementById('loginPasscodeConfirm').style.display = isSetup ? 'block' : 'none';
+        document.getElementById('loginSubmit').textContent = { login: 'Log In', setup: 'Set Passcode', create: 'Add Profile' }[mode];
+        document.getElementById('loginError').textContent = '';
+    }
+
+    async submitLogin() {
+        const passcode = document.getElementById('loginPasscode').value;
+        const errorEl = document.getElementById('loginError');
+        errorEl.textContent = '';
+
+        if (!passcode) {
+            errorEl.textContent = 'Please enter a passcode';
+            return;
+        }
+
+        let userId = this.loginUser;
+        try {
+            if (this.loginMode !== 'login' &&
+                passcode !== document.getElementById('loginPasscodeConfirm').value) {
+                errorEl.textContent = 'Passcodes do not match';
+                return;
+            }
+            if (this.loginMode === 'create') {
+                const { name, color } = this.newProfile;
+                const { profile } = await this.api.createProfile(name, color, passcode);
+                this.profiles.push(profile);
+                this.newProfile = null;
+                userId = profile.id;
+            } else if (this.loginMode === 'setup') {
+                await this.api.setupPasscode(userId, passcode);
+            } else {
+                await this.api.login(userId, passcode);
+            }
+        } catch (error) {
+            console.error('Login failed:', error);
+            if (error.code === 'setup_required') {
+                this.setLoginMode('setup');
+                return;
+            }
+            errorEl.textContent = error.message || 'Login failed. Please try again.';
+            return;
+        }
+
+        setUserId(userId);
+        this.api.updateUserId();
+        this.renderProfileSelector();
+        document.getElementById('loginModal').classList.remove('active');
+
+        await this.loadData();
+        this.renderCalendar();
+    }
+
+    async logout() {
+        try {
+            await this.api.logout();
+        } catch (error) {
+            console.error('Failed to log out:', error);
+        }
+        this.medications = [];
+        this.entries = {};
+        this.renderCalendar();
+        this.showLoginScreen();
+    }
+
+    // Date range covering the visible month plus the buffer on either side
+    getVisibleRange() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        return {
+            from: this.formatDateKey(new Date(year, month - ENTRY_BUFFER_MONTHS, 1)),
+            to: this.formatDateKey(new Date(year, month + ENTRY_BUFFER_MONTHS + 1, 0)),
+        };
+    }
+
+    shiftDateKey(dateKey, days) {
+        const date = new Date(dateKey + 'T00:00:00');
+        date.setDate(date.getDate() + days);
+        return this.formatDateKey(date);
+    }
+
+    async loadData() {
+        const { from, to } = this.getVisibleRange();
+        try {
+            const data = await this.api.getData(from, to);
+            this.medications = data.medications || [];
+            this.entries = data.entries || {};
+            this.loadedRange = { from, to };
+            this.setConnectionError(null);
+            if (!this.readOnly) {
+                this.syncTimezone();
+            }
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            this.medications = [];
+            this.entries = {};
+            this.loadedRange = null;
+            // An expired session already shows the login screen
+            this.setConnectionError(error.status === 401 ? null : error);
+        }
+    }
+
+    // The Worker marks overdue doses missed on a schedule, so it needs to know
+    // which time zone this profile's dose times are in
+    async syncTimezone() {
+        const profile = this.getProfile(this.api.userId);
+        const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+        if (!profile || !timezone || profile.timezone === timezone) return;
+
+        try {
+            const result = await this.api.updateProfile(profile.id, { timezone });
+            Object.assign(profile, result.profile);
+        } catch (error) {
+            console.error('Failed to save time zone:', error);
+        }
+    }
+
+    // Fetch entries for the part of the visible range that isn't loaded yet.
+    // Resolves to true if anything new was loaded.
+    async loadVisibleRange() {
+        if (!this.loadedRange) {
+            await this.loadData();
+            return true;
+        }
+
+        const { from, to } = this.getVisibleRange();
+        const loaded = this.loadedRange;
+        const missing = [];
+        if (from < loaded.from) {
+            missing.push({ from, to: this.shiftDateKey(loaded.from, -1) });
+        }
+        if (to > loaded.to) {
+            missing.push({ from: this.shiftDateKey(loaded.to, 1), to });
+        }
+        if (missing.length === 0) {
+            return false;
+        }
+
+        try {
+            for (const range of missing) {
+                const data = await this.api.getData(range.from, range.to);
+                this.medications = data.medications || [];
+                Object.assign(this.entries, data.entries || {});
+            }
+            this.loadedRange = {
+                from: from < loaded.from ? from : loaded.from,
+                to: to > loaded.to ? to : loaded.to,
+            };
+            return true;
+        } catch (error) {
+            console.error('Failed to load entries:', error);
+            return false;
+        }
+    }
+
+    changeMonth(offset) {
+        this.currentDate.setMonth(this.currentDate.getMonth() + offset);
+        this.renderCalendar();
+        this.loadVisibleRange().then(loaded => {
+            if (loaded) {
+                this.renderCalendar();
+            }
+        });
+    }
+
+    attachEventListeners() {
+        // Calendar navigation
+        document.getElementById('prevMonth').addEventListener('click', () => {
+            this.changeMonth(-1);
+        });
+
+        document.getElementById('nextMonth').addEventListener('click', () => {
+            this.changeMonth(1);
+        });
+
+        // Settings modal
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            this.openSettingsModal();
+        });
+
+        document.getElementById('closeSettings').addEventListener('click', () => {
+            this.closeSettingsModal();
+        });
+
+        // Profile settings
+        document.getElementById('saveProfileBtn').addEventListener('click', () => {
+            this.saveProfile();
+        });
+
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        // Login
+        document.getElementById('loginForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitLogin();
+        });
+
+        document.getElementById('loginBack').addEventListener('click', () => {
+            this.showLoginScreen();
+        });
+
+        document.getElementById('logoutBtn').addEventListener('click', () => {
+            this.logout();
+        });
+
+        // Storage
+        document.getElementById('openStorageBtn').addEventListener('click', () => {
+            this.openStorageModal();
+        });
+
+        document.getElementById('loginStorageBtn').addEventListener('click', () => {
+            this.openStorageModal();
+        });
+
+        document.getElementById('closeStorage').addEventListener('click', () => {
+            this.closeStorageModal();
+        });
+
+        document.getElementById('saveStorageBtn').addEventListener('click', () => {
+            this.saveStorage();
+        });
+
+        document.getElementById('uploadLocalDataBtn').addEventListener('click', () => {
+            this.uploadLocalData();
+        });
+
+        // Export
+        document.getElementById('exportBtn').addEventListener('click', () => {
+            this.openExportModal();
+        });
+
+        document.getElementById('closeExport').addEventListener('click', () => {
+            this.closeExportModal();
+        });
+
+        document.getElementById('downloadExportBtn').addEventListener('click', () => {
+            this.downloadExport();
+        });
+
+        // Import
+        document.getElementById('importBtn').addEventListener('click', () => {
+            this.openImportModal();
+        });
+
+        document.getElementById('closeImport').addEventListener('click', () => {
+            this.closeImportModal();
+        });
+
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            this.readImportFile(e.target.files[0]);
+        });
+
+        document.getElementById('importStrategy').addEventListener('change', () => {
+            this.previewImport();
+        });
+
+        document.getElementById('importSubmitBtn').addEventListener('click', () => {
+            this.submitImport();
+        });
+
+        // Tracking modal
+        document.getElementById('closeTracking').addEventListener('click', () => {
+            this.closeTrackingModal();
+        });
+
+        // Add medication
+        document.getElementById('addMedicationBtn').addEventListener('click', () => {
+            this.addMedication();
+        });
+
+        document.getElementById('newMedicationName').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addMedication();
+            }
+        });
+
+        // One time input per daily dose
+        document.getElementById('timesPerDay').addEventListener('change', () => {
+            this.renderDoseTimeInputs();
+        });
+        this.renderDoseTimeInputs();
+
+        // Calendar subscription
+        document.getElementById('copyCalendarLinkBtn').addEventListener('click', () => {
+            this.copyCalendarLink();
+        });
+
+        document.getElementById('calendarAlarm').addEventListener('change', () => {
+            this.updateCalendarLink();
+        });
+
+        document.getElementById('regenerateCalendarLinkBtn').addEventListener('click', () => {
+            this.regenerateCalendarLink();
+        });
+
+        // Share links
+        document.getElementById('createShareBtn').addEventListener('click', () => {
+            this.createShareLink();
+        });
+
+        // Webhooks
+        document.getElementById('addWebhookBtn').addEventListener('click', () => {
+            this.addWebhook();
+        });
+
+        // Frequency type change
+        document.getElementById('frequencyType').addEventListener('change', (e) => {
+            const weeklyRow = document.getElementById('weeklyDaysRow');
+            if (e.target.value === 'weekly') {
+                weeklyRow.style.display = 'block';
+            } else {
+                weeklyRow.style.display = 'none';
+            }
+            document.getElementById('intervalRow').style.display = e.target.value === 'interval' ? 'flex' : 'none';
+            if (!document.getElementById('intervalStart').value) {
+                document.getElementById('intervalStart').value = this.formatDateKey(new Date());
+            }
+            document.getElementById('monthlyRow').style.display = e.target.value === 'monthly' ? 'flex' : 'none';
+            document.getElementById('nthWeekdayRow').style.display = e.target.value === 'nth-weekday' ? 'flex' : 'none';
+            document.getElementById('cycleRow').style.display = e.target.value === 'cycle' ? 'flex' : 'none';
+            if (!document.getElementById('cycleStart').value) {
+                document.getElementById('cycleStart').value = this.formatDateKey(new Date());
+            }
+            // Each taper phase sets its own doses per day, and the taper ends
+            // with its last phase. As-needed doses have no count or times.
+            const taper = e.target.value === 'taper';
+            const asNeeded = e.target.value === 'as-needed';
+            document.getElementById('taperRow').style.display = taper ? 'flex' : 'none';
+            document.querySelectorAll('.as-needed-row').forEach(row => {
+                row.style.display = asNeeded ? 'flex' : 'none';
+            });
+            ['timesPerDayRow', 'doseTimesRow'].forEach(id => {
+                document.getElementById(id).style.display = taper || asNeeded ? 'none' : '';
+            });
+            document.getElementById('courseEndRow').style.display = taper ? 'none' : '';
+            if (taper && !document.querySelector('#taperPhases .taper-phase')) {
+                this.addTaperPhaseRow();
+            }
+        });
+
+        document.getElementById('addPhaseBtn').addEventListener('click', () => {
+            this.addTaperPhaseRow();
+        });
+
+        // Course end: a date, or a number of days or doses to count
+        document.getElementById('courseEnd').addEventListener('change', (e) => {
+            document.getElementById('endDate').style.display = e.target.value === 'date' ? '' : 'none';
+            document.getElementById('courseLength').style.display =
+                e.target.value === 'days' || e.target.value === 'doses' ? '' : 'none';
+        });
+
+        // Tab switching
+        document.getElementById('calendarTab').addEventListener('click', () => {
+            this.switchTab('calendar');
+        });
+
+        document.getElementById('dataTab').addEventListener('click', () => {
+            this.switchTab('data');
+        });
+
+        document.getElementById('statsRange').addEventListener('change', () => {
+            this.renderDataView();
+        });
+
+        document.getElementById('statsGroupBy').addEventListener('change', () => {
+            this.renderDataView();
+        });
+
+        // Close modals on outside click
+        document.getElementById('settingsModal').addEventListener('click', (e) => {
+            if (e.target.id === 'settingsModal') {
+                this.closeSettingsModal();
+            }
+        });
+
+        document.getElementById('trackingModal').addEventListener('click', (e) => {
+            if (e.target.id === 'trackingModal') {
+                this.closeTrackingModal();
+            }
+        });
+
+        document.getElementById('exportModal').addEventListener('click', (e) => {
+            if (e.target.id === 'exportModal') {
+                this.closeExportModal();
+            }
+        });
+
+        document.getElementById('importModal').addEventListener('click', (e) => {
+            if (e.target.id === 'importModal') {
+                this.closeImportModal();
+            }
+        });
+
+        document.getElementById('storageModal').addEventListener('click', (e) => {
+            if (e.target.id === 'storageModal') {
+                this.closeStorageModal();
+            }
+        });
+    }
+
+    getMonthYearString() {
+        const months = [
+            'January', 'February', 'March', 'April', 'May', 'June',
+            'July', 'August', 'September', 'October', 'November', 'December'
+        ];
+        return `${months[this.currentDate.getMonth()]} ${this.currentDate.getFullYear()}`;
+    }
+
+    getDaysInMonth() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        return new Date(year, month + 1, 0).getDate();
+    }
+
+    getFirstDayOfMonth() {
+        const year = this.currentDate.getFullYear();
+        const month = this.currentDate.getMonth();
+        return new Date(year, month, 1).getDay();
+    }
+
+    isToday(date) {
+        const today = new Date();
+        return (
+            date.getDate() === today.getDate() &&
+            date.getMonth() === today.getMonth() &&
+            date.getFullYear() === today.getFullYear()
+        );
+    }
+
+    formatDateKey(date) {
+        const year = date.getFullYear();
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${year}-${month}-${day}`;
+    }
+
+    shouldTrackMedication(med, date) {
+        return isScheduledOn(med, this.formatDateKey(date));
+    }
+
+    getMedicationStatus(dateKey) {
+        const dayEntries = this.entries[dateKey] || {};
+        const date = new Date(dateKey + 'T00:00:00');
+        const statuses = [];
+        
+        this.medications.forEach(med => {
+            if (!this.shouldTrackMedication(med, date)) {
+                return; // Skip medications not scheduled for this day
+            }
+            
+            const timesPerDay = timesPerDayOn(med, dateKey);
+            const medEntries = dayEntries[med.id];
+            const medColor = med.color || '#ffc107'; // Default to yellow if no color set
+            
+            for (let i = 0; i < timesPerDay; i++) {
+                if (medEntries && medEntries.doses && medEntries.doses[i]) {
+                    const dose = medEntries.doses[i];
+                    statuses.push({
+                        status: dose.taken ? 'taken' : 'missed',
+                        color: null,
+                        autoMissed: Boolean(dose.autoMissed)
+                    });
+                } else {
+                    statuses.push({
+                        status: 'pending',
+                        color: medColor
+                    });
+                }
+            }
+        });
+        
+        return statuses;
+    }
+
+    renderCalendar() {
+        document.getElementById('monthYear').textContent = this.getMonthYearString();
+
+        const calendarDays = document.getElementById('calendarDays');
+        calendarDays.innerHTML = '';
+
+        const daysInMonth = this.getDaysInMonth();
+        const firstDay = this.getFirstDayOfMonth();
+        const currentMonth = this.currentDate.getMonth();
+        const currentYear = this.currentDate.getFullYear();
+        const today = new Date();
+
+        // Empty cells for days before the first day of the month
+        for (let i = 0; i < firstDay; i++) {
+            const emptyDay = document.createElement('div');
+            emptyDay.className = 'day-cell other-month';
+            calendarDays.appendChild(emptyDay);
+        }
+
+        // Days of the month
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = new Date(currentYear, currentMonth, day);
+            const dateKey = this.formatDateKey(date);
+            const statuses = this.getMedicationStatus(dateKey);
+
+            const dayCell = document.createElement('div');
+            dayCell.className = 'day-cell';
+            if (this.isToday(date)) {
+                dayCell.classList.add('today');
+            }
+
+            const dayNumber = document.createElement('div');
+            dayNumber.className = 'day-number';
+            dayNumber.textContent = day;
+            dayCell.appendChild(dayNumber);
+
+            const statusBoxes = document.createElement('div');
+            statusBoxes.className = 'medication-status-boxes';
+
+            statuses.forEach(statusInfo => {
+                const box = document.createElement('div');
+                const status = typeof statusInfo === 'string' ? statusInfo : statusInfo.status;
+                box.className = `status-box ${status}${statusInfo.autoMissed ? ' auto' : ''}`;
+                // If it's a pending status with a custom color, apply it
+                if (status === 'pending' && statusInfo.color) {
+                    box.style.background = statusInfo.color;
+                    box.style.borderColor = statusInfo.color;
+                }
+                statusBoxes.appendChild(box);
+            });
+
+            dayCell.appendChild(statusBoxes);
+
+            // How many doses of each as-needed medication were logged
+            const asNeededCounts = document.createElement('div');
+            asNeededCounts.className = 'as-needed-counts';
+            this.medications
+                .filter(med => med.frequency === 'as-needed')
+                .forEach(med => {
+                    const count = this.getAsNeededDoses(dateKey, med.id).length;
+                    if (count === 0) return;
+                    const badge = document.createElement('span');
+                    badge.className = 'as-needed-count';
+                    badge.style.borderColor = med.color || '#ffc107';
+                    badge.textContent = `${count}×`;
+                    badge.title = `${med.name}: ${count} as-needed ${count === 1 ? 'dose' : 'doses'}`;
+                    asNeededCounts.appendChild(badge);
+                });
+            if (asNeededCounts.children.length > 0) {
+                dayCell.appendChild(asNeededCounts);
+            }
+
+            dayCell.addEventListener('click', () => {
+                this.openTrackingModal(date);
+            });
+
+            calendarDays.appendChild(dayCell);
+        }
+
+        // Fill remaining cells
+        const totalCells = calendarDays.children.length;
+        const remainingCells = 42 - totalCells;
+        for (let i = 0; i < remainingCells; i++) {
+            const emptyDay = document.createElement('div');
+            emptyDay.className = 'day-cell other-month';
+            calendarDays.appendChild(emptyDay);
+        }
+    }
+
+    openSettingsModal() {
+        this.renderStorageSummary();
+        this.renderProfileSettings();
+        if (!this.api.backend.local) {
+            this.renderCalendarSettings();
+            this.renderShareSettings();
+            this.renderWebhookSettings();
+        }
+        this.renderMedicationList();
+        // New medications start today unless another date is picked, so
+        // they don't show as pending on earlier days
+        if (!document.getElementById('startDate').value) {
+            document.getElementById('startDate').value = this.formatDateKey(new Date());
+        }
+        document.getElementById('settingsModal').classList.add('active');
+    }
+
+    renderStorageSummary() {
+        document.getElementById('storageSummary').textContent = this.api.backend.local
+            ? 'Local only: data is saved in this browser and is not shared with your other devices.'
+            : `Cloud sync: data is saved on ${this.api.backend.baseURL} and shared by every device that logs in.`;
+    }
+
+    openStorageModal() {
+        document.getElementById('storageMode').value = getStorageMode();
+        document.getElementById('serverUrl').value = getServerUrl();
+        document.getElementById('localUpload').style.display = this.api.backend.local ? 'flex' : 'none';
+        document.getElementById('storageModal').classList.add('active');
+    }
+
+    closeStorageModal() {
+        document.getElementById('storageModal').classList.remove('active');
+    }
+
+    // The server URL from the storage form, or null (after telling the user)
+    // if it isn't a web address
+    readServerUrl() {
+        const value = document.getElementById('serverUrl').value.trim().replace(/\/+$/, '');
+        if (!/^https?:\/\/[^/]+/i.test(value)) {
+            alert('Please enter the server URL, for example https://medication-tracker-api.your-subdomain.workers.dev');
+            return null;
+        }
+        return value;
+    }
+
+    async saveStorage() {
+        const mode = document.getElementById('storageMode').value;
+        const serverUrl = this.readServerUrl();
+        if (!serverUrl) return;
+
+        saveStorageSettings(mode, serverUrl);
+        this.closeStorageModal();
+        await this.switchStorage();
+    }
+
+    // Reopen the app on the backend now chosen in the storage settings
+    async switchStorage() {
+        this.closeSettingsModal();
+        this.api.backend = createBackend();
+        this.api.updateUserId();
+        this.medications = [];
+        this.entries = {};
+        this.loadedRange = null;
+        await this.start();
+    }
+
+    // Copy every profile saved in this browser, with its medications and
+    // recorded doses, to the server in the storage form, then switch to Cloud
+    // sync. Profiles already on the server are merged: local medications
+    // replace ones with the same ID and local doses overwrite the same doses
+    // there, so copying again after an interruption is safe.
+    async uploadLocalData() {
+        const serverUrl = this.readServerUrl();
+        if (!serverUrl) return;
+        if (!confirm(`Copy all profiles and data saved in this browser to ${serverUrl}? ` +
+            'Doses recorded in both places will keep the values from this browser.')) {
+            return;
+        }
+
+        const local = new APIClient(new LocalBackend());
+        const cloud = new APIClient(new CloudBackend(serverUrl));
+        const button = document.getElementById('uploadLocalDataBtn');
+        button.disabled = true;
+        const copied = { profiles: 0, medications: 0, doses: 0, failed: 0 };
+        const skipped = [];
+
+        try {
+            const { profiles } = await local.getProfiles();
+            const cloudProfiles = (await cloud.getProfiles()).profiles || [];
+
+            for (const profile of profiles) {
+                let target = cloudProfiles.find(p => p.id === profile.id);
+                const isNew = !target;
+                if (isNew) {
+                    // Only the first profile on a server can be added without
+                    // being logged in to another one
+                    const member = cloudProfiles.find(p => getSessionToken(p.id)) || cloudProfiles[0];
+                    if (member && !await this.signInToCloud(cloud, member)) {
+                        skipped.push(profile.name);
+                        continue;
+                    }
+                    const passcode = prompt(`Choose a passcode for ${profile.name} on the server:`);
+                    if (!passcode) {
+                        skipped.push(profile.name);
+                        continue;
+                    }
+                    // Logs `cloud` in as the new profile too
+                    ({ profile: target } = await cloud.createProfile(profile.name, profile.color, passcode));
+                    cloudProfiles.push(target);
+                }
+                if (!await this.signInToCloud(cloud, target)) {
+                    skipped.push(profile.name);
+                    continue;
+                }
+
+                local.userId = profile.id;
+                const data = await local.getData();
+                const current = await cloud.getData();
+                if (data.medications.length > 0) {
+                    const localById = new Map(data.medications.map(med => [med.id, med]));
+                    const cloudIds = new Set(current.medications.map(med => med.id));
+                    // The server starts new medications without a start date
+                    // today, so those start on their first dose recorded here
+                    const firstDates = {};
+                    Object.keys(data.entries).sort().forEach(date => {
+                        Object.keys(data.entries[date]).forEach(id => {
+                            firstDates[id] = firstDates[id] || date;
+                        });
+                    });
+                    await cloud.saveMedications([
+                        ...current.medications.map(med => localById.get(med.id) || med),
+                        ...data.medications
+                            .filter(med => !cloudIds.has(med.id))
+                            .map(med => med.startDate || !firstDates[med.id] ? med : { ...med, startDate: firstDates[med.id] }),
+                    ]);
+                }
+
+                const updates = [];
+                Object.entries(data.entries).forEach(([date, entries]) => {
+                    Object.entries(entries).forEach(([medicationId, entry]) => {
+                        (entry.doses || []).forEach((dose, doseIndex) => {
+                            if (!dose) return;
+                            updates.push({
+                                date, medicationId, doseIndex, action: 'set',
+                                taken: dose.taken, timestamp: dose.timestamp,
+                            });
+                        });
+                    });
+                });
+                // Sent without day versions, so they overwrite what the server has
+                for (let start = 0; start < updates.length; start += MAX_BATCH_UPDATES) {
+                    const { results } = await cloud.request('/api/v1/entries/batch', {
+                        method: 'POST',
+                        body: JSON.stringify({ updates: updates.slice(start, start + MAX_BATCH_UPDATES) }),
+                    });
+                    results.forEach(result => {
+                        copied[result.ok ? 'doses' : 'failed']++;
+                    });
+                }
+
+                copied.profiles++;
+                copied.medications += data.medications.length;
+            }
+        } catch (error) {
+            console.error('Failed to copy local data:', error);
+            alert(`Copying stopped: ${error.message}\n\nNothing in this browser was changed, and it's safe to try again.`);
+            return;
+        } finally {
+            button.disabled = false;
+        }
+
+        let message = `Copied ${copied.profiles} profiles, ${copied.medications} medications and ${copied.doses} doses to the server.`;
+        if (copied.failed > 0) {
+            message += ` ${copied.failed} doses were rejected by the server.`;
+        }
+        if (skipped.length > 0) {
+            message += ` Skipped without a passcode: ${skipped.join(', ')}.`;
+        }
+        alert(`${message} The data also stays in this browser. Switching to Cloud sync now.`);
+
+        saveStorageSettings('cloud', serverUrl);
+        this.closeStorageModal();
+        await this.switchStorage();
+    }
+
+    // Log `cloud` in as a server profile, asking for its passcode unless this
+    // device already has a session for it. A profile without a passcode gets
+    // the one entered. Resolves to false if the user cancels.
+    async signInToCloud(cloud, profile) {
+        cloud.userId = profile.id;
+        cloud.token = getSessionToken(profile.id);
+        if (cloud.token) return true;
+
+        const passcode = prompt(`Passcode for ${profile.name} on the server:`);
+        if (!passcode) return false;
+
+        try {
+            await cloud.login(profile.id, passcode);
+        } catch (error) {
+            if (error.code !== 'setup_required') throw error;
+            await cloud.setupPasscode(profile.id, passcode);
+        }
+        return true;
+    }
+
+    // Export dialog, defaulting to the last three months of every medication
+    openExportModal() {
+        const today = new Date();
+        const from = new Date(today.getFullYear(), today.getMonth() - 3, today.getDate());
+        document.getElementById('exportFrom').value = this.formatDateKey(from);
+        document.getElementById('exportTo').value = this.formatDateKey(today);
+
+        const select = document.getElementById('exportMedication');
+        select.innerHTML = '<option value="">All medications</option>';
+        this.medications.forEach(med => {
+            const option = document.createElement('option');
+            option.value = med.id;
+            option.textContent = med.archived ? `${med.name} (archived)` : med.name;
+            select.appendChild(option);
+        });
+
+        document.getElementById('exportModal').classList.add('active');
+    }
+
+    closeExportModal() {
+        document.getElementById('exportModal').classList.remove('active');
+    }
+
+    async downloadExport() {
+        const from = document.getElementById('exportFrom').value;
+        const to = document.getElementById('exportTo').value;
+        if ((from || to) && !(from && to)) {
+            alert('Please choose both a start and an end date, or clear both to export everything.');
+            return;
+        }
+        if (from && from > to) {
+            alert('The start date must not be after the end date.');
+            return;
+        }
+
+        const button = document.getElementById('downloadExportBtn');
+        button.disabled = true;
+        try {
+            const { blob, filename } = await this.api.exportData({
+                format: document.getElementById('exportFormat').value,
+                from,
+                to,
+                medicationId: document.getElementById('exportMedication').value,
+            });
+
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            URL.revokeObjectURL(link.href);
+            this.closeExportModal();
+        } catch (error) {
+            console.error('Failed to export data:', error);
+            alert('Failed to export data. Please try again.');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    // Import wizard: pick a file, check the column mapping (CSV only) and the
+    // preview, choose what happens to doses that already exist, then import
+    openImportModal() {
+        this.importState = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importStrategy').value = 'skip';
+        document.getElementById('importMapping').style.display = 'none';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importSubmitBtn').disabled = true;
+        document.getElementById('importModal').classList.add('active');
+    }
+
+    closeImportModal() {
+        this.importState = null;
+        document.getElementById('importModal').classList.remove('active');
+    }
+
+    async readImportFile(file) {
+        if (!file) return;
+        const data = await file.text();
+        const format = /\.json$/i.test(file.name) || /^\s*[[{]/.test(data) ? 'json' : 'csv';
+        this.importState = { format, data, mapping: null };
+        await this.previewImport();
+    }
+
+    async previewImport() {
+        if (!this.importState) return;
+        const { format, data, mapping } = this.importState;
+        const preview = document.getElementById('importPreview');
+        document.getElementById('importSubmitBtn').disabled = true;
+        preview.textContent = 'Checking file...';
+
+        try {
+            const result = await this.api.importData({
+                format,
+                data,
+                ...(mapping ? { mapping } : {}),
+                strategy: document.getElementById('importStrategy').value,
+                dryRun: true,
+            });
+            if (result.mapping) {
+                this.importState.mapping = result.mapping;
+            }
+            this.renderImportMapping(result.columns);
+            this.renderImportPreview(result);
+            document.getElementById('importSubmitBtn').disabled =
+                result.mappingErrors.length > 0 || result.summary.valid === 0;
+        } catch (error) {
+            console.error('Failed to preview import:', error);
+            preview.textContent = error.status === 422
+                ? formatValidationErrors(error)
+                : 'Failed to read the file. Please try again.';
+        }
+    }
+
+    renderImportMapping(columns) {
+        const section = document.getElementById('importMapping');
+        const fields = document.getElementById('importMappingFields');
+        fields.innerHTML = '';
+        if (!columns) {
+            section.style.display = 'none';
+            return;
+        }
+        section.style.display = 'block';
+
+        Object.entries(IMPORT_FIELD_LABELS).forEach(([field, label]) => {
+            const row = document.createElement('div');
+            row.className = 'frequency-row';
+
+            const labelEl = document.createElement('label');
+            labelEl.textContent = `${label}:`;
+            row.appendChild(labelEl);
+
+            const select = document.createElement('select');
+            select.innerHTML = '<option value="">(not in file)</option>';
+            columns.forEach(column => {
+                const option = document.createElement('option');
+                option.value = column;
+                option.textContent = column;
+                select.appendChild(option);
+            });
+            select.value = this.importState.mapping[field] || '';
+            select.addEventListener('change', () => {
+                if (select.value) {
+                    this.importState.mapping[field] = select.value;
+                } else {
+                    delete this.importState.mapping[field];
+                }
+                this.previewImport();
+            });
+            row.appendChild(select);
+            fields.appendChild(row);
+        });
+    }
+
+    renderImportPreview(result) {
+        const preview = document.getElementById('importPreview');
+        preview.innerHTML = '';
+        const addLine = (text, className) => {
+            const line = document.createElement('p');
+            line.textContent = text;
+            if (className) line.className = className;
+            preview.appendChild(line);
+        };
+
+        if (result.mappingErrors.length > 0) {
+            result.mappingErrors.forEach(error => addLine(`${error.field} ${error.message}`, 'field-error'));
+            return;
+        }
+
+        const { summary, medications, errors } = result;
+        addLine(`${summary.valid} of ${summary.rows} rows can be imported: ` +
+            `${summary.added} new doses, ${summary.changed} changed, ${summary.unchanged} already recorded.`);
+        if (summary.conflicts > 0) {
+            addLine(`${summary.conflicts} differ from doses already recorded` +
+                (summary.skipped > 0 ? ` (${summary.skipped} will be skipped).` : ' and will be replaced.'));
+        }
+        if (medications.created.length > 0) {
+            addLine(`New medications: ${medications.created.join(', ')}`);
+        }
+        errors.forEach(error => addLine(`Row ${error.row}: ${error.field} ${error.message}`, 'field-error'));
+        if (summary.invalid > errors.length) {
+            addLine(`...and ${summary.invalid - errors.length} more rows with problems`, 'field-error');
+        }
+    }
+
+    async submitImport() {
+        if (!this.importState) return;
+        const { format, data, mapping } = this.importState;
+        const button = document.getElementById('importSubmitBtn');
+        button.disabled = true;
+
+        try {
+            const result = await this.api.importData({
+                format,
+                data,
+                ...(mapping ? { mapping } : {}),
+                strategy: document.getElementById('importStrategy').value,
+                dryRun: false,
+            });
+            const { summary } = result;
+            alert(`Imported ${summary.added} new and ${summary.changed} changed doses.`);
+            this.closeImportModal();
+            await this.loadData();
+            this.renderCalendar();
+        } catch (error) {
+            console.error('Failed to import data:', error);
+            if (error.code === 'import_incomplete') {
+                const { medications, dates } = error.body.written;
+                alert(`The import stopped partway. ${medications.length} new medications and doses on ` +
+                    `${dates.length} days were saved. Import the file again with "Keep existing" to add the rest.`);
+                await this.loadData();
+                this.renderCalendar();
+            } else {
+                alert(error.status === 422
+                    ? formatValidationErrors(error)
+                    : 'Failed to import data. Please try again.');
+            }
+            button.disabled = false;
+        }
+    }
+
+    renderDoseTimeInputs() {
+        const container = document.getElementById('doseTimes');
+        const timesPerDay = parseInt(document.getElementById('timesPerDay').value) || 1;
+        container.innerHTML = '';
+        defaultDoseTimes(timesPerDay).forEach(time => {
+            const input = document.createElement('input');
+            input.type = 'time';
+            input.value = time;
+            container.appendChild(input);
+        });
+    }
+
+    // One "[dose] [N]x per day for [N] days" row of the taper form. New rows
+    // copy the previous phase, since tapers usually change one thing at a time.
+    addTaperPhaseRow() {
+        const container = document.getElementById('taperPhases');
+        const rows = container.querySelectorAll('.taper-phase');
+        const previous = rows[rows.length - 1];
+
+        const row = document.createElement('div');
+        row.className = 'taper-phase';
+
+        const dose = document.createElement('input');
+        dose.type = 'text';
+        dose.className = 'phase-dose';
+        dose.placeholder = 'Dose, e.g. 40 mg';
+        dose.maxLength = 50;
+        row.appendChild(dose);
+
+        const times = document.createElement('select');
+        times.className = 'phase-times';
+        [1, 2, 3, 4].forEach(count => {
+            const option = document.createElement('option');
+            option.value = count;
+            option.textContent = `${count}x`;
+            times.appendChild(option);
+        });
+        row.appendChild(times);
+        row.appendChild(document.createTextNode('per day for'));
+
+        const days = document.createElement('input');
+        days.type = 'number';
+        days.className = 'phase-days';
+        days.min = '1';
+        days.max = '365';
+        days.value = '5';
+        row.appendChild(days);
+        row.appendChild(document.createTextNode('days'));
+
+        if (previous) {
+            dose.value = previous.querySelector('.phase-dose').value;
+            times.value = previous.querySelector('.phase-times').value;
+            days.value = previous.querySelector('.phase-days').value;
+        }
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'remove-phase-btn';
+        removeBtn.title = 'Remove phase';
+        removeBtn.innerHTML = '&times;';
+        removeBtn.addEventListener('click', () => {
+            row.remove();
+        });
+        row.appendChild(removeBtn);
+
+        container.appendChild(row);
+    }
+
+    async renderCalendarSettings() {
+        const select = document.getElementById('calendarAlarm');
+        if (select.options.length === 0) {
+            CALENDAR_ALARMS.forEach(({ value, label }) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        }
+
+        this.calendarToken = null;
+        this.updateCalendarLink();
+        try {
+            this.calendarToken = await this.api.getCalendarToken();
+            this.updateCalendarLink();
+        } catch (error) {
+            console.error('Failed to load calendar link:', error);
+        }
+    }
+
+    updateCalendarLink() {
+        const input = document.getElementById('calendarLink');
+        if (!this.calendarToken) {
+            input.value = '';
+            return;
+        }
+        const params = new URLSearchParams({ token: this.calendarToken });
+        const alarm = document.getElementById('calendarAlarm').value;
+        if (alarm) params.set('alarm', alarm);
+        input.value = new URL(`${this.api.backend.baseURL}/api/v1/calendar.ics?${params}`, window.location.href).href;
+    }
+
+    async copyCalendarLink() {
+        const input = document.getElementById('calendarLink');
+        if (!input.value) return;
+        try {
+            await navigator.clipboard.writeText(input.value);
+        } catch (error) {
+            // Clipboard API needs a secure context; fall back to selecting the text
+            input.select();
+            document.execCommand('copy');
+        }
+        const button = document.getElementById('copyCalendarLinkBtn');
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+            button.textContent = 'Copy';
+        }, 2000);
+    }
+
+    async regenerateCalendarLink() {
+        if (!confirm('Create a new calendar link? Calendars subscribed to the current link will stop updating.')) {
+            return;
+        }
+        try {
+            this.calendarToken = await this.api.regenerateCalendarToken();
+            this.updateCalendarLink();
+        } catch (error) {
+            console.error('Failed to regenerate calendar link:', error);
+            alert('Failed to create a new calendar link. Please try again.');
+        }
+    }
+
+    shareUrl(token) {
+        const url = new URL(window.location.href);
+        url.search = new URLSearchParams({ share: token }).toString();
+        url.hash = '';
+        return url.href;
+    }
+
+    async renderShareSettings() {
+        const list = document.getElementById('shareList');
+        list.innerHTML = '';
+
+        let shares;
+        try {
+            shares = await this.api.getShares();
+        } catch (error) {
+            console.error('Failed to load share links:', error);
+            return;
+        }
+
+        if (shares.length === 0) {
+            list.innerHTML = '<p class="history-empty">No share links yet.</p>';
+        }
+        shares.forEach(share => {
+            const item = document.createElement('div');
+            item.className = 'medication-item';
+
+            const info = document.createElement('div');
+            info.style.flex = '1';
+
+            const name = document.createElement('div');
+            name.className = 'medication-item-name';
+            name.textContent = share.label || 'Share link';
+            info.appendChild(name);
+
+            const details = document.createElement('div');
+            details.className = 'history-meta';
+            const scope = share.scope === 'analytics' ? 'Calendar and analytics' : 'Calendar only';
+            details.textContent = `${scope} · expires ${new Date(share.expiresAt).toLocaleDateString()}`;
+            info.appendChild(details);
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'archived-actions';
 
-        // Close modals on outside click
-        document.getElementById('settingsModal').addEventListener('click', (e) => {
-            if (e.target.id === 'settingsModal') {
-                this.closeSettingsModal();
-            }
-        });
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'restore-med-btn';
+            copyBtn.textContent = 'Copy Link';
+            copyBtn.addEventListener('click', () => {
+                this.copyShareLink(share, copyBtn);
+            });
+            actions.appendChild(copyBtn);
 
-        document.getElementById('trackingModal').addEventListener('click', (e) => {
-            if (e.target.id === 'trackingModal') {
-                this.closeTrackingModal();
-            }
+            const revokeBtn = document.createElement('button');
+            revokeBtn.className = 'delete-med-btn';
+            revokeBtn.textContent = 'Revoke';
+            revokeBtn.addEventListener('click', () => {
+                this.revokeShareLink(share);
+            });
+            actions.appendChild(revokeBtn);
+
+            item.appendChild(actions);
+            list.appendChild(item);
         });
     }
 
-    getMonthYearString() {
-        const months = [
-            'January', 'February', 'March', 'April', 'May', 'June',
-            'July', 'August', 'September', 'October', 'November', 'December'
-        ];
-        return `${months[this.currentDate.getMonth()]} ${this.currentDate.getFullYear()}`;
+    async createShareLink() {
+        const labelInput = document.getElementById('shareLabel');
+        try {
+            const share = await this.api.createShare({
+                label: labelInput.value.trim() || undefined,
+                scope: document.getElementById('shareScope').value,
+                expiresInDays: parseInt(document.getElementById('shareExpiry').value),
+            });
+            labelInput.value = '';
+            prompt('Share link created. Send this link to the person who should see it:', this.shareUrl(share.token));
+            this.renderShareSettings();
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            alert(error.status === 422 || error.status === 400
+                ? formatValidationErrors(error)
+                : 'Failed to create share link. Please try again.');
+        }
     }
 
-    getDaysInMonth() {
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        return new Date(year, month + 1, 0).getDate();
+    async copyShareLink(share, button) {
+        const link = this.shareUrl(share.token);
+        try {
+            await navigator.clipboard.writeText(link);
+            button.textContent = 'Copied!';
+            setTimeout(() => {
+                button.textContent = 'Copy Link';
+            }, 2000);
+        } catch (error) {
+            // Clipboard API needs a secure context; let the user copy it by hand
+            prompt('Copy this share link:', link);
+        }
     }
 
-    getFirstDayOfMonth() {
-        const year = this.currentDate.getFullYear();
-        const month = this.currentDate.getMonth();
-        return new Date(year, month, 1).getDay();
+    async revokeShareLink(share) {
+        if (!confirm(`Revoke ${share.label || 'this share link'}? Anyone using it will lose access straight away.`)) {
+            return;
+        }
+        try {
+            await this.api.revokeShare(share.id);
+            this.renderShareSettings();
+        } catch (error) {
+            console.error('Failed to revoke share link:', error);
+            alert('Failed to revoke share link. Please try again.');
+        }
     }
 
-    isToday(date) {
-        const today = new Date();
-        return (
-            date.getDate() === today.getDate() &&
-            date.getMonth() === today.getMonth() &&
-            date.getFullYear() === today.getFullYear()
-        );
-    }
+    async renderWebhookSettings() {
+        const list = document.getElementById('webhookList');
+        const deliveries = document.getElementById('webhookDeliveries');
+        document.getElementById('webhookError').textContent = '';
+        list.innerHTML = '';
+        deliveries.innerHTML = '';
 
-    formatDateKey(date) {
-        const year = date.getFullYear();
-        const month = String(date.getMonth() + 1).padStart(2, '0');
-        const day = String(date.getDate()).padStart(2, '0');
-        return `${year}-${month}-${day}`;
-    }
+        let data;
+        try {
+            [data, this.webhookDeliveries] = await Promise.all([
+                this.api.getWebhooks(),
+                this.api.getWebhookDeliveries(),
+            ]);
+        } catch (error) {
+            console.error('Failed to load webhooks:', error);
+            return;
+        }
 
-    shouldTrackMedication(med, date) {
-        if (!med.frequency) return true; // Default to daily if no frequency set
-        
-        const frequency = med.frequency || 'daily';
-        const dayOfWeek = date.getDay();
-        
-        switch (frequency) {
-            case 'daily':
-                return true;
-            case 'every-other-day':
-                // Track on even days of month (2nd, 4th, 6th, etc.)
-                return date.getDate() % 2 === 0;
-            case 'weekly':
-                const daysOfWeek = med.daysOfWeek || [];
-                return daysOfWeek.includes(dayOfWeek.toString());
-            default:
-                return true;
+        const events = document.getElementById('webhookEvents');
+        if (events.children.length === 0) {
+            data.events.forEach(event => {
+                const label = document.createElement('label');
+                label.innerHTML = `<input type="checkbox" value="${event}" class="webhook-event" checked><span>${WEBHOOK_EVENT_LABELS[event] || event}</span>`;
+                events.appendChild(label);
+            });
         }
-    }
 
-    getMedicationStatus(dateKey) {
-        const dayEntries = this.entries[dateKey] || {};
-        const date = new Date(dateKey + 'T00:00:00');
-        const statuses = [];
-        
-        this.medications.forEach(med => {
-            if (!this.shouldTrackMedication(med, date)) {
-                return; // Skip medications not scheduled for this day
-            }
-            
-            const timesPerDay = med.timesPerDay || 1;
-            const medEntries = dayEntries[med.id];
-            const medColor = med.color || '#ffc107'; // Default to yellow if no color set
-            
-            for (let i = 0; i < timesPerDay; i++) {
-                if (medEntries && medEntries.doses && medEntries.doses[i]) {
-                    const dose = medEntries.doses[i];
-                    statuses.push({
-                        status: dose.taken ? 'taken' : 'missed',
-                        color: null
-                    });
-                } else {
-                    statuses.push({
-                        status: 'pending',
-                        color: medColor
-                    });
-                }
-            }
+        if (data.webhooks.length === 0) {
+            list.innerHTML = '<p class="history-empty">No webhooks yet.</p>';
+        }
+        data.webhooks.forEach(webhook => {
+            const item = document.createElement('div');
+            item.className = 'medication-item';
+
+            const info = document.createElement('div');
+            info.style.flex = '1';
+            info.style.minWidth = '0';
+
+            const url = document.createElement('div');
+            url.className = 'medication-item-name';
+            url.style.overflowWrap = 'anywhere';
+            url.textContent = webhook.url;
+            info.appendChild(url);
+
+            const details = document.createElement('div');
+            details.className = 'history-meta';
+            details.textContent = webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', ');
+            info.appendChild(details);
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'archived-actions';
+
+            const testBtn = document.createElement('button');
+            testBtn.className = 'restore-med-btn';
+            testBtn.textContent = 'Test';
+            testBtn.addEventListener('click', () => {
+                this.testWebhook(webhook.id);
+            });
+            actions.appendChild(testBtn);
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'delete-med-btn';
+            deleteBtn.textContent = 'Delete';
+            deleteBtn.addEventListener('click', () => {
+                this.deleteWebhook(webhook);
+            });
+            actions.appendChild(deleteBtn);
+
+            item.appendChild(actions);
+            list.appendChild(item);
         });
-        
-        return statuses;
+
+        this.renderWebhookDeliveries();
     }
 
-    renderCalendar() {
-        document.getElementById('monthYear').textContent = this.getMonthYearString();
+    renderWebhookDeliveries() {
+        const list = document.getElementById('webhookDeliveries');
+        list.innerHTML = '';
 
-        const calendarDays = document.getElementById('calendarDays');
-        calendarDays.innerHTML = '';
+        if (!this.webhookDeliveries || this.webhookDeliveries.length === 0) {
+            list.innerHTML = '<li class="history-empty">Nothing sent yet.</li>';
+            return;
+        }
 
-        const daysInMonth = this.getDaysInMonth();
-        const firstDay = this.getFirstDayOfMonth();
-        const currentMonth = this.currentDate.getMonth();
-        const currentYear = this.currentDate.getFullYear();
-        const today = new Date();
+        this.webhookDeliveries.slice(0, 20).forEach(delivery => {
+            const item = document.createElement('li');
+            const result = delivery.ok
+                ? `✓ delivered (${delivery.status})`
+                : `✗ ${delivery.error || 'failed'}${delivery.nextAttemptAt ? `, retrying at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}` : ', gave up'}`;
+            item.textContent = `${WEBHOOK_EVENT_LABELS[delivery.event] || delivery.event}: ${result}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'history-meta';
+            meta.textContent = `${new Date(delivery.at).toLocaleString()} · attempt ${delivery.attempt} · ${delivery.url}`;
+            item.appendChild(meta);
+            list.appendChild(item);
+        });
+    }
 
-        // Empty cells for days before the first day of the month
-        for (let i = 0; i < firstDay; i++) {
-            const emptyDay = document.createElement('div');
-            emptyDay.className = 'day-cell other-month';
-            calendarDays.appendChild(emptyDay);
+    async addWebhook() {
+        const input = document.getElementById('webhookUrl');
+        const errorDisplay = document.getElementById('webhookError');
+        const events = [...document.querySelectorAll('.webhook-event:checked')].map(box => box.value);
+        errorDisplay.textContent = '';
+
+        if (!input.value.trim()) {
+            errorDisplay.textContent = 'Please enter the URL to send events to';
+            return;
+        }
+        if (events.length === 0) {
+            errorDisplay.textContent = 'Please choose at least one event';
+            return;
         }
 
-        // Days of the month
-        for (let day = 1; day <= daysInMonth; day++) {
-            const date = new Date(currentYear, currentMonth, day);
-            const dateKey = this.formatDateKey(date);
-            const statuses = this.getMedicationStatus(dateKey);
+        try {
+            const webhook = await this.api.createWebhook(input.value.trim(), events);
+            input.value = '';
+            prompt('Webhook added. Copy its signing secret now; it will not be shown again.', webhook.secret);
+            this.renderWebhookSettings();
+        } catch (error) {
+            console.error('Failed to add webhook:', error);
+            errorDisplay.textContent = error.status === 422 || error.status === 400
+                ? formatValidationErrors(error)
+                : 'Failed to add webhook. Please try again.';
+        }
+    }
 
-            const dayCell = document.createElement('div');
-            dayCell.className = 'day-cell';
-            if (this.isToday(date)) {
-                dayCell.classList.add('today');
+    async deleteWebhook(webhook) {
+        if (!confirm(`Stop sending events to ${webhook.url}?`)) {
+            return;
+        }
+        try {
+            await this.api.deleteWebhook(webhook.id);
+            this.renderWebhookSettings();
+        } catch (error) {
+            console.error('Failed to delete webhook:', error);
+            alert('Failed to delete webhook. Please try again.');
+        }
+    }
+
+    async testWebhook(webhookId) {
+        try {
+            const result = await this.api.testWebhook(webhookId);
+            this.webhookDeliveries = await this.api.getWebhookDeliveries();
+            this.renderWebhookDeliveries();
+            if (!result.success) {
+                alert(`The test delivery failed: ${result.delivery.error}. It will be retried.`);
             }
+        } catch (error) {
+            console.error('Failed to test webhook:', error);
+            alert('Failed to send a test event. Please try again.');
+        }
+    }
 
-            const dayNumber = document.createElement('div');
-            dayNumber.className = 'day-number';
-            dayNumber.textContent = day;
-            dayCell.appendChild(dayNumber);
+    renderProfileSettings() {
+        const profile = this.getProfile(this.api.userId);
+        if (!profile) return;
 
-            const statusBoxes = document.createElement('div');
-            statusBoxes.className = 'medication-status-boxes';
+        document.getElementById('profileNameInput').value = profile.name;
+        document.getElementById('profileColorInput').value = profile.color || PROFILE_COLORS[0];
+    }
 
-            statuses.forEach(statusInfo => {
-                const box = document.createElement('div');
-                const status = typeof statusInfo === 'string' ? statusInfo : statusInfo.status;
-                box.className = `status-box ${status}`;
-                // If it's a pending status with a custom color, apply it
-                if (status === 'pending' && statusInfo.color) {
-                    box.style.background = statusInfo.color;
-                    box.style.borderColor = statusInfo.color;
-                }
-                statusBoxes.appendChild(box);
-            });
+    async saveProfile() {
+        const profile = this.getProfile(this.api.userId);
+        if (!profile) return;
 
-            dayCell.appendChild(statusBoxes);
+        const name = document.getElementById('profileNameInput').value.trim();
+        const color = document.getElementById('profileColorInput').value;
+        if (!name) {
+            alert('Please enter a profile name');
+            return;
+        }
 
-            dayCell.addEventListener('click', () => {
-                this.openTrackingModal(date);
-            });
+        try {
+            const result = await this.api.updateProfile(profile.id, { name, color });
+            Object.assign(profile, result.profile);
+            this.renderProfileSelector();
+        } catch (error) {
+            console.error('Failed to update profile:', error);
+            alert(error.status === 400 ? error.message : 'Failed to update profile. Please try again.');
+        }
+    }
 
-            calendarDays.appendChild(dayCell);
+    async deleteProfile() {
+        const profile = this.getProfile(this.api.userId);
+        if (!profile) return;
+
+        if (!confirm(`Delete ${profile.name} and all of their medication history? This cannot be undone.`)) {
+            return;
         }
 
-        // Fill remaining cells
-        const totalCells = calendarDays.children.length;
-        const remainingCells = 42 - totalCells;
-        for (let i = 0; i < remainingCells; i++) {
-            const emptyDay = document.createElement('div');
-            emptyDay.className = 'day-cell other-month';
-            calendarDays.appendChild(emptyDay);
+        try {
+            await this.api.deleteProfile(profile.id);
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            alert('Failed to delete profile. Please try again.');
+            return;
         }
-    }
 
-    openSettingsModal() {
-        this.renderMedicationList();
-        document.getElementById('settingsModal').classList.add('active');
+        setSessionToken(profile.id, null);
+        setUserId(null);
+        this.api.updateUserId();
+        this.profiles = this.profiles.filter(p => p.id !== profile.id);
+        this.medications = [];
+        this.entries = {};
+        this.renderProfileSelector();
+        this.renderCalendar();
+        this.showLoginScreen();
     }
 
     closeSettingsModal() {
@@ -416,13 +2915,15 @@ class MedicationTracker {
     renderMedicationList() {
         const list = document.getElementById('medicationList');
         list.innerHTML = '';
+        this.renderArchivedMedications();
 
-        if (this.medications.length === 0) {
+        const active = this.medications.filter(med => !med.archived);
+        if (active.length === 0) {
             list.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">No medications added yet. Add one below!</p>';
             return;
         }
 
-        this.medications.forEach(med => {
+        active.forEach(med => {
             const item = document.createElement('div');
             item.className = 'medication-item';
 
@@ -463,26 +2964,128 @@ class MedicationTracker {
             let freqText = '';
             if (frequency === 'daily') {
                 freqText = 'Daily';
-            } else if (frequency === 'every-other-day') {
-                freqText = 'Every Other Day';
+            } else if (frequency === 'interval') {
+                const from = new Date(`${med.intervalStart}T00:00:00`).toLocaleDateString();
+                freqText = `${med.intervalDays === 2 ? 'Every Other Day' : `Every ${med.intervalDays} Days`} from ${from}`;
             } else if (frequency === 'weekly') {
                 const days = med.daysOfWeek || [];
                 const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
                 freqText = 'Weekly: ' + days.map(d => dayNames[parseInt(d)]).join(', ');
+            } else if (frequency === 'monthly') {
+                freqText = `Monthly on the ${ordinal(med.dayOfMonth)}`;
+                if (med.dayOfMonth > 28) {
+                    freqText += ' (or the last day)';
+                }
+            } else if (frequency === 'nth-weekday') {
+                const weekNames = { 1: 'First', 2: 'Second', 3: 'Third', 4: 'Fourth', 5: 'Fifth', '-1': 'Last' };
+                const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+                freqText = `${weekNames[med.weekOfMonth]} ${dayNames[parseInt(med.weekday)]} of the month`;
+            } else if (frequency === 'cycle') {
+                const from = new Date(`${med.cycleStart}T00:00:00`).toLocaleDateString();
+                freqText = `${med.cycleDaysOn} days on, ${med.cycleDaysOff} off from ${from}`;
+            }
+            if (frequency === 'taper') {
+                details.textContent = `Taper: ${med.phases.map(phase => `${phase.dose} ${phase.timesPerDay}x per day for ${phase.days} ${phase.days === 1 ? 'day' : 'days'}`).join(', then ')}`;
+            } else if (frequency === 'as-needed') {
+                details.textContent = ['As needed', ...describeAsNeededLimits(med)].join(' • ');
+            } else {
+                details.textContent = `${timesPerDay}x per day • ${freqText}`;
+            }
+            if (med.doseTimes) {
+                details.textContent += ` • ${med.doseTimes.join(', ')}`;
+            }
+            const courseText = this.describeCourse(med);
+            if (courseText) {
+                details.textContent += ` • ${courseText}`;
             }
-            details.textContent = `${timesPerDay}x per day • ${freqText}`;
             info.appendChild(details);
+
+            // Finished courses stay listed, without any more pending doses
+            const endDate = courseEndDate(med);
+            if (endDate && endDate < this.formatDateKey(new Date())) {
+                item.classList.add('course-complete');
+                const badge = document.createElement('span');
+                badge.className = 'course-complete-badge';
+                badge.textContent = 'Course complete';
+                name.appendChild(badge);
+            }
             
             item.appendChild(info);
 
+            const archiveBtn = document.createElement('button');
+            archiveBtn.className = 'archive-med-btn';
+            archiveBtn.textContent = 'Archive';
+            archiveBtn.addEventListener('click', () => {
+                this.archiveMedication(med.id);
+            });
+            item.appendChild(archiveBtn);
+
+            list.appendChild(item);
+        });
+    }
+
+    describeCourse(med) {
+        const format = dateKey => new Date(`${dateKey}T00:00:00`).toLocaleDateString();
+        const endDate = courseEndDate(med);
+        if (med.startDate && endDate) {
+            return `${format(med.startDate)} to ${format(endDate)}`;
+        }
+        if (endDate) {
+            return `Until ${format(endDate)}`;
+        }
+        if (med.startDate) {
+            return `${med.startDate > this.formatDateKey(new Date()) ? 'Starts' : 'Since'} ${format(med.startDate)}`;
+        }
+        return '';
+    }
+
+    renderArchivedMedications() {
+        const section = document.getElementById('archivedMedications');
+        const list = document.getElementById('archivedMedicationList');
+        const archived = this.medications.filter(med => med.archived);
+        list.innerHTML = '';
+        section.style.display = archived.length > 0 ? 'block' : 'none';
+
+        archived.forEach(med => {
+            const item = document.createElement('div');
+            item.className = 'medication-item archived';
+
+            const info = document.createElement('div');
+            info.style.flex = '1';
+
+            const name = document.createElement('div');
+            name.className = 'medication-item-name';
+            name.textContent = med.name;
+            info.appendChild(name);
+
+            const details = document.createElement('div');
+            details.style.fontSize = '12px';
+            details.style.color = '#666';
+            details.style.marginTop = '4px';
+            details.textContent = `Stopped ${new Date(med.stopDate + 'T00:00:00').toLocaleDateString()}`;
+            info.appendChild(details);
+            item.appendChild(info);
+
+            const actions = document.createElement('div');
+            actions.className = 'archived-actions';
+
+            const restoreBtn = document.createElement('button');
+            restoreBtn.className = 'restore-med-btn';
+            restoreBtn.textContent = 'Restore';
+            restoreBtn.addEventListener('click', () => {
+                this.restoreMedication(med.id);
+            });
+            actions.appendChild(restoreBtn);
+
             const deleteBtn = document.createElement('button');
             deleteBtn.className = 'delete-med-btn';
-            deleteBtn.textContent = 'Delete';
+            deleteBtn.textContent = 'Permanently delete with history';
             deleteBtn.addEventListener('click', () => {
                 this.deleteMedication(med.id);
             });
-            item.appendChild(deleteBtn);
+            actions.appendChild(deleteBtn);
 
+            item.appendChild(actions);
             list.appendChild(item);
         });
     }
@@ -499,6 +3102,7 @@ class MedicationTracker {
         const timesPerDay = parseInt(document.getElementById('timesPerDay').value) || 1;
         const frequencyType = document.getElementById('frequencyType').value;
         const medicationColor = document.getElementById('medicationColor').value;
+        const doseTimes = Array.from(document.querySelectorAll('#doseTimes input')).map(input => input.value);
         
         const newMed = {
             id: Date.now().toString(),
@@ -506,8 +3110,22 @@ class MedicationTracker {
             timesPerDay: timesPerDay,
             frequency: frequencyType,
             color: medicationColor,
+            doseTimes: doseTimes,
         };
 
+        if (frequencyType === 'interval') {
+            newMed.intervalDays = parseInt(document.getElementById('intervalDays').value, 10);
+            newMed.intervalStart = document.getElementById('intervalStart').value;
+            if (!(newMed.intervalDays >= 2)) {
+                alert('Please enter how many days apart the doses are (2 or more)');
+                return;
+            }
+            if (!newMed.intervalStart) {
+                alert('Please choose the date to count the days from');
+                return;
+            }
+        }
+
         if (frequencyType === 'weekly') {
             const checkboxes = document.querySelectorAll('.day-checkbox:checked');
             const daysOfWeek = Array.from(checkboxes).map(cb => cb.value);
@@ -518,21 +3136,168 @@ class MedicationTracker {
             newMed.daysOfWeek = daysOfWeek;
         }
 
+        if (frequencyType === 'monthly') {
+            newMed.dayOfMonth = parseInt(document.getElementById('dayOfMonth').value, 10);
+            if (!(newMed.dayOfMonth >= 1 && newMed.dayOfMonth <= 31)) {
+                alert('Please enter a day of the month from 1 to 31');
+                return;
+            }
+        }
+
+        if (frequencyType === 'nth-weekday') {
+            newMed.weekOfMonth = parseInt(document.getElementById('weekOfMonth').value, 10);
+            newMed.weekday = document.getElementById('weekday').value;
+        }
+
+        if (frequencyType === 'cycle') {
+            newMed.cycleDaysOn = parseInt(document.getElementById('cycleDaysOn').value, 10);
+            newMed.cycleDaysOff = parseInt(document.getElementById('cycleDaysOff').value, 10);
+            newMed.cycleStart = document.getElementById('cycleStart').value;
+            if (!(newMed.cycleDaysOn >= 1) || !(newMed.cycleDaysOff >= 1)) {
+                alert('Please enter how many days on and how many days off (1 or more each)');
+                return;
+            }
+            if (!newMed.cycleStart) {
+                alert('Please choose the first day of a cycle');
+                return;
+            }
+        }
+
+        if (frequencyType === 'as-needed') {
+            const maxPer24h = document.getElementById('maxPer24h').value;
+            const minIntervalHours = document.getElementById('minIntervalHours').value;
+            if (maxPer24h) {
+                newMed.maxPer24h = parseInt(maxPer24h, 10);
+                if (!(newMed.maxPer24h >= 1)) {
+                    alert('Please enter the most doses allowed in 24 hours (1 or more), or leave it blank');
+                    return;
+                }
+            }
+            if (minIntervalHours) {
+                newMed.minIntervalMinutes = Math.round(parseFloat(minIntervalHours) * 60);
+                if (!(newMed.minIntervalMinutes >= 1)) {
+                    alert('Please enter the hours needed between doses, or leave it blank');
+                    return;
+                }
+            }
+            newMed.timesPerDay = 1;
+            delete newMed.doseTimes;
+        }
+
+        const startDate = document.getElementById('startDate').value;
+        if (startDate) {
+            newMed.startDate = startDate;
+        }
+
+        if (frequencyType === 'taper') {
+            const phases = Array.from(document.querySelectorAll('#taperPhases .taper-phase')).map(row => ({
+                days: parseInt(row.querySelector('.phase-days').value, 10),
+                timesPerDay: parseInt(row.querySelector('.phase-times').value, 10),
+                dose: row.querySelector('.phase-dose').value.trim(),
+            }));
+            if (phases.length === 0) {
+                alert('Please add at least one phase');
+                return;
+            }
+            if (phases.some(phase => !phase.dose)) {
+                alert('Please enter the dose for every phase');
+                return;
+            }
+            if (phases.some(phase => !(phase.days >= 1))) {
+                alert('Please enter how many days each phase lasts');
+                return;
+            }
+            if (!startDate) {
+                alert('Please choose the day the taper starts');
+                return;
+            }
+            newMed.phases = phases;
+            // Doses recorded outside the phases are checked against the busiest phase
+            newMed.timesPerDay = Math.max(...phases.map(phase => phase.timesPerDay));
+            delete newMed.doseTimes;
+        }
+
+        // A taper ends with its last phase
+        const courseEnd = frequencyType === 'taper' ? 'never' : document.getElementById('courseEnd').value;
+        if (courseEnd === 'date') {
+            newMed.endDate = document.getElementById('endDate').value;
+            if (!newMed.endDate) {
+                alert('Please choose the last day of the course');
+                return;
+            }
+            if (startDate && newMed.endDate < startDate) {
+                alert('The course can\'t end before it starts');
+                return;
+            }
+        } else if (courseEnd === 'days' || courseEnd === 'doses') {
+            const length = parseInt(document.getElementById('courseLength').value, 10);
+            if (!(length >= 1 && length <= MAX_COURSE_LENGTH)) {
+                alert(`Please enter a course length from 1 to ${MAX_COURSE_LENGTH} ${courseEnd}`);
+                return;
+            }
+            // A course needs a first day to count from
+            newMed.startDate = startDate || this.formatDateKey(new Date());
+            newMed.endDate = courseEnd === 'days'
+                ? addDays(newMed.startDate, length - 1)
+                : this.courseEndAfterDoses(newMed, length);
+            if (!newMed.endDate) {
+                alert('This schedule has no doses to count from the start date');
+                return;
+            }
+        }
+
         this.medications.push(newMed);
-        input.value = '';
-        document.getElementById('timesPerDay').value = '1';
-        document.getElementById('frequencyType').value = 'daily';
-        document.getElementById('medicationColor').value = '#ffc107';
-        document.getElementById('weeklyDaysRow').style.display = 'none';
-        document.querySelectorAll('.day-checkbox').forEach(cb => cb.checked = false);
+        this.clearFieldErrors();
 
         try {
-            await this.api.saveMedications(this.medications);
+            const result = await this.api.saveMedications(this.medications);
+            this.medications = result.medications;
+            input.value = '';
+            document.getElementById('timesPerDay').value = '1';
+            this.renderDoseTimeInputs();
+            document.getElementById('frequencyType').value = 'daily';
+            document.getElementById('medicationColor').value = '#ffc107';
+            document.getElementById('weeklyDaysRow').style.display = 'none';
+            document.getElementById('intervalRow').style.display = 'none';
+            document.getElementById('intervalDays').value = '2';
+            document.getElementById('intervalStart').value = '';
+            document.querySelectorAll('.day-checkbox').forEach(cb => cb.checked = false);
+            ['monthlyRow', 'nthWeekdayRow', 'cycleRow'].forEach(id => {
+                document.getElementById(id).style.display = 'none';
+            });
+            document.getElementById('dayOfMonth').value = '1';
+            document.getElementById('weekOfMonth').value = '1';
+            document.getElementById('weekday').value = '0';
+            document.getElementById('cycleDaysOn').value = '21';
+            document.getElementById('cycleDaysOff').value = '7';
+            document.getElementById('cycleStart').value = '';
+            document.querySelectorAll('.as-needed-row').forEach(row => {
+                row.style.display = 'none';
+            });
+            document.getElementById('maxPer24h').value = '';
+            document.getElementById('minIntervalHours').value = '';
+            document.getElementById('startDate').value = this.formatDateKey(new Date());
+            document.getElementById('courseEnd').value = 'never';
+            document.getElementById('endDate').value = '';
+            document.getElementById('endDate').style.display = 'none';
+            document.getElementById('courseLength').value = '7';
+            document.getElementById('courseLength').style.display = 'none';
+            document.getElementById('taperPhases').innerHTML = '';
+            document.getElementById('taperRow').style.display = 'none';
+            ['timesPerDayRow', 'doseTimesRow', 'courseEndRow'].forEach(id => {
+                document.getElementById(id).style.display = '';
+            });
             this.renderMedicationList();
             this.renderCalendar();
         } catch (error) {
             console.error('Failed to save medication:', error);
-            this.medications.pop(); // Revert on error
+            const newIndex = this.medications.indexOf(newMed);
+            this.medications = this.medications.filter(m => m !== newMed); // Revert on error
+            // Keep the form filled in so the user can fix what the server rejected
+            if (error.status === 422) {
+                this.showMedicationFormErrors(error.body.errors, newIndex);
+                return;
+            }
             const errorMsg = error.message && error.message.includes('Cannot connect to API')
                 ? 'Cannot connect to API server. Please make sure the Worker is running.\n\nFor local development, run: npm run worker:dev'
                 : 'Failed to save medication. Please try again.';
@@ -540,15 +3305,106 @@ class MedicationTracker {
         }
     }
 
-    async deleteMedication(medicationId) {
-        if (!confirm('Are you sure you want to delete this medication?')) {
+    // The day a course of `doses` doses ends: the scheduled day on which the
+    // count is reached. A last day with more doses than are left is kept
+    // whole. Null if nothing is scheduled within a year of a dose.
+    courseEndAfterDoses(med, doses) {
+        let remaining = doses;
+        let date = med.startDate;
+        let idleDays = 0;
+        while (idleDays <= 366) {
+            if (isScheduledOn(med, date)) {
+                remaining -= med.timesPerDay || 1;
+                if (remaining <= 0) return date;
+                idleDays = 0;
+            } else {
+                idleDays++;
+            }
+            date = addDays(date, 1);
+        }
+        return null;
+    }
+
+    clearFieldErrors() {
+        document.querySelectorAll('.field-error[data-field]').forEach(el => {
+            el.textContent = '';
+        });
+    }
+
+    // Put each server validation error for the new medication next to the
+    // matching form field; anything that doesn't map to a field goes at the end
+    showMedicationFormErrors(errors, index) {
+        const prefix = `medications[${index}].`;
+        const general = [];
+        (errors || []).forEach(error => {
+            const field = error.field && error.field.startsWith(prefix)
+                ? error.field.slice(prefix.length)
+                : null;
+            // Errors for one taper phase, like phases[1].dose, go under the phases
+            const el = field && (document.querySelector(`.field-error[data-field="${field}"]`) ||
+                document.querySelector(`.field-error[data-field="${field.split(/[.[]/)[0]}"]`));
+            if (el) {
+                const message = `${field} ${error.message}`;
+                el.textContent = el.textContent ? `${el.textContent}; ${message}` : message;
+            } else {
+                general.push(`${error.field} ${error.message}`);
+            }
+        });
+        document.querySelector('.field-error[data-field="general"]').textContent = general.join('; ');
+    }
+
+    async archiveMedication(medicationId) {
+        const med = this.medications.find(m => m.id === medicationId);
+        const today = this.formatDateKey(new Date());
+        const stopDate = prompt(`Last day ${med.name} was taken (YYYY-MM-DD):`, today);
+        if (stopDate === null) return;
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(stopDate.trim())) {
+            alert('Please enter the stop date as YYYY-MM-DD.');
             return;
         }
 
-        this.medications = this.medications.filter(m => m.id !== medicationId);
+        try {
+            const result = await this.api.archiveMedication(medicationId, stopDate.trim());
+            this.medications = result.medications;
+            this.renderMedicationList();
+            this.renderCalendar();
+        } catch (error) {
+            console.error('Failed to archive medication:', error);
+            alert(error.status === 422
+                ? formatValidationErrors(error)
+                : 'Failed to archive medication. Please try again.');
+        }
+    }
+
+    async restoreMedication(medicationId) {
+        try {
+            const result = await this.api.restoreMedication(medicationId);
+            this.medications = result.medications;
+            this.renderMedicationList();
+            this.renderCalendar();
+        } catch (error) {
+            console.error('Failed to restore medication:', error);
+            alert('Failed to restore medication. Please try again.');
+        }
+    }
+
+    // Permanently remove a medication together with every dose recorded for it
+    async deleteMedication(medicationId) {
+        const med = this.medications.find(m => m.id === medicationId);
+        if (!confirm(`Permanently delete ${med.name} and all of its recorded doses? This cannot be undone.`)) {
+            return;
+        }
 
         try {
-            await this.api.deleteMedication(medicationId);
+            const result = await this.api.deleteMedication(medicationId);
+            this.medications = result.medications;
+            Object.keys(this.entries).forEach(dateKey => {
+                delete this.entries[dateKey][medicationId];
+                if (Object.keys(this.entries[dateKey]).length === 0) {
+                    delete this.entries[dateKey];
+                }
+            });
             this.renderMedicationList();
             this.renderCalendar();
         } catch (error) {
@@ -589,12 +3445,15 @@ class MedicationTracker {
             document.body.removeChild(overlay);
             
             // Save and update
-            this.api.saveMedications(this.medications).then(() => {
+            this.api.saveMedications(this.medications).then(result => {
+                this.medications = result.medications;
                 this.renderMedicationList();
                 this.renderCalendar();
             }).catch(error => {
                 console.error('Failed to update medication color:', error);
-                alert('Failed to update medication color. Please try again.');
+                alert(error.status === 422
+                    ? formatValidationErrors(error)
+                    : 'Failed to update medication color. Please try again.');
             });
         };
         
@@ -620,6 +3479,7 @@ class MedicationTracker {
         });
 
         document.getElementById('trackingDate').textContent = dateStr;
+        this.doseErrors = {};
         this.renderTrackingInterface(dateKey);
         document.getElementById('trackingModal').classList.add('active');
     }
@@ -634,20 +3494,34 @@ class MedicationTracker {
         container.innerHTML = '';
 
         if (this.medications.length === 0) {
-            container.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">No medications configured. Please add medications in Settings first.</p>';
+            container.innerHTML = this.readOnly
+                ? '<p style="color: #999; text-align: center; padding: 20px;">No medications configured.</p>'
+                : '<p style="color: #999; text-align: center; padding: 20px;">No medications configured. Please add medications in Settings first.</p>';
             return;
         }
 
         const dayEntries = this.entries[dateKey] || {};
         const date = new Date(dateKey + 'T00:00:00');
 
+        if (!this.readOnly) {
+            this.renderBulkActions(container, dateKey);
+        }
+
         this.medications.forEach(med => {
+            // As-needed medications have no doses to fill in, just a log
+            if (med.frequency === 'as-needed') {
+                if (isActiveOn(med, dateKey)) {
+                    container.appendChild(this.createAsNeededItem(dateKey, med));
+                }
+                return;
+            }
+
             // Check if medication should be tracked on this day
             if (!this.shouldTrackMedication(med, date)) {
                 return; // Skip medications not scheduled for this day
             }
 
-            const timesPerDay = med.timesPerDay || 1;
+            const timesPerDay = timesPerDayOn(med, dateKey);
             const medEntries = dayEntries[med.id] || {};
             const doses = medEntries.doses || [];
 
@@ -656,9 +3530,20 @@ class MedicationTracker {
 
             const title = document.createElement('h3');
             title.textContent = med.name;
+            // A taper shows the dose for this date's phase
+            const phase = med.frequency === 'taper' ? taperPhaseOn(med, dateKey) : undefined;
+            if (phase) {
+                title.textContent += ` – ${phase.dose}`;
+            }
             if (timesPerDay > 1) {
                 title.textContent += ` (${timesPerDay}x per day)`;
             }
+            if (phase) {
+                title.textContent += ` • phase ${phase.index + 1} of ${med.phases.length}`;
+            }
+            if (courseEndDate(med) === dateKey) {
+                title.textContent += ' • last day of course';
+            }
             item.appendChild(title);
 
             // Create tracking for each dose
@@ -678,6 +3563,11 @@ class MedicationTracker {
                     item.appendChild(doseLabel);
                 }
 
+                if (this.readOnly) {
+                    item.appendChild(this.createDoseSummary(dose));
+                    continue;
+                }
+
                 const buttons = document.createElement('div');
                 buttons.className = 'tracking-buttons';
 
@@ -703,7 +3593,9 @@ class MedicationTracker {
                     const timestampDisplay = document.createElement('div');
                     timestampDisplay.className = 'timestamp-display';
                     const date = new Date(doseTimestamp);
-                    timestampDisplay.innerHTML = `<strong>Recorded:</strong> ${date.toLocaleString()}`;
+                    timestampDisplay.innerHTML = dose.autoMissed
+                        ? `<strong>Marked missed automatically:</strong> ${date.toLocaleString()}. Tap Yes if you did take it.`
+                        : `<strong>Recorded:</strong> ${date.toLocaleString()}`;
                     item.appendChild(timestampDisplay);
                 }
 
@@ -740,6 +3632,14 @@ class MedicationTracker {
 
                 item.appendChild(editTimestamp);
 
+                const doseError = this.doseErrors[`${dateKey}:${med.id}:${i}`];
+                if (doseError) {
+                    const errorDisplay = document.createElement('div');
+                    errorDisplay.className = 'field-error';
+                    errorDisplay.textContent = doseError;
+                    item.appendChild(errorDisplay);
+                }
+
                 // Clear/Delete status button
                 if (doseTaken !== null) {
                     const clearBtn = document.createElement('button');
@@ -750,15 +3650,210 @@ class MedicationTracker {
                     });
                     item.appendChild(clearBtn);
                 }
+
+                item.appendChild(this.createHistoryExpander(dateKey, med.id, i));
             }
 
             container.appendChild(item);
         });
     }
 
-    async trackMedicationDose(dateKey, medicationId, doseIndex, taken) {
-        const timestamp = new Date().toISOString();
+    // An as-needed medication in the tracking modal: the doses logged that
+    // day, when the next one is allowed and a button to log another
+    createAsNeededItem(dateKey, med) {
+        const item = document.createElement('div');
+        item.className = 'medication-tracking-item';
+
+        const title = document.createElement('h3');
+        title.textContent = `${med.name} (as needed)`;
+        item.appendChild(title);
+
+        const limits = describeAsNeededLimits(med);
+        if (limits.length > 0) {
+            const limitText = document.createElement('div');
+            limitText.className = 'timestamp-display';
+            limitText.textContent = limits.join(' • ');
+            item.appendChild(limitText);
+        }
+
+        const logged = this.getAsNeededDoses(dateKey, med.id);
+        const log = document.createElement('ul');
+        log.className = 'as-needed-log';
+        if (logged.length === 0) {
+            log.innerHTML = '<li class="history-empty">No doses logged</li>';
+        }
+        logged.forEach(({ doseIndex, dose }) => {
+            const li = document.createElement('li');
+            const time = document.createElement('span');
+            time.textContent = `✓ ${new Date(dose.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+            li.appendChild(time);
+            if (!this.readOnly) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'clear-status-btn';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => {
+                    this.clearMedicationStatus(dateKey, med.id, doseIndex);
+                });
+                li.appendChild(removeBtn);
+            }
+            log.appendChild(li);
+        });
+        item.appendChild(log);
+
+        if (dateKey === this.formatDateKey(new Date())) {
+            const check = this.checkAsNeededLimits(med, new Date());
+            if (check) {
+                const wait = document.createElement('div');
+                wait.className = 'as-needed-wait';
+                wait.textContent = `Next allowed at ${this.formatNextAllowed(check.nextAllowed)}`;
+                item.appendChild(wait);
+            }
+        }
+
+        Object.keys(this.doseErrors)
+            .filter(key => key.startsWith(`${dateKey}:${med.id}:`))
+            .forEach(key => {
+                const errorDisplay = document.createElement('div');
+                errorDisplay.className = 'field-error';
+                errorDisplay.textContent = this.doseErrors[key];
+                item.appendChild(errorDisplay);
+            });
+
+        if (!this.readOnly) {
+            const logBtn = document.createElement('button');
+            logBtn.className = 'track-btn yes log-dose-btn';
+            logBtn.textContent = '+ Log a dose';
+            logBtn.addEventListener('click', () => {
+                this.logAsNeededDose(dateKey, med);
+            });
+            item.appendChild(logBtn);
+        }
+        return item;
+    }
+
+    // Read-only line for a dose, shown instead of the tracking controls
+    createDoseSummary(dose) {
+        const summary = document.createElement('div');
+        summary.className = 'timestamp-display';
+        if (!dose) {
+            summary.textContent = 'Not recorded';
+            return summary;
+        }
+        const status = dose.taken ? '✓ Taken' : '✗ Missed';
+        const auto = dose.autoMissed ? ' (marked automatically)' : '';
+        summary.innerHTML = `<strong>${status}${auto}</strong>`;
+        if (dose.timestamp) {
+            summary.append(` · ${new Date(dose.timestamp).toLocaleString()}`);
+        }
+        return summary;
+    }
+
+    // "History" toggle under a dose that loads its audit trail on demand
+    createHistoryExpander(dateKey, medicationId, doseIndex) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'dose-history';
+
+        const toggle = document.createElement('button');
+        toggle.className = 'history-toggle';
+        toggle.textContent = 'History ▸';
+        wrapper.appendChild(toggle);
+
+        const list = document.createElement('ul');
+        list.className = 'history-list';
+        list.style.display = 'none';
+        wrapper.appendChild(list);
+
+        // Newest first, a page at a time
+        const loadPage = async (cursor) => {
+            const status = document.createElement('li');
+            status.className = 'history-empty';
+            status.textContent = 'Loading...';
+            list.appendChild(status);
+
+            try {
+                const { history, cursor: older } = await this.api.getHistory(dateKey, medicationId, doseIndex, cursor);
+                status.remove();
+                if (history.length === 0 && !cursor) {
+                    list.innerHTML = '<li class="history-empty">No changes recorded</li>';
+                    return;
+                }
+                history.slice().reverse().forEach(event => {
+                    const li = document.createElement('li');
+                    const what = document.createElement('div');
+                    const description = describeHistoryEvent(event);
+                    what.textContent = description.charAt(0).toUpperCase() + description.slice(1);
+                    const who = document.createElement('div');
+                    who.className = 'history-meta';
+                    who.textContent = `${new Date(event.at).toLocaleString()} · ${this.getProfileName(event.userId)} · ${describeDevice(event.device)}`;
+                    li.appendChild(what);
+                    li.appendChild(who);
+                    list.appendChild(li);
+                });
+                if (older) {
+                    const more = document.createElement('button');
+                    more.className = 'history-toggle';
+                    more.textContent = 'Older changes…';
+                    more.addEventListener('click', () => {
+                        more.remove();
+                        loadPage(older);
+                    });
+                    list.appendChild(more);
+                }
+            } catch (error) {
+                console.error('Failed to load history:', error);
+                status.textContent = 'Failed to load history';
+            }
+        };
+
+        toggle.addEventListener('click', () => {
+            if (list.style.display !== 'none') {
+                list.style.display = 'none';
+                toggle.textContent = 'History ▸';
+                return;
+            }
+            list.style.display = 'block';
+            toggle.textContent = 'History ▾';
+            list.innerHTML = '';
+            loadPage(null);
+        });
+
+        return wrapper;
+    }
+
+    getDose(dateKey, medicationId, doseIndex) {
+        const medEntry = this.entries[dateKey] && this.entries[dateKey][medicationId];
+        const dose = medEntry && medEntry.doses && medEntry.doses[doseIndex];
+        return dose ? { ...dose } : null;
+    }
+
+    // Replace a day's entries with the server's copy, which also carries any
+    // changes made to that day on other devices
+    applyDayEntries(dateKey, entries) {
+        if (entries && Object.keys(entries).length > 0) {
+            this.entries[dateKey] = entries;
+        } else {
+            delete this.entries[dateKey];
+        }
+    }
 
+    // After a failed dose write, either adopt the other device's version (the
+    // user chose to keep it) or roll back and report the failure
+    handleDoseWriteError(dateKey, error, revert, message, doseKey) {
+        if (error.cancelled) {
+            this.applyDayEntries(dateKey, error.current.entries);
+        } else if (error.status === 422 && doseKey) {
+            // Show what the server rejected next to the dose instead of a popup
+            revert();
+            this.doseErrors[doseKey] = formatValidationErrors(error);
+        } else {
+            revert();
+            alert(message);
+        }
+        this.renderTrackingInterface(dateKey);
+        this.renderCalendar();
+    }
+
+    setLocalDose(dateKey, medicationId, doseIndex, dose) {
         if (!this.entries[dateKey]) {
             this.entries[dateKey] = {};
         }
@@ -776,21 +3871,187 @@ class MedicationTracker {
             this.entries[dateKey][medicationId].doses.push(null);
         }
 
-        this.entries[dateKey][medicationId].doses[doseIndex] = {
+        this.entries[dateKey][medicationId].doses[doseIndex] = dose;
+    }
+
+    renderBulkActions(container, dateKey) {
+        const scheduled = this.getScheduledDoses(dateKey);
+        if (scheduled.length < 2) {
+            return;
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'bulk-actions';
+
+        const addAction = (label, className, handler) => {
+            const btn = document.createElement('button');
+            btn.className = `bulk-btn ${className}`;
+            btn.textContent = label;
+            btn.addEventListener('click', handler);
+            actions.appendChild(btn);
+        };
+
+        addAction('✓ Mark all taken', 'taken', () => this.markAllTaken(dateKey));
+
+        // One button per time slot when any medication is taken more than once a day
+        const slots = Math.max(...scheduled.map(d => d.doseIndex)) + 1;
+        if (slots > 1) {
+            for (let i = 0; i < slots; i++) {
+                addAction(`✓ All Dose ${i + 1} taken`, 'slot', () => this.markAllTaken(dateKey, i));
+            }
+        }
+
+        addAction('✗ Mark remaining as missed', 'missed', () => this.markRemainingMissed(dateKey));
+
+        container.appendChild(actions);
+    }
+
+    async trackMedicationDose(dateKey, medicationId, doseIndex, taken, timestamp = new Date().toISOString()) {
+        const previousDose = this.getDose(dateKey, medicationId, doseIndex);
+
+        this.setLocalDose(dateKey, medicationId, doseIndex, {
             taken: taken,
             timestamp: timestamp,
-        };
+        });
 
         try {
-            await this.api.saveEntry(dateKey, medicationId, taken, timestamp, doseIndex);
+            const result = await this.api.saveEntry(dateKey, medicationId, taken, timestamp, doseIndex, previousDose);
+            delete this.doseErrors[`${dateKey}:${medicationId}:${doseIndex}`];
+            this.applyDayEntries(dateKey, result.entries);
             this.renderTrackingInterface(dateKey);
             this.renderCalendar();
         } catch (error) {
             console.error('Failed to save entry:', error);
             // Revert on error
-            this.entries[dateKey][medicationId].doses[doseIndex] = null;
-            alert('Failed to save entry. Please try again.');
+            this.handleDoseWriteError(dateKey, error, () => {
+                this.entries[dateKey][medicationId].doses[doseIndex] = previousDose;
+            }, 'Failed to save entry. Please try again.', `${dateKey}:${medicationId}:${doseIndex}`);
+        }
+    }
+
+    // The doses of an as-needed medication logged on a day, in time order
+    getAsNeededDoses(dateKey, medicationId) {
+        const medEntry = this.entries[dateKey] && this.entries[dateKey][medicationId];
+        return ((medEntry && medEntry.doses) || [])
+            .map((dose, doseIndex) => ({ doseIndex, dose }))
+            .filter(({ dose }) => dose && dose.taken && dose.timestamp)
+            .sort((a, b) => Date.parse(a.dose.timestamp) - Date.parse(b.dose.timestamp));
+    }
+
+    // Why another dose of an as-needed medication at `time` would break its
+    // limits, and when the next dose is allowed; null if it wouldn't. Doses
+    // logged on the days either side count too, since the limits are rolling.
+    checkAsNeededLimits(med, time) {
+        const dateKey = this.formatDateKey(time);
+        const taken = [-1, 0, 1]
+            .flatMap(offset => this.getAsNeededDoses(addDays(dateKey, offset), med.id))
+            .map(({ dose }) => Date.parse(dose.timestamp));
+        const limits = asNeededLimits(med, taken, time.getTime());
+        if (!limits) return null;
+
+        const reasons = [];
+        if (limits.tooSoon) {
+            reasons.push(`the last dose was less than ${formatMinutes(med.minIntervalMinutes)} ago`);
+        }
+        if (limits.tooMany) {
+            reasons.push(`${limits.takenIn24h} of the ${med.maxPer24h} doses allowed in 24 hours have been taken`);
+        }
+        return { reasons, nextAllowed: new Date(limits.nextAllowed) };
+    }
+
+    // "14:30", or "Tue 10/20/2026, 14:30" when it isn't today
+    formatNextAllowed(date) {
+        const time = date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        return this.formatDateKey(date) === this.formatDateKey(new Date())
+            ? time
+            : `${date.toLocaleDateString([], { weekday: 'short' })} ${date.toLocaleDateString()}, ${time}`;
+    }
+
+    // Log a dose of an as-needed medication in the day's next free slot. Doses
+    // for today are logged now; for other days, at a time the user enters.
+    // Going over a limit asks first, since the dose may already have been taken.
+    async logAsNeededDose(dateKey, med) {
+        let time = new Date();
+        if (dateKey !== this.formatDateKey(time)) {
+            const entered = prompt(`Time ${med.name} was taken on ${new Date(`${dateKey}T00:00:00`).toLocaleDateString()} (HH:MM):`, '12:00');
+            if (entered === null) return;
+            if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(entered.trim())) {
+                alert('Please enter a time like 08:30 or 21:15');
+                return;
+            }
+            time = new Date(`${dateKey}T${entered.trim()}:00`);
+        }
+
+        const check = this.checkAsNeededLimits(med, time);
+        if (check && !confirm(`Too soon for ${med.name}: ${check.reasons.join(', and ')}.\n` +
+            `Next allowed at ${this.formatNextAllowed(check.nextAllowed)}.\n\nLog this dose anyway?`)) {
+            return;
+        }
+
+        const medEntry = this.entries[dateKey] && this.entries[dateKey][med.id];
+        const doses = (medEntry && medEntry.doses) || [];
+        const free = doses.findIndex(dose => !dose);
+        await this.trackMedicationDose(dateKey, med.id, free === -1 ? doses.length : free, true, time.toISOString());
+    }
+
+    // Doses scheduled on a day, with whatever has been recorded for them
+    getScheduledDoses(dateKey) {
+        const date = new Date(dateKey + 'T00:00:00');
+        const doses = [];
+        this.medications.forEach(med => {
+            if (!this.shouldTrackMedication(med, date)) return;
+            const timesPerDay = timesPerDayOn(med, dateKey);
+            for (let i = 0; i < timesPerDay; i++) {
+                doses.push({ medicationId: med.id, doseIndex: i, dose: this.getDose(dateKey, med.id, i) });
+            }
+        });
+        return doses;
+    }
+
+    // Mark every scheduled dose taken, or only dose number `doseIndex` of each medication
+    markAllTaken(dateKey, doseIndex = null) {
+        const updates = this.getScheduledDoses(dateKey)
+            .filter(d => (doseIndex === null || d.doseIndex === doseIndex) && !(d.dose && d.dose.taken))
+            .map(d => ({ medicationId: d.medicationId, doseIndex: d.doseIndex, taken: true }));
+        return this.applyDoseBatch(dateKey, updates);
+    }
+
+    markRemainingMissed(dateKey) {
+        const updates = this.getScheduledDoses(dateKey)
+            .filter(d => !d.dose)
+            .map(d => ({ medicationId: d.medicationId, doseIndex: d.doseIndex, taken: false }));
+        return this.applyDoseBatch(dateKey, updates);
+    }
+
+    // Record several doses for one day in a single request and render once
+    async applyDoseBatch(dateKey, doses) {
+        if (doses.length === 0) {
+            return;
+        }
+
+        const timestamp = new Date().toISOString();
+        const previousDay = this.entries[dateKey] ? JSON.parse(JSON.stringify(this.entries[dateKey])) : null;
+        const updates = doses.map(({ medicationId, doseIndex, taken }) => {
+            const expectedDose = this.getDose(dateKey, medicationId, doseIndex);
+            this.setLocalDose(dateKey, medicationId, doseIndex, { taken, timestamp });
+            return { date: dateKey, medicationId, doseIndex, action: 'set', taken, timestamp, expectedDose };
+        });
+
+        try {
+            const { results, days } = await this.api.saveEntries(updates);
+            Object.entries(days).forEach(([date, day]) => this.applyDayEntries(date, day.entries));
+            const failed = results.filter(result => !result.ok && !result.cancelled).length;
+            if (failed > 0) {
+                alert(`${failed} of ${updates.length} doses could not be saved. Please try again.`);
+            }
+        } catch (error) {
+            console.error('Failed to save entries:', error);
+            this.applyDayEntries(dateKey, previousDay);
+            alert('Failed to save entries. Please try again.');
         }
+
+        this.renderTrackingInterface(dateKey);
+        this.renderCalendar();
     }
 
     async updateTimestamp(dateKey, medicationId, doseIndex, timestamp) {
@@ -801,15 +4062,20 @@ class MedicationTracker {
             return;
         }
 
+        const previousDose = this.getDose(dateKey, medicationId, doseIndex);
         this.entries[dateKey][medicationId].doses[doseIndex].timestamp = timestamp;
 
         try {
-            await this.api.updateEntryTimestamp(dateKey, medicationId, timestamp, doseIndex);
+            const result = await this.api.updateEntryTimestamp(dateKey, medicationId, timestamp, doseIndex, previousDose);
+            delete this.doseErrors[`${dateKey}:${medicationId}:${doseIndex}`];
+            this.applyDayEntries(dateKey, result.entries);
             this.renderTrackingInterface(dateKey);
             this.renderCalendar();
         } catch (error) {
             console.error('Failed to update timestamp:', error);
-            alert('Failed to update timestamp. Please try again.');
+            this.handleDoseWriteError(dateKey, error, () => {
+                this.entries[dateKey][medicationId].doses[doseIndex] = previousDose;
+            }, 'Failed to update timestamp. Please try again.', `${dateKey}:${medicationId}:${doseIndex}`);
         }
     }
 
@@ -824,6 +4090,9 @@ class MedicationTracker {
             return;
         }
 
+        const previousDay = JSON.parse(JSON.stringify(this.entries[dateKey]));
+        const previousDose = this.getDose(dateKey, medicationId, doseIndex);
+
         // Remove the dose entry
         this.entries[dateKey][medicationId].doses[doseIndex] = null;
 
@@ -838,12 +4107,16 @@ class MedicationTracker {
         }
 
         try {
-            await this.api.deleteEntry(dateKey, medicationId, doseIndex);
+            const result = await this.api.deleteEntry(dateKey, medicationId, doseIndex, previousDose);
+            delete this.doseErrors[`${dateKey}:${medicationId}:${doseIndex}`];
+            this.applyDayEntries(dateKey, result.entries);
             this.renderTrackingInterface(dateKey);
             this.renderCalendar();
         } catch (error) {
             console.error('Failed to clear status:', error);
-            alert('Failed to clear status. Please try again.');
+            this.handleDoseWriteError(dateKey, error, () => {
+                this.entries[dateKey] = previousDay;
+            }, 'Failed to clear status. Please try again.', `${dateKey}:${medicationId}:${doseIndex}`);
         }
     }
 
@@ -855,52 +4128,57 @@ class MedicationTracker {
         if (tabName === 'calendar') {
             document.getElementById('calendarTab').classList.add('active');
             document.getElementById('calendarContent').classList.add('active');
+        } else if (tabName === 'data') {
+            document.getElementById('dataTab').classList.add('active');
+            document.getElementById('dataContent').classList.add('active');
+            this.renderDataView();
         }
     }
 
-    renderDataView() {
-        this.renderStats();
-        this.renderMedicationAnalytics();
+    // Counts come from GET /api/v1/stats so they cover the whole range, not just
+    // the months loaded into this.entries.
+    async renderDataView() {
+        const days = parseInt(document.getElementById('statsRange').value) || 30;
+        const to = this.formatDateKey(new Date());
+        const fromDate = new Date();
+        fromDate.setDate(fromDate.getDate() - (days - 1));
+        const from = this.formatDateKey(fromDate);
+        const groupBy = document.getElementById('statsGroupBy').value;
+
         this.renderRecentEntries();
+
+        try {
+            const [byMedication, trend] = await Promise.all([
+                this.api.getStats({ from, to, today: to, groupBy: 'medication' }),
+                this.api.getStats({ from, to, today: to, groupBy }),
+            ]);
+            this.renderStats(byMedication.totals);
+            this.renderMedicationAnalytics(byMedication.groups);
+            this.renderAdherenceTrend(trend.groups, groupBy);
+        } catch (error) {
+            console.error('Failed to load statistics:', error);
+            document.getElementById('dataStats').innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">Could not load statistics. Please try again.</p>';
+            document.getElementById('medicationAnalytics').innerHTML = '';
+            document.getElementById('adherenceTrend').innerHTML = '';
+        }
     }
 
-    renderStats() {
+    formatPercent(value) {
+        return value === null || value === undefined ? '–' : `${value}%`;
+    }
+
+    renderStats(totals) {
         const statsContainer = document.getElementById('dataStats');
         statsContainer.innerHTML = '';
 
-        // Calculate total entries
-        let totalEntries = 0;
-        let totalTaken = 0;
-        let totalMissed = 0;
-        let totalDays = 0;
-
-        Object.keys(this.entries).forEach(dateKey => {
-            const dayEntries = this.entries[dateKey];
-            Object.keys(dayEntries).forEach(medId => {
-                const medEntry = dayEntries[medId];
-                if (medEntry.doses) {
-                    medEntry.doses.forEach(dose => {
-                        if (dose) {
-                            totalEntries++;
-                            if (dose.taken) {
-                                totalTaken++;
-                            } else {
-                                totalMissed++;
-                            }
-                        }
-                    });
-                }
-            });
-            totalDays++;
-        });
-
-        const adherenceRate = totalEntries > 0 ? Math.round((totalTaken / totalEntries) * 100) : 0;
-
         const stats = [
-            { label: 'Total Entries', value: totalEntries, sublabel: 'All doses tracked' },
-            { label: 'Taken', value: totalTaken, sublabel: 'Successfully taken' },
-            { label: 'Missed', value: totalMissed, sublabel: 'Missed doses' },
-            { label: 'Adherence Rate', value: `${adherenceRate}%`, sublabel: 'Overall compliance' }
+            { label: 'Scheduled', value: totals.scheduled, sublabel: 'Doses due in range' },
+            { label: 'Taken', value: totals.taken, sublabel: 'Successfully taken' },
+            { label: 'Missed', value: totals.missed, sublabel: 'Missed doses' },
+            { label: 'Unrecorded', value: totals.unrecorded, sublabel: 'Past doses not marked' },
+            { label: 'Pending', value: totals.pending, sublabel: 'Due today, not marked yet' },
+            { label: 'Adherence Rate', value: this.formatPercent(totals.adherence), sublabel: 'Taken of doses due' },
+            { label: 'Days Covered', value: this.formatPercent(totals.pdc), sublabel: 'Every dose taken (PDC)' }
         ];
 
         stats.forEach(stat => {
@@ -915,11 +4193,11 @@ class MedicationTracker {
         });
     }
 
-    renderMedicationAnalytics() {
+    renderMedicationAnalytics(groups) {
         const analyticsContainer = document.getElementById('medicationAnalytics');
         analyticsContainer.innerHTML = '';
 
-        if (this.medications.length === 0) {
+        if (!groups || groups.length === 0) {
             analyticsContainer.innerHTML = '<p style="color: #999; text-align: center; padding: 20px;">No medications to analyze. Add medications to see analytics.</p>';
             return;
         }
@@ -928,60 +4206,45 @@ class MedicationTracker {
         title.textContent = 'Medication Analytics';
         analyticsContainer.appendChild(title);
 
-        this.medications.forEach(med => {
+        groups.forEach(group => {
+            const med = this.medications.find(m => m.id === group.key);
             const chart = document.createElement('div');
             chart.className = 'medication-chart';
 
-            // Calculate stats for this medication
-            let totalDoses = 0;
-            let takenDoses = 0;
-            let missedDoses = 0;
-            const dates = [];
-
-            Object.keys(this.entries).forEach(dateKey => {
-                const dayEntries = this.entries[dateKey];
-                const medEntry = dayEntries[med.id];
-                if (medEntry && medEntry.doses) {
-                    medEntry.doses.forEach((dose, index) => {
-                        if (dose) {
-                            totalDoses++;
-                            if (dose.taken) {
-                                takenDoses++;
-                            } else {
-                                missedDoses++;
-                            }
-                            dates.push({ date: dateKey, doseIndex: index, ...dose });
-                        }
-                    });
-                }
-            });
-
-            const adherenceRate = totalDoses > 0 ? Math.round((takenDoses / totalDoses) * 100) : 0;
+            const adherenceRate = group.adherence || 0;
 
             chart.innerHTML = `
                 <div class="medication-chart-header">
-                    <h4>${med.name}</h4>
-                    <div class="adherence-rate">${adherenceRate}%</div>
+                    <h4>${group.name}${group.archived ? ' (archived)' : ''}</h4>
+                    <div class="adherence-rate">${this.formatPercent(group.adherence)}</div>
                 </div>
                 <div class="progress-bar">
                     <div class="progress-fill" style="width: ${adherenceRate}%">${adherenceRate}%</div>
                 </div>
                 <div class="chart-details">
                     <div class="chart-detail-item">
-                        <span class="chart-detail-label">Total Doses:</span>
-                        <span class="chart-detail-value">${totalDoses}</span>
+                        <span class="chart-detail-label">Scheduled:</span>
+                        <span class="chart-detail-value">${group.scheduled}</span>
                     </div>
                     <div class="chart-detail-item">
                         <span class="chart-detail-label">Taken:</span>
-                        <span class="chart-detail-value" style="color: #28a745;">${takenDoses}</span>
+                        <span class="chart-detail-value" style="color: #28a745;">${group.taken}</span>
                     </div>
                     <div class="chart-detail-item">
                         <span class="chart-detail-label">Missed:</span>
-                        <span class="chart-detail-value" style="color: #dc3545;">${missedDoses}</span>
+                        <span class="chart-detail-value" style="color: #dc3545;">${group.missed}</span>
+                    </div>
+                    <div class="chart-detail-item">
+                        <span class="chart-detail-label">Unrecorded:</span>
+                        <span class="chart-detail-value">${group.unrecorded}</span>
+                    </div>
+                    <div class="chart-detail-item">
+                        <span class="chart-detail-label">Days Covered:</span>
+                        <span class="chart-detail-value">${this.formatPercent(group.pdc)} (${group.daysCovered}/${group.daysScheduled})</span>
                     </div>
                     <div class="chart-detail-item">
                         <span class="chart-detail-label">Frequency:</span>
-                        <span class="chart-detail-value">${med.timesPerDay || 1}x per day</span>
+                        <span class="chart-detail-value">${med && med.frequency === 'taper' ? 'Taper' : `${(med && med.timesPerDay) || 1}x per day`}</span>
                     </div>
                 </div>
             `;
@@ -990,6 +4253,40 @@ class MedicationTracker {
         });
     }
 
+    renderAdherenceTrend(groups, groupBy) {
+        const trendContainer = document.getElementById('adherenceTrend');
+        trendContainer.innerHTML = '';
+
+        if (!groups || groups.length === 0) {
+            return;
+        }
+
+        const title = document.createElement('h3');
+        title.textContent = 'Adherence Trend';
+        trendContainer.appendChild(title);
+
+        groups.forEach(group => {
+            let label = group.key;
+            if (groupBy === 'week') {
+                label = `Week of ${group.key}`;
+            } else if (groupBy === 'month') {
+                const [year, month] = group.key.split('-').map(Number);
+                label = new Date(year, month - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+            }
+            const rate = group.adherence || 0;
+
+            const row = document.createElement('div');
+            row.className = 'trend-row';
+            row.title = `${group.taken} taken, ${group.missed} missed, ${group.unrecorded} unrecorded, ${group.pending} pending of ${group.scheduled} scheduled`;
+            row.innerHTML = `
+                <span>${label}</span>
+                <div class="progress-bar"><div class="progress-fill" style="width: ${rate}%"></div></div>
+                <span>${this.formatPercent(group.adherence)}</span>
+            `;
+            trendContainer.appendChild(row);
+        });
+    }
+
     renderRecentEntries() {
         const entriesContainer = document.getElementById('recentEntries');
         entriesContainer.innerHTML = '';
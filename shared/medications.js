@@ -0,0 +1,1001 @@
+// Medication rules shared by the Worker (worker/worker.js) and the app's
+// browser-only local mode (script.js): dates, schedules, validation, dose
+// updates and adherence statistics. Nothing here touches storage, the network
+// or the DOM, so both backends accept the same requests and return the same
+// numbers.
+
+// Entry dates are plain calendar days
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Medication schema limits
+const MAX_MEDICATIONS = 200;
+const MAX_MEDICATION_ID_LENGTH = 64;
+export const MAX_MEDICATION_NAME_LENGTH = 100;
+export const MAX_TIMES_PER_DAY = 12;
+// 'every-other-day' (even days of the month) is only accepted from older
+// clients; it is rewritten as a 2-day interval when read
+const FREQUENCIES = ['daily', 'interval', 'weekly', 'monthly', 'nth-weekday', 'cycle', 'taper', 'as-needed', 'every-other-day'];
+export const MAX_INTERVAL_DAYS = 365;
+// `weekOfMonth` for nth-weekday medications; -1 is the last one in the month
+const WEEKS_OF_MONTH = [1, 2, 3, 4, 5, -1];
+const MAX_CYCLE_DAYS = 365;
+// Taper phases run back to back from the medication's start date
+const MAX_TAPER_PHASES = 20;
+const MAX_PHASE_DAYS = 365;
+const MAX_DOSE_LENGTH = 50;
+// As-needed medications have no schedule; each logged dose takes the next
+// dose index of its day
+const MAX_AS_NEEDED_DOSES_PER_DAY = 50;
+const MAX_MIN_INTERVAL_MINUTES = 24 * 60;
+const DAYS_OF_WEEK = ['0', '1', '2', '3', '4', '5', '6'];
+// Optional dose times are local wall-clock "HH:MM", one per dose
+const DOSE_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Timestamps may run slightly ahead of the server clock, and a local date can
+// start up to a day away from the same date in UTC
+const TIMESTAMP_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Largest number of dose updates accepted by POST /api/entries/batch
+export const MAX_BATCH_UPDATES = 200;
+const BATCH_ACTIONS = ['set', 'clear', 'timestamp'];
+
+// GET /api/stats grouping and range limits
+const STATS_GROUPS = ['day', 'week', 'month', 'medication'];
+export const DEFAULT_STATS_DAYS = 30;
+export const MAX_STATS_DAYS = 731;
+
+const MAX_PROFILE_NAME_LENGTH = 40;
+
+export function isValidDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+export function addDays(date, days) {
+    return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+export function daysBetween(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+export function daysInMonth(date) {
+    return new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(5, 7)), 0)).getUTCDate();
+}
+
+// Sunday that starts a date's week, matching the calendar's first column
+export function weekStart(date) {
+    return addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay());
+}
+
+// Every YYYY-MM between two dates, inclusive
+export function monthsInRange(from, to) {
+    const months = [];
+    let year = parseInt(from.slice(0, 4));
+    let month = parseInt(from.slice(5, 7));
+    const lastMonth = to.slice(0, 7);
+    for (;;) {
+        const current = `${year}-${String(month).padStart(2, '0')}`;
+        if (current > lastMonth) break;
+        months.push(current);
+        month++;
+        if (month > 12) {
+            month = 1;
+            year++;
+        }
+    }
+    return months;
+}
+
+// A taper's phases with the position and first and last date of each, back
+// to back from the medication's start date
+export function taperPhases(med) {
+    let start = med.startDate;
+    return med.phases.map((phase, index) => {
+        const dated = { ...phase, index, start, end: addDays(start, phase.days - 1) };
+        start = addDays(start, phase.days);
+        return dated;
+    });
+}
+
+// The taper phase a date falls in, or undefined outside the taper
+export function taperPhaseOn(med, date) {
+    return taperPhases(med).find(phase => phase.start <= date && date <= phase.end);
+}
+
+// How many doses a medication has on a date. Only tapers vary: outside their
+// phases they fall back to `timesPerDay` like any other medication.
+export function timesPerDayOn(med, date) {
+    const phase = med.frequency === 'taper' ? taperPhaseOn(med, date) : undefined;
+    return phase ? phase.timesPerDay : (med.timesPerDay || 1);
+}
+
+// How many doses can be recorded for a medication on a date: its scheduled
+// doses, or up to MAX_AS_NEEDED_DOSES_PER_DAY for an as-needed medication
+export function doseSlotsOn(med, date) {
+    return med.frequency === 'as-needed' ? MAX_AS_NEEDED_DOSES_PER_DAY : timesPerDayOn(med, date);
+}
+
+// Whether another dose of an as-needed medication at `at` would break its
+// `minIntervalMinutes` or `maxPer24h` limit, given the times (in ms) of doses
+// already taken. Null if it wouldn't; otherwise which limits it breaks, how
+// many doses the last 24 hours hold and when the next dose is allowed (ms).
+export function asNeededLimits(med, taken, at) {
+    const earlier = taken.filter(time => time <= at).sort((a, b) => a - b);
+    const recent = earlier.filter(time => time > at - DAY_MS);
+    let nextAllowed = at;
+
+    const lastAllowed = earlier.length > 0 && med.minIntervalMinutes
+        ? earlier[earlier.length - 1] + med.minIntervalMinutes * 60000
+        : at;
+    const tooSoon = lastAllowed > at;
+    if (tooSoon) nextAllowed = lastAllowed;
+
+    const tooMany = Boolean(med.maxPer24h) && recent.length >= med.maxPer24h;
+    if (tooMany) {
+        // Allowed again once enough of those doses are over 24 hours old
+        nextAllowed = Math.max(nextAllowed, recent[recent.length - med.maxPer24h] + DAY_MS);
+    }
+    return tooSoon || tooMany ? { tooSoon, tooMany, takenIn24h: recent.length, nextAllowed } : null;
+}
+
+// The last day of a medication's course: its end date or, for a taper, the
+// end of its last phase, whichever comes first. Null if it has neither.
+export function courseEndDate(med) {
+    const phases = med.frequency === 'taper' ? taperPhases(med) : [];
+    const taperEnd = phases.length > 0 ? phases[phases.length - 1].end : null;
+    if (taperEnd && (!med.endDate || taperEnd < med.endDate)) return taperEnd;
+    return med.endDate || null;
+}
+
+// The last day a medication is due: the end of its course or, once it is
+// archived, its stop date, whichever comes first. Null if it has neither.
+export function lastScheduledDate(med) {
+    const stopDate = med.archived && med.stopDate ? med.stopDate : null;
+    const endDate = courseEndDate(med);
+    if (endDate && (!stopDate || endDate < stopDate)) return endDate;
+    return stopDate;
+}
+
+// Whether a date is one of the "on" days of a cycle, counting from
+// `cycleStart` in either direction like an interval
+function isCycleDayOn(med, date) {
+    const length = med.cycleDaysOn + med.cycleDaysOff;
+    const days = daysBetween(med.cycleStart, date);
+    return ((days % length) + length) % length < med.cycleDaysOn;
+}
+
+// Whether a date falls between a medication's start date and its
+// lastScheduledDate
+export function isActiveOn(med, date) {
+    if (med.startDate && date < med.startDate) return false;
+    const lastDate = lastScheduledDate(med);
+    return !lastDate || date <= lastDate;
+}
+
+// Whether a medication is due on a date: daily, every `intervalDays` days
+// counting from `intervalStart` (in either direction: the start date sets
+// the phase), weekly on `daysOfWeek`, monthly on `dayOfMonth` (the last day
+// of shorter months), on the `weekOfMonth`th `weekday` of each month, on the
+// on days of a cycle or every day of a taper's phases. Nothing is due outside
+// isActiveOn, and as-needed medications are never due.
+export function isScheduledOn(med, date) {
+    if (!isActiveOn(med, date)) return false;
+    switch (med.frequency || 'daily') {
+        case 'interval': {
+            const days = daysBetween(med.intervalStart, date);
+            return ((days % med.intervalDays) + med.intervalDays) % med.intervalDays === 0;
+        }
+        case 'monthly':
+            return Number(date.slice(8, 10)) === Math.min(med.dayOfMonth, daysInMonth(date));
+        case 'nth-weekday': {
+            if (String(new Date(`${date}T00:00:00Z`).getUTCDay()) !== med.weekday) return false;
+            const day = Number(date.slice(8, 10));
+            return med.weekOfMonth === -1
+                ? day + 7 > daysInMonth(date)
+                : Math.ceil(day / 7) === med.weekOfMonth;
+        }
+        case 'cycle':
+            return isCycleDayOn(med, date);
+        case 'as-needed':
+            return false;
+        case 'taper':
+            return taperPhaseOn(med, date) !== undefined;
+        case 'weekly':
+            return (med.daysOfWeek || []).includes(String(new Date(`${date}T00:00:00Z`).getUTCDay()));
+        default:
+            return true;
+    }
+}
+
+// Doses without set times are spread evenly between 08:00 and 20:00. A
+// taper phase with a different number of doses than `doseTimes` lists uses
+// the even spread too.
+export function getDoseTimes(med, date) {
+    const timesPerDay = timesPerDayOn(med, date);
+    if (Array.isArray(med.doseTimes) && med.doseTimes.length === timesPerDay) {
+        return med.doseTimes;
+    }
+    return defaultDoseTimes(timesPerDay);
+}
+
+export function defaultDoseTimes(timesPerDay) {
+    return Array.from({ length: timesPerDay }, (_, index) => {
+        const minutes = timesPerDay === 1
+            ? 8 * 60
+            : 8 * 60 + Math.round((index * 12 * 60) / (timesPerDay - 1) / 5) * 5;
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    });
+}
+
+// 'every-other-day' meant even days of the month, so two doses fell four days
+// apart around every 31-day month. As an interval it is anchored on the most
+// recent even day up to `today`, which keeps this month's days as they were.
+export function everyOtherDayAsInterval(med, today) {
+    let anchor = today;
+    while (parseInt(anchor.slice(8, 10), 10) % 2 !== 0) {
+        anchor = addDays(anchor, -1);
+    }
+    return { ...med, frequency: 'interval', intervalDays: 2, intervalStart: anchor };
+}
+
+// A medication list with every 'every-other-day' medication rewritten by
+// everyOtherDayAsInterval. The same list if there were none.
+export function withoutEveryOtherDay(medications, today) {
+    if (!medications.some(med => med.frequency === 'every-other-day')) {
+        return medications;
+    }
+    return medications.map(med => med.frequency === 'every-other-day' ? everyOtherDayAsInterval(med, today) : med);
+}
+
+// A medication list with one medication archived from `stopDate`, or
+// restored when `stopDate` is null
+export function withArchived(medications, medicationId, stopDate) {
+    return medications.map(med => {
+        if (med.id !== medicationId) return med;
+        const updated = { ...med };
+        delete updated.archived;
+        delete updated.stopDate;
+        return stopDate ? { ...updated, archived: true, stopDate } : updated;
+    });
+}
+
+// Validation. Each validator returns a list of { field, message } problems,
+// with fields named the way they appear in the request body.
+export function fieldError(field, message) {
+    return { field, message };
+}
+
+export function validateMedication(med, field) {
+    if (!med || typeof med !== 'object' || Array.isArray(med)) {
+        return [fieldError(field, 'must be an object')];
+    }
+
+    const errors = [];
+    if (typeof med.id !== 'string' || !med.id || med.id.length > MAX_MEDICATION_ID_LENGTH) {
+        errors.push(fieldError(`${field}.id`, `must be a non-empty string of at most ${MAX_MEDICATION_ID_LENGTH} characters`));
+    }
+    if (typeof med.name !== 'string' || !med.name.trim()) {
+        errors.push(fieldError(`${field}.name`, 'is required'));
+    } else if (med.name.length > MAX_MEDICATION_NAME_LENGTH) {
+        errors.push(fieldError(`${field}.name`, `must be at most ${MAX_MEDICATION_NAME_LENGTH} characters`));
+    }
+    if (med.timesPerDay !== undefined &&
+        (!Number.isInteger(med.timesPerDay) || med.timesPerDay < 1 || med.timesPerDay > MAX_TIMES_PER_DAY)) {
+        errors.push(fieldError(`${field}.timesPerDay`, `must be a whole number from 1 to ${MAX_TIMES_PER_DAY}`));
+    }
+    if (med.frequency !== undefined && !FREQUENCIES.includes(med.frequency)) {
+        errors.push(fieldError(`${field}.frequency`, `must be one of ${FREQUENCIES.join(', ')}`));
+    }
+    if (med.frequency === 'interval' || med.intervalDays !== undefined) {
+        if (!Number.isInteger(med.intervalDays) || med.intervalDays < 2 || med.intervalDays > MAX_INTERVAL_DAYS) {
+            errors.push(fieldError(`${field}.intervalDays`, `must be a whole number of days from 2 to ${MAX_INTERVAL_DAYS}`));
+        }
+    }
+    if (med.frequency === 'interval' || med.intervalStart !== undefined) {
+        if (!isValidDate(med.intervalStart)) {
+            errors.push(fieldError(`${field}.intervalStart`, 'must be a valid date in YYYY-MM-DD format for interval medications'));
+        }
+    }
+    if (med.frequency === 'monthly' || med.dayOfMonth !== undefined) {
+        if (!Number.isInteger(med.dayOfMonth) || med.dayOfMonth < 1 || med.dayOfMonth > 31) {
+            errors.push(fieldError(`${field}.dayOfMonth`, 'must be a whole number from 1 to 31'));
+        }
+    }
+    if (med.frequency === 'nth-weekday' || med.weekOfMonth !== undefined) {
+        if (!WEEKS_OF_MONTH.includes(med.weekOfMonth)) {
+            errors.push(fieldError(`${field}.weekOfMonth`, `must be one of ${WEEKS_OF_MONTH.join(', ')} (-1 is the last week)`));
+        }
+    }
+    if (med.frequency === 'nth-weekday' || med.weekday !== undefined) {
+        if (!DAYS_OF_WEEK.includes(med.weekday)) {
+            errors.push(fieldError(`${field}.weekday`, 'must be a day "0" (Sunday) to "6" (Saturday)'));
+        }
+    }
+    if (med.frequency === 'cycle' || med.cycleDaysOn !== undefined || med.cycleDaysOff !== undefined) {
+        for (const name of ['cycleDaysOn', 'cycleDaysOff']) {
+            if (!Number.isInteger(med[name]) || med[name] < 1 || med[name] > MAX_CYCLE_DAYS) {
+                errors.push(fieldError(`${field}.${name}`, `must be a whole number of days from 1 to ${MAX_CYCLE_DAYS}`));
+            }
+        }
+    }
+    if (med.frequency === 'cycle' || med.cycleStart !== undefined) {
+        if (!isValidDate(med.cycleStart)) {
+            errors.push(fieldError(`${field}.cycleStart`, 'must be a valid date in YYYY-MM-DD format for cycle medications'));
+        }
+    }
+    if (med.maxPer24h !== undefined &&
+        (!Number.isInteger(med.maxPer24h) || med.maxPer24h < 1 || med.maxPer24h > MAX_AS_NEEDED_DOSES_PER_DAY)) {
+        errors.push(fieldError(`${field}.maxPer24h`, `must be a whole number from 1 to ${MAX_AS_NEEDED_DOSES_PER_DAY}`));
+    }
+    if (med.minIntervalMinutes !== undefined &&
+        (!Number.isInteger(med.minIntervalMinutes) || med.minIntervalMinutes < 1 || med.minIntervalMinutes > MAX_MIN_INTERVAL_MINUTES)) {
+        errors.push(fieldError(`${field}.minIntervalMinutes`, `must be a whole number of minutes from 1 to ${MAX_MIN_INTERVAL_MINUTES}`));
+    }
+    if (med.frequency === 'taper' || med.phases !== undefined) {
+        errors.push(...validateTaperPhases(med.phases, `${field}.phases`));
+        if (!isValidDate(med.startDate)) {
+            errors.push(fieldError(`${field}.startDate`, 'must be a valid date in YYYY-MM-DD format for taper medications'));
+        }
+    }
+    if (med.frequency === 'weekly' || med.daysOfWeek !== undefined) {
+        const days = med.daysOfWeek;
+        if (!Array.isArray(days) || (med.frequency === 'weekly' && days.length === 0)) {
+            errors.push(fieldError(`${field}.daysOfWeek`, 'must list at least one day for weekly medications'));
+        } else if (days.some(day => !DAYS_OF_WEEK.includes(day)) || new Set(days).size !== days.length) {
+            errors.push(fieldError(`${field}.daysOfWeek`, 'must contain distinct days "0" (Sunday) to "6" (Saturday)'));
+        }
+    }
+    if (med.color !== undefined && (typeof med.color !== 'string' || !COLOR_PATTERN.test(med.color))) {
+        errors.push(fieldError(`${field}.color`, 'must be a hex color like #ffc107'));
+    }
+    if (med.doseTimes !== undefined) {
+        const timesPerDay = Number.isInteger(med.timesPerDay) ? med.timesPerDay : 1;
+        if (!Array.isArray(med.doseTimes) || med.doseTimes.length !== timesPerDay) {
+            errors.push(fieldError(`${field}.doseTimes`, `must list one time for each of the ${timesPerDay} daily doses`));
+        } else if (med.doseTimes.some(time => typeof time !== 'string' || !DOSE_TIME_PATTERN.test(time))) {
+            errors.push(fieldError(`${field}.doseTimes`, 'must be times like 08:00 or 20:30'));
+        }
+    }
+    if (med.startDate !== undefined && !isValidDate(med.startDate)) {
+        errors.push(fieldError(`${field}.startDate`, 'must be a valid date in YYYY-MM-DD format'));
+    }
+    if (med.endDate !== undefined && !isValidDate(med.endDate)) {
+        errors.push(fieldError(`${field}.endDate`, 'must be a valid date in YYYY-MM-DD format'));
+    } else if (med.endDate !== undefined && isValidDate(med.startDate) && med.endDate < med.startDate) {
+        errors.push(fieldError(`${field}.endDate`, 'must not be before startDate'));
+    }
+    if (med.archived !== undefined && typeof med.archived !== 'boolean') {
+        errors.push(fieldError(`${field}.archived`, 'must be true or false'));
+    }
+    if (med.archived && !isValidDate(med.stopDate)) {
+        errors.push(fieldError(`${field}.stopDate`, 'must be a valid date in YYYY-MM-DD format for archived medications'));
+    } else if (med.stopDate !== undefined && !isValidDate(med.stopDate)) {
+        errors.push(fieldError(`${field}.stopDate`, 'must be a valid date in YYYY-MM-DD format'));
+    }
+    return errors;
+}
+
+function validateTaperPhases(phases, field) {
+    if (!Array.isArray(phases) || phases.length === 0 || phases.length > MAX_TAPER_PHASES) {
+        return [fieldError(field, `must list 1 to ${MAX_TAPER_PHASES} phases`)];
+    }
+
+    const errors = [];
+    phases.forEach((phase, index) => {
+        const phaseField = `${field}[${index}]`;
+        if (!phase || typeof phase !== 'object' || Array.isArray(phase)) {
+            errors.push(fieldError(phaseField, 'must be an object'));
+            return;
+        }
+        if (!Number.isInteger(phase.days) || phase.days < 1 || phase.days > MAX_PHASE_DAYS) {
+            errors.push(fieldError(`${phaseField}.days`, `must be a whole number from 1 to ${MAX_PHASE_DAYS}`));
+        }
+        if (!Number.isInteger(phase.timesPerDay) || phase.timesPerDay < 1 || phase.timesPerDay > MAX_TIMES_PER_DAY) {
+            errors.push(fieldError(`${phaseField}.timesPerDay`, `must be a whole number from 1 to ${MAX_TIMES_PER_DAY}`));
+        }
+        if (typeof phase.dose !== 'string' || !phase.dose.trim() || phase.dose.length > MAX_DOSE_LENGTH) {
+            errors.push(fieldError(`${phaseField}.dose`, `must be a non-empty string of at most ${MAX_DOSE_LENGTH} characters`));
+        }
+    });
+    return errors;
+}
+
+export function validateMedicationList(medications) {
+    if (!Array.isArray(medications)) {
+        return [fieldError('medications', 'must be an array')];
+    }
+    if (medications.length > MAX_MEDICATIONS) {
+        return [fieldError('medications', `must contain at most ${MAX_MEDICATIONS} medications`)];
+    }
+
+    const errors = [];
+    const seen = new Set();
+    medications.forEach((med, index) => {
+        errors.push(...validateMedication(med, `medications[${index}]`));
+        if (med && typeof med.id === 'string') {
+            if (seen.has(med.id)) {
+                errors.push(fieldError(`medications[${index}].id`, 'must be unique'));
+            }
+            seen.add(med.id);
+        }
+    });
+    return errors;
+}
+
+// Medications added to a list (IDs not in `previous`) without a start date
+// start on `today`, the profile's local date, so schedules, stats, missed-dose
+// processing and exports don't count them as due on the days before they
+// were added. One that ended before today starts on its end date instead.
+export function withStartDates(previous, medications, today) {
+    const known = new Set(previous.map(med => med.id));
+    return medications.map(med => {
+        if (med.startDate || known.has(med.id)) return med;
+        return { ...med, startDate: med.endDate && med.endDate < today ? med.endDate : today };
+    });
+}
+
+// Recorded timestamps must be real ISO date-times, not in the future and not
+// before the entry date. When the timestamp says when a dose was actually
+// taken (`isDoseTime`), it must also fall within a day of the entry date.
+export function validateTimestamp(value, date, field, isDoseTime) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}T/.test(value) || isNaN(Date.parse(value))) {
+        return [fieldError(field, 'must be an ISO 8601 date-time')];
+    }
+
+    const time = Date.parse(value);
+    if (time > Date.now() + TIMESTAMP_CLOCK_SKEW_MS) {
+        return [fieldError(field, 'cannot be in the future')];
+    }
+    if (isValidDate(date)) {
+        const dayStart = Date.parse(`${date}T00:00:00Z`);
+        if (time < dayStart - DAY_MS) {
+            return [fieldError(field, `cannot be before ${date}`)];
+        }
+        if (isDoseTime && time > dayStart + 2 * DAY_MS) {
+            return [fieldError(field, `must be within a day of ${date}`)];
+        }
+    }
+    return [];
+}
+
+// Validate a dose write. `action` is 'set', 'timestamp' or 'clear'; clearing
+// is allowed for medications that no longer exist so old data can be tidied.
+export function validateDoseUpdate(update, medications, action) {
+    const errors = [];
+    const { date, medicationId, doseIndex, taken, timestamp } = update;
+
+    if (!isValidDate(date)) {
+        errors.push(fieldError('date', 'must be a valid date in YYYY-MM-DD format'));
+    }
+    if (typeof medicationId !== 'string' || !medicationId) {
+        errors.push(fieldError('medicationId', 'is required'));
+    }
+    if (action === 'clear' && doseIndex === undefined) {
+        errors.push(fieldError('doseIndex', 'is required'));
+    } else if (doseIndex !== undefined && (!Number.isInteger(doseIndex) || doseIndex < 0)) {
+        errors.push(fieldError('doseIndex', 'must be a whole number of at least 0'));
+    }
+
+    const medication = medications.find(m => m.id === medicationId);
+    if (action !== 'clear' && typeof medicationId === 'string' && medicationId) {
+        const timesPerDay = medication ? doseSlotsOn(medication, date) : 0;
+        if (!medication) {
+            errors.push(fieldError('medicationId', 'does not match any medication'));
+        } else if (Number.isInteger(doseIndex) && doseIndex >= timesPerDay) {
+            errors.push(fieldError('doseIndex', `must be less than ${timesPerDay} for ${medication.name}`));
+        }
+    }
+
+    if (action === 'set' && typeof taken !== 'boolean') {
+        errors.push(fieldError('taken', 'must be true or false'));
+    }
+    if (action === 'timestamp' && timestamp === undefined) {
+        errors.push(fieldError('timestamp', 'is required'));
+    }
+    if (timestamp !== undefined && timestamp !== null && action !== 'clear') {
+        errors.push(...validateTimestamp(timestamp, date, 'timestamp', action === 'timestamp'));
+    }
+    return errors;
+}
+
+// The { updates, versions } body of POST /api/entries/batch. Each update is
+// checked on its own with validateBatchUpdate.
+export function validateBatch({ updates, versions = {} }) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+        return [fieldError('updates', 'must be a non-empty array')];
+    }
+    if (updates.length > MAX_BATCH_UPDATES) {
+        return [fieldError('updates', `must contain at most ${MAX_BATCH_UPDATES} updates`)];
+    }
+    if (!versions || typeof versions !== 'object' || Array.isArray(versions)) {
+        return [fieldError('versions', 'must be an object of { date: version }')];
+    }
+    return [];
+}
+
+// One { action: 'set' | 'clear' | 'timestamp', ... } update of a batch
+export function validateBatchUpdate(update, medications) {
+    if (!update || typeof update !== 'object' || Array.isArray(update)) {
+        return [fieldError('update', 'must be an object')];
+    }
+    if (!BATCH_ACTIONS.includes(update.action)) {
+        return [fieldError('action', `must be one of ${BATCH_ACTIONS.join(', ')}`)];
+    }
+    return validateDoseUpdate(update, medications, update.action);
+}
+
+// Dose mutations shared by the single-entry routes and the batch route.
+// They operate on one day's entries ({ [medicationId]: { doses } }).
+export function setDose(entries, medicationId, doseIndex, taken, timestamp) {
+    if (!entries[medicationId]) {
+        entries[medicationId] = { doses: [] };
+    }
+
+    if (!entries[medicationId].doses) {
+        entries[medicationId].doses = [];
+    }
+
+    // Ensure doses array is large enough
+    while (entries[medicationId].doses.length <= doseIndex) {
+        entries[medicationId].doses.push(null);
+    }
+
+    entries[medicationId].doses[doseIndex] = {
+        taken: Boolean(taken),
+        timestamp: timestamp || new Date().toISOString(),
+    };
+}
+
+// Returns an error message if there is no dose to re-timestamp
+export function setDoseTimestamp(entries, medicationId, doseIndex, timestamp) {
+    if (!entries[medicationId] || !entries[medicationId].doses) {
+        return 'Medication entry not found';
+    }
+    if (!entries[medicationId].doses[doseIndex]) {
+        return 'Dose entry not found';
+    }
+
+    entries[medicationId].doses[doseIndex].timestamp = timestamp;
+    return null;
+}
+
+// Returns false if the dose was already clear
+export function clearDose(entries, medicationId, doseIndex) {
+    if (!entries[medicationId] || !entries[medicationId].doses ||
+        !entries[medicationId].doses[doseIndex]) {
+        return false;
+    }
+
+    // Remove the specific dose
+    entries[medicationId].doses[doseIndex] = null;
+
+    // Clean up if all doses are null
+    const hasAnyDoses = entries[medicationId].doses.some(d => d !== null);
+    if (!hasAnyDoses) {
+        delete entries[medicationId];
+    }
+    return true;
+}
+
+// Apply one validated batch update ({ action: 'set' | 'clear' | 'timestamp', ... })
+// to a day's entries, returning an error message or null
+export function applyBatchUpdate(entries, update) {
+    const { action, medicationId, taken, timestamp } = update;
+    const doseIndex = update.doseIndex || 0;
+
+    switch (action) {
+        case 'set':
+            setDose(entries, medicationId, doseIndex, taken, timestamp);
+            return null;
+        case 'timestamp':
+            return setDoseTimestamp(entries, medicationId, doseIndex, timestamp);
+        case 'clear':
+            clearDose(entries, medicationId, doseIndex);
+            return null;
+    }
+}
+
+export function doseAt(entries, medicationId, doseIndex) {
+    const dose = entries[medicationId] && entries[medicationId].doses &&
+        entries[medicationId].doses[doseIndex];
+    return dose ? { ...dose } : null;
+}
+
+// Write one validated dose update ({ action: 'set' | 'timestamp' | 'clear',
+// date, medicationId, doseIndex, ... }) into its month document, in place, if
+// the day is still at version `expected` (null skips the check). Returns the
+// day's { entries, version } and the history `event` for the write, or:
+//   - { entries, version } alone when clearing a dose that isn't recorded
+//   - { conflict: true, entries, version } when the day has moved on
+//   - { error, code } when there is no dose to re-timestamp
+export function applyDoseWrite(doc, update, expected) {
+    const { action, date, medicationId } = update;
+    const doseIndex = update.doseIndex || 0;
+    const currentVersion = doc.versions[date] || 0;
+    const entries = doc.days[date] || {};
+    const previous = doseAt(entries, medicationId, doseIndex);
+
+    // Already clear, whichever version the client saw
+    if (action === 'clear' && !previous) {
+        return { entries, version: currentVersion };
+    }
+    if (expected !== null && expected !== currentVersion) {
+        return { conflict: true, entries, version: currentVersion };
+    }
+    if (action === 'timestamp' && !doc.days[date]) {
+        return { error: 'Entry not found', code: 'entry_not_found' };
+    }
+    const error = applyBatchUpdate(entries, { ...update, doseIndex });
+    if (error) {
+        return { error, code: 'dose_not_found' };
+    }
+
+    const version = currentVersion + 1;
+    if (Object.keys(entries).length === 0) {
+        delete doc.days[date];
+    } else {
+        doc.days[date] = entries;
+    }
+    doc.versions[date] = version;
+    return {
+        entries,
+        version,
+        event: { action, date, medicationId, doseIndex, previous, value: doseAt(entries, medicationId, doseIndex), version },
+    };
+}
+
+// Check each update of a batch and group them by month and date. Returns the
+// `results` array, with an { ok: false } result for each invalid update, and
+// a Map of month => Map of date => indexes of that day's updates.
+export function groupBatchUpdates(updates, medications) {
+    const results = new Array(updates.length);
+    const byMonth = new Map();
+
+    updates.forEach((update, index) => {
+        const errors = validateBatchUpdate(update, medications);
+        if (errors.length > 0) {
+            results[index] = {
+                ok: false,
+                error: errors.map(e => `${e.field} ${e.message}`).join('; '),
+                errors,
+            };
+        }
+        if (!update || !isValidDate(update.date)) {
+            return;
+        }
+        const month = update.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, new Map());
+        const byDate = byMonth.get(month);
+        if (!byDate.has(update.date)) byDate.set(update.date, []);
+        byDate.get(update.date).push(index);
+    });
+    return { results, byMonth };
+}
+
+// Apply one month's days of a batch (from groupBatchUpdates) to its month
+// document, in place, filling in `results`. Each day is all-or-nothing: if
+// any update for a day fails, or the day's version doesn't match
+// `versions[date]`, none of that day's updates are written. Returns each
+// day's { entries, version } and the history events of the days written, as
+// [date, events] pairs; the document needs saving if there are any.
+export function applyBatchToMonth(doc, byDate, updates, versions, results) {
+    const days = {};
+    const history = [];
+
+    for (const [date, indexes] of byDate) {
+        const currentVersion = doc.versions[date] || 0;
+        const expected = versions[date];
+        const unchanged = { entries: doc.days[date] || {}, version: currentVersion };
+
+        if (expected !== undefined && expected !== currentVersion) {
+            for (const index of indexes) {
+                results[index] = { ok: false, conflict: true, error: 'This day was changed on another device' };
+            }
+            days[date] = unchanged;
+            continue;
+        }
+
+        // A day with an invalid update is skipped as a whole
+        if (indexes.some(index => results[index])) {
+            indexes.forEach(index => {
+                results[index] = results[index] || { ok: false, error: 'Not applied because another update for this day failed' };
+            });
+            days[date] = unchanged;
+            continue;
+        }
+
+        const entries = JSON.parse(JSON.stringify(doc.days[date] || {}));
+        const events = [];
+        const errors = indexes.map(index => {
+            const update = updates[index];
+            const doseIndex = update.doseIndex || 0;
+            const previous = doseAt(entries, update.medicationId, doseIndex);
+            const error = applyBatchUpdate(entries, update);
+            events.push({
+                action: update.action,
+                source: 'batch',
+                date,
+                medicationId: update.medicationId,
+                doseIndex,
+                previous,
+                value: doseAt(entries, update.medicationId, doseIndex),
+            });
+            return error;
+        });
+        if (errors.some(Boolean)) {
+            indexes.forEach((index, i) => {
+                results[index] = { ok: false, error: errors[i] || 'Not applied because another update for this day failed' };
+            });
+            days[date] = unchanged;
+            continue;
+        }
+
+        const version = currentVersion + 1;
+        if (Object.keys(entries).length === 0) {
+            delete doc.days[date];
+        } else {
+            doc.days[date] = entries;
+        }
+        doc.versions[date] = version;
+        history.push([date, events.map(event => ({ ...event, version }))]);
+
+        for (const index of indexes) {
+            results[index] = { ok: true };
+        }
+        days[date] = { entries, version };
+    }
+    return { days, history };
+}
+
+// Remove every recorded dose of a medication from a month document, in place,
+// bumping the version of each day that changed. Returns the number of days
+// touched; the document needs saving if there are any.
+export function purgeMedication(doc, medicationId) {
+    let touched = 0;
+    for (const [date, entries] of Object.entries(doc.days)) {
+        if (!entries[medicationId]) continue;
+        delete entries[medicationId];
+        if (Object.keys(entries).length === 0) {
+            delete doc.days[date];
+        }
+        doc.versions[date] = (doc.versions[date] || 0) + 1;
+        touched++;
+    }
+    return touched;
+}
+
+// One event per medication that was added, changed or removed
+export function diffMedications(previous, next) {
+    const events = [];
+    const before = new Map(previous.map(med => [med.id, med]));
+    const after = new Map(next.map(med => [med.id, med]));
+
+    for (const med of next) {
+        const old = before.get(med.id);
+        if (!old) {
+            events.push({ action: 'medication-added', medicationId: med.id, previous: null, value: med });
+        } else if (JSON.stringify(old) !== JSON.stringify(med)) {
+            events.push({ action: 'medication-updated', medicationId: med.id, previous: old, value: med });
+        }
+    }
+    for (const med of previous) {
+        if (!after.has(med.id)) {
+            events.push({ action: 'medication-removed', medicationId: med.id, previous: med, value: null });
+        }
+    }
+    return events;
+}
+
+function adherenceCounts() {
+    return {
+        scheduled: 0, taken: 0, missed: 0, unrecorded: 0, pending: 0,
+        takenAsScheduled: 0, daysScheduled: 0, daysCovered: 0,
+    };
+}
+
+// Percentages from raw counts. `adherence` is scheduled doses taken out of
+// those already due (pending doses from today on aren't held against it, and
+// doses logged on days they weren't due don't count); `recordedAdherence` is
+// taken / (taken + missed), which ignores doses nobody logged; `pdc` is the
+// proportion of days covered, i.e. days with every scheduled dose taken.
+function withAdherence(counts) {
+    const { takenAsScheduled, ...rest } = counts;
+    const due = counts.scheduled - counts.pending;
+    const recorded = counts.taken + counts.missed;
+    return {
+        ...rest,
+        adherence: due > 0 ? Math.round((takenAsScheduled / due) * 100) : null,
+        recordedAdherence: recorded > 0 ? Math.round((counts.taken / recorded) * 100) : null,
+        pdc: counts.daysScheduled > 0 ? Math.round((counts.daysCovered / counts.daysScheduled) * 100) : null,
+    };
+}
+
+// { [date]: { [medicationId]: [taken, missed] } } for days of entries, the
+// shape adherenceStats reads
+export function summarizeDays(days) {
+    const summary = {};
+    for (const [date, entries] of Object.entries(days)) {
+        for (const [medicationId, entry] of Object.entries(entries)) {
+            const doses = (entry.doses || []).filter(Boolean);
+            if (doses.length === 0) continue;
+            const taken = doses.filter(dose => dose.taken).length;
+            summary[date] = summary[date] || {};
+            summary[date][medicationId] = [taken, doses.length - taken];
+        }
+    }
+    return summary;
+}
+
+// Read and check the ?from=&to=&today=&groupBy=&medicationId= query of
+// GET /api/stats. Returns { error } or the options for adherenceStats; the
+// range defaults to the DEFAULT_STATS_DAYS days up to `today`.
+export function readStatsQuery(searchParams, defaultToday) {
+    const groupBy = searchParams.get('groupBy');
+    const medicationId = searchParams.get('medicationId');
+    const today = searchParams.get('today') || defaultToday;
+    let from = searchParams.get('from');
+    let to = searchParams.get('to');
+
+    if ((from || to) && !(isValidDate(from) && isValidDate(to))) {
+        return { error: 'from and to must both be dates in YYYY-MM-DD format' };
+    }
+    if (!isValidDate(today)) {
+        return { error: 'today must be a date in YYYY-MM-DD format' };
+    }
+    if (!from) {
+        to = today;
+        from = addDays(to, -(DEFAULT_STATS_DAYS - 1));
+    }
+    if (from > to) {
+        return { error: 'from must not be after to' };
+    }
+    if (Date.parse(to) - Date.parse(from) >= MAX_STATS_DAYS * DAY_MS) {
+        return { error: `The range must be at most ${MAX_STATS_DAYS} days` };
+    }
+    if (groupBy && !STATS_GROUPS.includes(groupBy)) {
+        return { error: `groupBy must be one of ${STATS_GROUPS.join(', ')}` };
+    }
+    return { from, to, today, groupBy, medicationId };
+}
+
+// Scheduled, taken, missed and unrecorded doses between two dates, in total
+// and per group. Schedules come from the medication list and recorded doses
+// from `summary` (see summarizeDays).
+//
+// Unmarked doses on or after `today` are pending rather than unrecorded, and
+// only days before `today` count towards PDC. Per medication, a day is covered
+// when all of its doses were taken; in the totals and per date group, when
+// every medication scheduled that day was.
+export function adherenceStats(medications, summary, { from, to, today, groupBy, medicationId }) {
+    // As-needed doses have nothing to adhere to
+    const meds = medications.filter(med => med.frequency !== 'as-needed' && (!medicationId || med.id === medicationId));
+    const totals = adherenceCounts();
+    const groups = new Map();
+    const groupKey = (date, med) => {
+        switch (groupBy) {
+            case 'day': return date;
+            case 'week': return weekStart(date);
+            case 'month': return date.slice(0, 7);
+            case 'medication': return med.id;
+            default: return null;
+        }
+    };
+
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        const past = date < today;
+        let dayScheduled = false;
+        let dayCovered = true;
+        let dayKey = null;
+
+        for (const med of meds) {
+            const scheduled = isScheduledOn(med, date) ? timesPerDayOn(med, date) : 0;
+            const [taken, missed] = (summary[date] && summary[date][med.id]) || [0, 0];
+            if (scheduled === 0 && taken + missed === 0) continue;
+
+            const unmarked = Math.max(0, scheduled - taken - missed);
+            const covered = taken >= scheduled;
+            const counts = {
+                scheduled,
+                taken,
+                missed,
+                unrecorded: past ? unmarked : 0,
+                pending: past ? 0 : unmarked,
+                takenAsScheduled: Math.min(taken, scheduled),
+            };
+            if (past && scheduled > 0) {
+                dayScheduled = true;
+                dayCovered = dayCovered && covered;
+            }
+
+            const key = groupKey(date, med);
+            if (key !== null && !groups.has(key)) groups.set(key, adherenceCounts());
+            if (groupBy === 'medication') {
+                if (past && scheduled > 0) {
+                    groups.get(key).daysScheduled++;
+                    if (covered) groups.get(key).daysCovered++;
+                }
+            } else {
+                dayKey = key;
+            }
+            for (const [field, value] of Object.entries(counts)) {
+                totals[field] += value;
+                if (key !== null) groups.get(key)[field] += value;
+            }
+        }
+
+        if (dayScheduled) {
+            totals.daysScheduled++;
+            if (dayCovered) totals.daysCovered++;
+            if (dayKey !== null) {
+                groups.get(dayKey).daysScheduled++;
+                if (dayCovered) groups.get(dayKey).daysCovered++;
+            }
+        }
+    }
+
+    const result = { totals: withAdherence(totals) };
+    if (groupBy) {
+        const keys = groupBy === 'medication'
+            ? meds.map(med => med.id).filter(id => groups.has(id))
+            : [...groups.keys()].sort();
+        result.groups = keys.map(key => {
+            const group = { key, ...withAdherence(groups.get(key)) };
+            if (groupBy === 'medication') {
+                const med = meds.find(m => m.id === key);
+                group.name = med.name;
+                group.archived = Boolean(med.archived);
+            }
+            return group;
+        });
+    }
+    return result;
+}
+
+// Turn a display name into a unique KV-safe profile ID
+export function profileIdFromName(name, profiles) {
+    const base = name
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 48) || 'profile';
+
+    let id = base;
+    let suffix = 2;
+    while (profiles.some(p => p.id === id)) {
+        id = `${base}-${suffix++}`;
+    }
+    return id;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Validate the editable profile fields, returning an error message or null
+export function validateProfileFields({ name, color, timezone }) {
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            return 'name is required';
+        }
+        if (name.trim().length > MAX_PROFILE_NAME_LENGTH) {
+            return `name must be at most ${MAX_PROFILE_NAME_LENGTH} characters`;
+        }
+    }
+    if (color !== undefined && (typeof color !== 'string' || !COLOR_PATTERN.test(color))) {
+        return 'color must be a hex color like #667eea';
+    }
+    if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimeZone(timezone))) {
+        return 'timezone must be an IANA time zone like Europe/London';
+    }
+    return null;
+}
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, createProfile, request } from './helpers.js';
+
+test('data routes need a session', async () => {
+    const env = createEnv();
+    await createFirstProfile(env);
+    const response = await request(env, 'GET', '/api/v1/data');
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'unauthorized');
+});
+
+test('the X-User-ID header is not trusted', async () => {
+    const env = createEnv();
+    const { profile } = await createFirstProfile(env);
+    const response = await request(env, 'GET', '/api/v1/data', { headers: { 'X-User-ID': profile.id } });
+    assert.equal(response.status, 401);
+});
+
+test('logging in with the right passcode returns a working session', async () => {
+    const env = createEnv();
+    const { profile } = await createFirstProfile(env, 'Alex', 'secret-1');
+    const login = await request(env, 'POST', '/api/v1/auth/login', {
+        body: { userId: profile.id, passcode: 'secret-1' },
+    });
+    assert.equal(login.status, 200);
+    assert.equal(login.body.userId, profile.id);
+
+    const session = await request(env, 'GET', '/api/v1/auth/session', { token: login.body.token });
+    assert.equal(session.status, 200);
+    assert.equal(session.body.userId, profile.id);
+});
+
+test('a wrong passcode is rejected', async () => {
+    const env = createEnv();
+    const { profile } = await createFirstProfile(env);
+    const login = await request(env, 'POST', '/api/v1/auth/login', {
+        body: { userId: profile.id, passcode: 'wrong' },
+    });
+    assert.equal(login.status, 401);
+    assert.equal(login.body.code, 'incorrect_passcode');
+});
+
+test('login is locked after five failures, even with the right passcode', async () => {
+    const env = createEnv();
+    const { profile } = await createFirstProfile(env, 'Alex', '1234');
+    for (let i = 0; i < 5; i++) {
+        const failed = await request(env, 'POST', '/api/v1/auth/login', {
+            body: { userId: profile.id, passcode: 'nope' },
+        });
+        assert.equal(failed.status, 401);
+    }
+    const locked = await request(env, 'POST', '/api/v1/auth/login', {
+        body: { userId: profile.id, passcode: '1234' },
+    });
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'too_many_attempts');
+});
+
+test('a tampered or forged token is rejected', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const [payload, signature] = token.split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ sub: 'someone-else', sid: 'x', exp: Date.now() + 60000 }))
+        .toString('base64url');
+
+    for (const bad of [`${forgedPayload}.${signature}`, `${payload}.${signature.slice(1)}x`, 'not-a-token']) {
+        const response = await request(env, 'GET', '/api/v1/data', { token: bad });
+        assert.equal(response.status, 401, bad);
+    }
+});
+
+test('a token signed with another secret is rejected', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const response = await request({ ...env, SESSION_SECRET: 'other-secret' }, 'GET', '/api/v1/data', { token });
+    assert.equal(response.status, 401);
+});
+
+test('logging out revokes the session', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    assert.equal((await request(env, 'POST', '/api/v1/auth/logout', { token })).status, 200);
+    assert.equal((await request(env, 'GET', '/api/v1/data', { token })).status, 401);
+});
+
+test('a session only reaches its own profile', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env, 'Alex');
+    const { profile: sam } = await createProfile(env, 'Sam', { token });
+    const response = await request(env, 'PUT', `/api/v1/profiles/${sam.id}`, {
+        body: { name: 'Samantha' },
+        token,
+    });
+    assert.equal(response.status, 403);
+});
+
+test('requests fail closed without SESSION_SECRET', async () => {
+    const env = createEnv({ SESSION_SECRET: undefined });
+    const response = await request(env, 'GET', '/api/v1/profiles');
+    assert.equal(response.status, 500);
+    assert.equal(response.body.code, 'server_not_configured');
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications, todayKey } from './helpers.js';
+
+const MEDICATIONS = [
+    { id: 'vit-d', name: 'Vitamin D', timesPerDay: 2, frequency: 'daily' },
+    { id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' },
+];
+
+async function setUp() {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, MEDICATIONS);
+    return { env, token };
+}
+
+function yesterdayKey() {
+    return new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+function taken(date, medicationId, doseIndex = 0) {
+    return { action: 'set', date, medicationId, doseIndex, taken: true, timestamp: new Date().toISOString() };
+}
+
+function batch(env, token, updates, versions) {
+    return request(env, 'POST', '/api/v1/entries/batch', { body: { updates, versions }, token });
+}
+
+async function dayEntries(env, token, date) {
+    const { body } = await request(env, 'GET', `/api/v1/data?from=${date}&to=${date}`, { token });
+    return { entries: body.entries[date] || {}, version: body.versions.entries[date] || 0 };
+}
+
+test('a batch marks every dose of several days at once', async () => {
+    const { env, token } = await setUp();
+    const today = todayKey();
+    const yesterday = yesterdayKey();
+    const response = await batch(env, token, [
+        taken(today, 'vit-d', 0), taken(today, 'vit-d', 1), taken(today, 'iron'), taken(yesterday, 'iron'),
+    ]);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.deepEqual(response.body.days[today].version, 1);
+    assert.equal((await dayEntries(env, token, today)).entries['vit-d'].doses.length, 2);
+    assert.equal((await dayEntries(env, token, yesterday)).entries.iron.doses[0].taken, true);
+});
+
+test('one invalid update leaves its whole day untouched but other days apply', async () => {
+    const { env, token } = await setUp();
+    const today = todayKey();
+    const yesterday = yesterdayKey();
+    const response = await batch(env, token, [
+        taken(today, 'vit-d', 0),
+        taken(today, 'no-such-medication'),
+        taken(yesterday, 'iron'),
+    ]);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.results[0].ok, false);
+    assert.match(response.body.results[0].error, /another update for this day failed/);
+    assert.equal(response.body.results[1].ok, false);
+    assert.equal(response.body.results[1].errors[0].field, 'medicationId');
+    assert.equal(response.body.results[2].ok, true);
+
+    assert.deepEqual(await dayEntries(env, token, today), { entries: {}, version: 0 });
+    assert.equal((await dayEntries(env, token, yesterday)).version, 1);
+});
+
+test('a stale day version rejects only that day', async () => {
+    const { env, token } = await setUp();
+    const today = todayKey();
+    const yesterday = yesterdayKey();
+    await batch(env, token, [taken(today, 'iron')]);
+
+    const response = await batch(env, token, [taken(today, 'vit-d'), taken(yesterday, 'vit-d')], { [today]: 0 });
+    assert.equal(response.body.results[0].conflict, true);
+    assert.equal(response.body.results[1].ok, true);
+    assert.equal(response.body.days[today].version, 1);
+    assert.equal((await dayEntries(env, token, today)).entries['vit-d'], undefined);
+});
+
+test('malformed updates are reported per update, not as a server error', async () => {
+    const { env, token } = await setUp();
+    const response = await batch(env, token, [null, 'set', { action: 'explode', date: todayKey() }]);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.results.map(result => result.ok), [false, false, false]);
+    assert.equal(response.body.results[2].errors[0].field, 'action');
+});
+
+test('the batch itself must be a non-empty array of at most 200 updates', async () => {
+    const { env, token } = await setUp();
+    for (const updates of [undefined, [], 'all', new Array(201).fill(taken(todayKey(), 'iron'))]) {
+        const response = await batch(env, token, updates);
+        assert.equal(response.status, 422);
+        assert.equal(response.body.errors[0].field, 'updates');
+    }
+});
@@ -0,0 +1,82 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications, todayKey } from './helpers.js';
+
+const VITAMIN_D = { id: 'vit-d', name: 'Vitamin D', timesPerDay: 2, frequency: 'daily' };
+
+async function setUp() {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [VITAMIN_D]);
+    return { env, token };
+}
+
+function setDose(env, token, doseIndex, ifMatch) {
+    return request(env, 'POST', '/api/v1/entry', {
+        body: { date: todayKey(), medicationId: VITAMIN_D.id, doseIndex, taken: true, timestamp: new Date().toISOString() },
+        token,
+        headers: ifMatch === undefined ? {} : { 'If-Match': ifMatch },
+    });
+}
+
+test('each write to a day bumps its version and returns it as the ETag', async () => {
+    const { env, token } = await setUp();
+    const first = await setDose(env, token, 0, '"0"');
+    assert.equal(first.status, 200);
+    assert.equal(first.body.version, 1);
+    assert.equal(first.headers.get('ETag'), '"1"');
+
+    const second = await setDose(env, token, 1, '"1"');
+    assert.equal(second.status, 200);
+    assert.equal(second.body.version, 2);
+});
+
+test('a stale If-Match on a day is a 409 with the current entries', async () => {
+    const { env, token } = await setUp();
+    await setDose(env, token, 0, '"0"');
+
+    const stale = await setDose(env, token, 1, '"0"');
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.code, 'conflict');
+    assert.equal(stale.body.current.version, 1);
+    assert.equal(stale.body.current.entries[VITAMIN_D.id].doses[0].taken, true);
+
+    const { body } = await request(env, 'GET', `/api/v1/data?from=${todayKey()}&to=${todayKey()}`, { token });
+    assert.equal(body.entries[todayKey()][VITAMIN_D.id].doses.length, 1);
+});
+
+test('writes without If-Match are last-writer-wins', async () => {
+    const { env, token } = await setUp();
+    await setDose(env, token, 0, '"0"');
+    const response = await setDose(env, token, 1);
+    assert.equal(response.status, 200);
+    assert.equal(response.body.version, 2);
+});
+
+test('a stale If-Match on the medication list is a 409 and changes nothing', async () => {
+    const { env, token } = await setUp();
+    const renamed = { ...VITAMIN_D, name: 'Vitamin D3' };
+
+    const ok = await request(env, 'POST', '/api/v1/medications', {
+        body: { medications: [renamed] },
+        token,
+        headers: { 'If-Match': '"1"' },
+    });
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.version, 2);
+
+    const stale = await request(env, 'POST', '/api/v1/medications', {
+        body: { medications: [] },
+        token,
+        headers: { 'If-Match': '"1"' },
+    });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.current.version, 2);
+    assert.deepEqual(stale.body.current.medications.map(m => m.name), ['Vitamin D3']);
+});
+
+test('a malformed If-Match never matches', async () => {
+    const { env, token } = await setUp();
+    const response = await setDose(env, token, 0, 'garbage');
+    assert.equal(response.status, 409);
+});
@@ -0,0 +1,205 @@
+// Test helpers: in-memory Workers KV and D1 bindings and a client that sends
+// requests straight to the Worker's fetch handler
+
+import { readdir, readFile } from 'node:fs/promises';
+import initSqlJs from 'sql.js';
+import worker from '../worker/worker.js';
+
+export const SESSION_SECRET = 'test-secret';
+
+// The parts of the KV API the Worker uses. Values are strings; list() pages
+// through keys in order and leaves out expired ones like KV does.
+export class MemoryKV {
+    constructor() {
+        this.values = new Map();
+        this.reads = 0;
+    }
+
+    async get(key, type) {
+        this.reads++;
+        const entry = this.values.get(key);
+        if (!entry || this.isExpired(entry)) return null;
+        return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    }
+
+    isExpired(entry) {
+        return Boolean(entry.expiresAt && entry.expiresAt <= Date.now());
+    }
+
+    async getWithMetadata(key, type) {
+        const value = await this.get(key, type);
+        return { value, metadata: value === null ? null : this.values.get(key).metadata || null };
+    }
+
+    async put(key, value, options = {}) {
+        let expiresAt = null;
+        if (options.expiration) {
+            expiresAt = options.expiration * 1000;
+        } else if (options.expirationTtl) {
+            expiresAt = Date.now() + options.expirationTtl * 1000;
+        }
+        this.values.set(key, { value: String(value), metadata: options.metadata, expiresAt });
+    }
+
+    async delete(key) {
+        this.values.delete(key);
+    }
+
+    async list({ prefix = '', limit = 1000, cursor } = {}) {
+        const names = [...this.values.keys()]
+            .filter(name => name.startsWith(prefix) && !this.isExpired(this.values.get(name)))
+            .sort();
+        const start = cursor ? Number(cursor) : 0;
+        const keys = names.slice(start, start + limit).map(name => {
+            const { metadata, expiresAt } = this.values.get(name);
+            return {
+                name,
+                ...(metadata ? { metadata } : {}),
+                ...(expiresAt ? { expiration: Math.ceil(expiresAt / 1000) } : {}),
+            };
+        });
+        const complete = start + limit >= names.length;
+        return { keys, list_complete: complete, ...(complete ? {} : { cursor: String(start + limit) }) };
+    }
+}
+
+// The parts of the D1 API the Worker uses, on an in-memory SQLite database
+// (sql.js) with the tables from worker/migrations. batch() runs its
+// statements in one transaction like D1 does.
+class MemoryD1Statement {
+    constructor(db, sql, params = []) {
+        this.db = db;
+        this.sql = sql;
+        this.params = params;
+    }
+
+    bind(...params) {
+        return new MemoryD1Statement(this.db, this.sql, params);
+    }
+
+    execute() {
+        const statement = this.db.prepare(this.sql);
+        const results = [];
+        try {
+            statement.bind(this.params.map(param => param === undefined ? null : param));
+            while (statement.step()) {
+                results.push(statement.getAsObject());
+            }
+        } finally {
+            statement.free();
+        }
+        return { results, success: true, meta: { changes: this.db.getRowsModified() } };
+    }
+
+    async all() {
+        return this.execute();
+    }
+
+    async run() {
+        return this.execute();
+    }
+
+    async first() {
+        return this.execute().results[0] || null;
+    }
+}
+
+export class MemoryD1 {
+    constructor(db) {
+        this.db = db;
+    }
+
+    // A database with the Worker's migrations applied
+    static async create() {
+        const SQL = await initSqlJs();
+        const db = new SQL.Database();
+        const migrations = new URL('../worker/migrations/', import.meta.url);
+        for (const name of (await readdir(migrations)).filter(name => name.endsWith('.sql')).sort()) {
+            db.run(await readFile(new URL(name, migrations), 'utf8'));
+        }
+        return new MemoryD1(db);
+    }
+
+    prepare(sql) {
+        return new MemoryD1Statement(this.db, sql);
+    }
+
+    async batch(statements) {
+        this.db.run('BEGIN');
+        try {
+            const results = statements.map(statement => statement.execute());
+            this.db.run('COMMIT');
+            return results;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw error;
+        }
+    }
+}
+
+// A fresh environment with an empty KV namespace
+export function createEnv(overrides = {}) {
+    return { MEDICATION_KV: new MemoryKV(), SESSION_SECRET, ...overrides };
+}
+
+// Send a request to the Worker. `body` is sent as JSON unless it is a string.
+// Resolves to { status, body, headers } with the body parsed when it is JSON.
+export async function request(env, method, path, { body, token, headers = {} } = {}) {
+    const response = await worker.fetch(new Request(`https://worker.test${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
+            ...headers,
+        },
+        body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body)),
+    }), env);
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Not JSON (CSV, iCalendar)
+    }
+    return { status: response.status, body: parsed, headers: response.headers };
+}
+
+// Create a profile with its passcode, resolving to { profile, token }. Pass
+// the token of a signed-in profile unless the server has no profiles yet.
+export async function createProfile(env, name = 'Alex', { passcode = '1234', token } = {}) {
+    const { body } = await request(env, 'POST', '/api/v1/profiles', { body: { name, passcode }, token });
+    return { profile: body.profile, token: body.session.token };
+}
+
+// The first profile on a fresh server
+export async function createFirstProfile(env, name = 'Alex', passcode = '1234') {
+    return createProfile(env, name, { passcode });
+}
+
+// Run the Worker's cron handler at `now`, waiting for the work it schedules
+export async function runCron(env, now) {
+    const pending = [];
+    await worker.scheduled({ scheduledTime: now.getTime() }, env, {
+        waitUntil: promise => pending.push(promise),
+    });
+    await Promise.all(pending);
+}
+
+// Today's date (YYYY-MM-DD) in UTC, which the Worker's date checks use
+export function todayKey() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// Today's date (YYYY-MM-DD) in a time zone
+export function dateIn(timeZone) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone }).format(new Date());
+}
+
+// Replace a profile's medication list, resolving to the new version
+export async function saveMedications(env, token, medications) {
+    const { status, body } = await request(env, 'POST', '/api/v1/medications', { body: { medications }, token });
+    if (status !== 200) {
+        throw new Error(`Saving medications failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return body.version;
+}
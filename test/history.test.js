@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications, todayKey } from './helpers.js';
+
+const IRON = { id: 'iron', name: 'Iron', timesPerDay: 2, frequency: 'daily' };
+
+async function setUp() {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [IRON]);
+    return { env, token };
+}
+
+// Toggle dose `doseIndex` of today `times` times
+async function toggleDose(env, token, doseIndex, times) {
+    for (let i = 0; i < times; i++) {
+        await request(env, 'POST', '/api/v1/entry', {
+            body: { date: todayKey(), medicationId: IRON.id, doseIndex, taken: i % 2 === 0, timestamp: new Date().toISOString() },
+            token,
+        });
+    }
+}
+
+function getHistory(env, token, params) {
+    return request(env, 'GET', `/api/v1/history?${new URLSearchParams(params)}`, { token });
+}
+
+test('dose changes are recorded with who made them, oldest first', async () => {
+    const { env, token } = await setUp();
+    await toggleDose(env, token, 0, 2);
+    const { body } = await getHistory(env, token, { date: todayKey() });
+    assert.deepEqual(body.history.map(event => [event.action, event.value.taken]), [['set', true], ['set', false]]);
+    assert.equal(body.history[0].userId, 'alex');
+    assert.equal(body.history[1].previous.taken, true);
+    assert.equal(body.cursor, null);
+});
+
+test('history can be filtered to one dose', async () => {
+    const { env, token } = await setUp();
+    await toggleDose(env, token, 0, 2);
+    await toggleDose(env, token, 1, 1);
+    const { body } = await getHistory(env, token, { date: todayKey(), medicationId: IRON.id, doseIndex: 1 });
+    assert.equal(body.history.length, 1);
+    assert.equal(body.history[0].doseIndex, 1);
+});
+
+test('history is paged newest first with a cursor', async () => {
+    const { env, token } = await setUp();
+    await toggleDose(env, token, 0, 7);
+
+    const seen = [];
+    let cursor = null;
+    do {
+        const { body } = await getHistory(env, token, { date: todayKey(), limit: 3, ...(cursor ? { cursor } : {}) });
+        assert.ok(body.history.length <= 3);
+        seen.unshift(...body.history.map(event => event.version));
+        cursor = body.cursor;
+    } while (cursor);
+    assert.deepEqual(seen, [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('reading history does not read each event separately', async () => {
+    const { env, token } = await setUp();
+    await toggleDose(env, token, 0, 30);
+    env.MEDICATION_KV.reads = 0;
+    const { body } = await getHistory(env, token, { date: todayKey() });
+    assert.equal(body.history.length, 30);
+    assert.ok(env.MEDICATION_KV.reads < 5, `${env.MEDICATION_KV.reads} reads`);
+});
+
+test('events too big for KV metadata are still returned and filtered', async () => {
+    const { env, token } = await setUp();
+    const taper = {
+        id: 'pred',
+        name: 'Prednisone '.repeat(9).trim(),
+        frequency: 'taper',
+        startDate: todayKey(),
+        timesPerDay: 1,
+        phases: Array.from({ length: 20 }, (_, i) => ({ days: 3, timesPerDay: 1, dose: `${40 - i} mg, taken with food in the morning` })),
+    };
+    await saveMedications(env, token, [IRON, taper]);
+
+    const { body } = await getHistory(env, token, { medicationId: 'pred' });
+    assert.equal(body.history.length, 1);
+    assert.equal(body.history[0].action, 'medication-added');
+    assert.equal(body.history[0].value.phases.length, 20);
+});
+
+test('limit must be from 1 to 500', async () => {
+    const { env, token } = await setUp();
+    for (const limit of ['0', '501', 'ten']) {
+        assert.equal((await getHistory(env, token, { limit })).status, 400, limit);
+    }
+});
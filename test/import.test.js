@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications } from './helpers.js';
+
+const CSV = [
+    'Date,Medication,Dose,Taken,Time',
+    '2026-01-05,Aspirin,1,yes,8:30 am',
+    '1/6/2026,aspirin,2,no,20:00',
+    'not a date,Aspirin,1,yes,',
+    '2026-01-07,Aspirin,1,maybe,',
+].join('\n');
+
+function importData(env, token, body) {
+    return request(env, 'POST', '/api/v1/import', { body: { format: 'csv', ...body }, token });
+}
+
+// The dose recorded for a medication on a day, if any
+async function doseOn(env, token, date, medicationId, doseIndex = 0) {
+    const { body } = await request(env, 'GET', `/api/v1/data?from=${date}&to=${date}`, { token });
+    const entry = body.entries[date] && body.entries[date][medicationId];
+    return (entry && entry.doses[doseIndex]) || null;
+}
+
+test('a dry run previews a CSV import without writing anything', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const { status, body } = await importData(env, token, { data: CSV, dryRun: true });
+
+    assert.equal(status, 200);
+    assert.deepEqual(body.columns, ['Date', 'Medication', 'Dose', 'Taken', 'Time']);
+    assert.deepEqual(body.mapping, { date: 'Date', medication: 'Medication', dose: 'Dose', taken: 'Taken', time: 'Time' });
+    assert.deepEqual(body.medications.created, ['Aspirin']);
+    assert.deepEqual([body.summary.rows, body.summary.valid, body.summary.invalid, body.summary.added], [4, 2, 2, 2]);
+    assert.deepEqual(body.errors.map(error => [error.row, error.field]), [[4, 'date'], [5, 'taken']]);
+
+    const { body: data } = await request(env, 'GET', '/api/v1/data', { token });
+    assert.deepEqual(data.medications, []);
+    assert.deepEqual(data.entries, {});
+});
+
+test('a CSV import creates medications by name and reads times in the importer\'s zone', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const { body } = await importData(env, token, { data: CSV, timezoneOffset: 240 });
+
+    assert.equal(body.summary.added, 2);
+    const { body: data } = await request(env, 'GET', '/api/v1/data', { token });
+    assert.equal(data.medications.length, 1);
+    const [aspirin] = data.medications;
+    assert.equal(aspirin.timesPerDay, 2);
+    assert.equal(aspirin.startDate, '2026-01-05');
+
+    assert.deepEqual(await doseOn(env, token, '2026-01-05', aspirin.id), { taken: true, timestamp: '2026-01-05T12:30:00.000Z' });
+    assert.equal((await doseOn(env, token, '2026-01-06', aspirin.id, 1)).taken, false);
+});
+
+test('columns can be mapped by hand, and an incomplete mapping is rejected', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily', startDate: '2026-01-01' }]);
+    const data = 'When;Drug;Status;Comment\n2026-01-05;IRON;x;with food\n';
+
+    const missing = await importData(env, token, { data, mapping: { date: 'When', medication: 'Drug' } });
+    assert.equal(missing.status, 422);
+    assert.deepEqual(missing.body.errors.map(error => error.field), ['mapping.taken']);
+
+    const mapping = { date: 'When', medication: 'Drug', taken: 'Status', notes: 'Comment' };
+    const { body } = await importData(env, token, { data, mapping });
+    assert.deepEqual(body.medications, { matched: ['Iron'], created: [] });
+    const dose = await doseOn(env, token, '2026-01-05', 'iron');
+    assert.equal(dose.taken, true);
+    assert.equal(dose.notes, 'with food');
+});
+
+test('the app\'s JSON export imports back onto the same medications', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ id: 'iron', name: 'Iron', timesPerDay: 2, frequency: 'daily', startDate: '2026-01-01' }]);
+    const doses = [
+        { date: '2026-01-05', medicationId: 'iron', medication: 'Iron', doseIndex: 1, status: 'missed', timestamp: '2026-01-05T20:00:00.000Z' },
+    ];
+
+    const { body } = await request(env, 'POST', '/api/v1/import', {
+        body: { format: 'json', data: JSON.stringify({ doses }) },
+        token,
+    });
+    assert.equal(body.summary.added, 1);
+    assert.deepEqual(await doseOn(env, token, '2026-01-05', 'iron', 1), { taken: false, timestamp: '2026-01-05T20:00:00.000Z' });
+
+    const bad = await request(env, 'POST', '/api/v1/import', { body: { format: 'json', data: '{' }, token });
+    assert.equal(bad.status, 422);
+});
+
+test('strategies decide what happens to doses that are already recorded', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily', startDate: '2026-01-01' }]);
+    await request(env, 'POST', '/api/v1/entry', {
+        body: { date: '2026-01-05', medicationId: 'iron', taken: true, timestamp: '2026-01-05T09:00:00.000Z' },
+        token,
+    });
+    const run = (strategy, time) => importData(env, token, {
+        data: `Date,Medication,Taken,Time\n2026-01-05,Iron,no,${time}\n`,
+        strategy,
+    });
+
+    const skipped = await run('skip', '2026-01-05T10:00:00Z');
+    assert.deepEqual([skipped.body.summary.conflicts, skipped.body.summary.skipped], [1, 1]);
+    assert.equal((await doseOn(env, token, '2026-01-05', 'iron')).taken, true);
+
+    const older = await run('newer', '2026-01-05T08:00:00Z');
+    assert.equal(older.body.summary.skipped, 1);
+    assert.equal((await doseOn(env, token, '2026-01-05', 'iron')).taken, true);
+
+    const newer = await run('newer', '2026-01-05T10:00:00Z');
+    assert.equal(newer.body.summary.changed, 1);
+    assert.equal((await doseOn(env, token, '2026-01-05', 'iron')).taken, false);
+
+    const overwritten = await importData(env, token, {
+        data: 'Date,Medication,Taken,Time\n2026-01-05,Iron,yes,2026-01-05T07:00:00Z\n',
+        strategy: 'overwrite',
+    });
+    assert.equal(overwritten.body.summary.changed, 1);
+    assert.deepEqual(await doseOn(env, token, '2026-01-05', 'iron'), { taken: true, timestamp: '2026-01-05T07:00:00.000Z' });
+});
+
+test('an import that fails partway reports what it saved, and a retry adds the rest', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const data = 'Date,Medication,Taken\n2026-01-31,Aspirin,yes\n2026-02-01,Aspirin,yes\n';
+
+    const put = env.MEDICATION_KV.put.bind(env.MEDICATION_KV);
+    env.MEDICATION_KV.put = async (key, ...rest) => {
+        if (key.includes(':months:2026-02')) throw new Error('KV unavailable');
+        return put(key, ...rest);
+    };
+    const failed = await importData(env, token, { data });
+    assert.equal(failed.status, 500);
+    assert.equal(failed.body.code, 'import_incomplete');
+    assert.deepEqual(failed.body.written, { medications: ['Aspirin'], dates: ['2026-01-31'] });
+
+    env.MEDICATION_KV.put = put;
+    const retried = await importData(env, token, { data });
+    assert.deepEqual(retried.body.medications, { matched: ['Aspirin'], created: [] });
+    assert.deepEqual([retried.body.summary.added, retried.body.summary.unchanged], [1, 1]);
+});
@@ -0,0 +1,120 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { addDays } from '../shared/medications.js';
+import { createEnv, createFirstProfile, dateIn, request, runCron, saveMedications, todayKey } from './helpers.js';
+
+const IRON = { id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' };
+
+test('archiving keeps the stop date the client sends', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [IRON]);
+    const { status, body } = await request(env, 'POST', '/api/v1/medication/iron/archive', {
+        body: { stopDate: '2024-03-01' },
+        token,
+    });
+    assert.equal(status, 200);
+    assert.equal(body.medications[0].stopDate, '2024-03-01');
+});
+
+test('archiving without a stop date uses today in the profile\'s timezone', async () => {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    for (const timeZone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+        await request(env, 'PUT', `/api/v1/profiles/${profile.id}`, { body: { timezone: timeZone }, token });
+        await saveMedications(env, token, [IRON]);
+        const { body } = await request(env, 'POST', '/api/v1/medication/iron/archive', { body: {}, token });
+        assert.equal(body.medications[0].stopDate, dateIn(timeZone), timeZone);
+    }
+});
+
+test('restoring clears the stop date', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ ...IRON, archived: true, stopDate: '2024-03-01' }]);
+    const { body } = await request(env, 'POST', '/api/v1/medication/iron/restore', { token });
+    assert.equal(body.medications[0].archived, undefined);
+    assert.equal(body.medications[0].stopDate, undefined);
+});
+
+test('a medication added without a start date starts today', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const today = todayKey();
+    const { body } = await request(env, 'POST', '/api/v1/medications', {
+        body: { medications: [IRON, { id: 'zinc', name: 'Zinc', timesPerDay: 1, frequency: 'daily', startDate: '2024-01-01' }] },
+        token,
+    });
+    assert.equal(body.medications[0].startDate, today);
+    assert.equal(body.medications[1].startDate, '2024-01-01');
+
+    const ended = { id: 'course', name: 'Course', timesPerDay: 1, frequency: 'daily', endDate: '2024-02-01' };
+    const { body: next } = await request(env, 'POST', '/api/v1/medications', {
+        body: { medications: [...body.medications, ended] },
+        token,
+    });
+    assert.equal(next.medications[0].startDate, today);
+    assert.equal(next.medications[2].startDate, '2024-02-01');
+});
+
+test('a new medication is not due on the days before it was added', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const today = todayKey();
+    await saveMedications(env, token, [IRON]);
+
+    const { body: stats } = await request(env, 'GET', `/api/v1/stats?from=${addDays(today, -6)}&to=${today}`, { token });
+    assert.equal(stats.totals.scheduled, 1);
+    assert.equal(stats.totals.unrecorded, 0);
+
+    await runCron(env, new Date());
+    const { body: data } = await request(env, 'GET', '/api/v1/data', { token });
+    assert.equal(data.entries[addDays(today, -1)], undefined);
+
+    const { body: calendar } = await request(env, 'GET', '/api/v1/calendar/token', { token });
+    const { body: ics } = await request(env, 'GET', `/api/v1/calendar.ics?token=${calendar.token}`);
+    assert.match(ics, new RegExp(`DTSTART:${today.replace(/-/g, '')}T`));
+
+    const { body: bundle } = await request(env, 'GET', '/api/v1/export?format=fhir', { token });
+    const statement = bundle.entry.find(entry => entry.resource.resourceType === 'MedicationStatement');
+    assert.equal(statement.resource.effectivePeriod.start, today);
+});
+
+test('deleting a medication removes its doses from every month and from stats', async () => {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    await saveMedications(env, token, [
+        { ...IRON, startDate: '2026-01-01' },
+        { id: 'zinc', name: 'Zinc', timesPerDay: 1, frequency: 'daily', startDate: '2026-01-01' },
+    ]);
+    for (const [date, medicationId] of [['2026-01-31', 'iron'], ['2026-02-01', 'iron'], ['2026-02-01', 'zinc']]) {
+        await request(env, 'POST', '/api/v1/entry', { body: { date, medicationId, taken: true }, token });
+    }
+
+    const { status, body } = await request(env, 'DELETE', '/api/v1/medication/iron', { token });
+    assert.equal(status, 200);
+    assert.equal(body.purgedDays, 2);
+    assert.deepEqual(body.medications.map(med => med.id), ['zinc']);
+
+    for (const month of ['2026-01', '2026-02']) {
+        const days = JSON.parse(env.MEDICATION_KV.values.get(`user:${profile.id}:months:${month}`).value);
+        assert.ok(Object.values(days).every(entries => !entries.iron), month);
+        // The month summaries stats are built from
+        const summary = JSON.parse(env.MEDICATION_KV.values.get(`user:${profile.id}:stats:${month}`).value);
+        assert.ok(Object.values(summary).every(counts => !counts.iron), month);
+    }
+    const { body: stats } = await request(env, 'GET', '/api/v1/stats?from=2026-01-31&to=2026-02-01&today=2026-02-02', { token });
+    assert.equal(stats.totals.taken, 1);
+    assert.equal(stats.totals.scheduled, 2);
+});
+
+test('deleting an unknown medication is a 404 and changes nothing', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const version = await saveMedications(env, token, [IRON]);
+    const { status, body } = await request(env, 'DELETE', '/api/v1/medication/nope', { token });
+    assert.equal(status, 404);
+    assert.equal(body.code, 'medication_not_found');
+    const { body: data } = await request(env, 'GET', '/api/v1/data', { token });
+    assert.equal(data.versions.medications, version);
+});
@@ -0,0 +1,94 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, createProfile, request } from './helpers.js';
+
+test('the first profile can be created without a session, with its passcode', async () => {
+    const env = createEnv();
+    const created = await request(env, 'POST', '/api/v1/profiles', { body: { name: 'Alex', passcode: '1234' } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.profile.id, 'alex');
+
+    const data = await request(env, 'GET', '/api/v1/data', { token: created.body.session.token });
+    assert.equal(data.status, 200);
+    const login = await request(env, 'POST', '/api/v1/auth/login', { body: { userId: 'alex', passcode: '1234' } });
+    assert.equal(login.status, 200);
+});
+
+test('more profiles need a session', async () => {
+    const env = createEnv();
+    await createFirstProfile(env);
+    const response = await request(env, 'POST', '/api/v1/profiles', { body: { name: 'Sam', passcode: '1234' } });
+    assert.equal(response.status, 401);
+});
+
+test('profiles are not created without a passcode', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    for (const passcode of [undefined, '', '123', 1234]) {
+        const response = await request(env, 'POST', '/api/v1/profiles', { body: { name: 'Sam', passcode }, token });
+        assert.equal(response.status, 400, String(passcode));
+    }
+    const { body } = await request(env, 'GET', '/api/v1/profiles');
+    assert.deepEqual(body.profiles.map(p => p.id), ['alex']);
+});
+
+test('a new profile cannot be claimed through /auth/setup', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env, 'Alex');
+    const { profile } = await createProfile(env, 'Bob', { token, passcode: 'bobs-passcode' });
+
+    const claim = await request(env, 'POST', '/api/v1/auth/setup', { body: { userId: profile.id, passcode: 'mine' } });
+    assert.equal(claim.status, 409);
+    assert.equal(claim.body.token, undefined);
+
+    const login = await request(env, 'POST', '/api/v1/auth/login', { body: { userId: profile.id, passcode: 'mine' } });
+    assert.equal(login.status, 401);
+});
+
+// Profiles adopted from KV data written before passcodes existed
+async function adoptedProfiles(env, ...userIds) {
+    for (const userId of userIds) {
+        await env.MEDICATION_KV.put(`user:${userId}:medications`, '[]');
+    }
+    const { body } = await request(env, 'GET', '/api/v1/profiles');
+    return body.profiles;
+}
+
+test('adopted profiles can set a passcode without a session until one has', async () => {
+    const env = createEnv();
+    assert.deepEqual((await adoptedProfiles(env, 'alex', 'bob')).map(p => p.id), ['alex', 'bob']);
+
+    const first = await request(env, 'POST', '/api/v1/auth/setup', { body: { userId: 'alex', passcode: '1234' } });
+    assert.equal(first.status, 201);
+
+    const anonymous = await request(env, 'POST', '/api/v1/auth/setup', { body: { userId: 'bob', passcode: '5678' } });
+    assert.equal(anonymous.status, 401);
+
+    const signedIn = await request(env, 'POST', '/api/v1/auth/setup', {
+        body: { userId: 'bob', passcode: '5678' },
+        token: first.body.token,
+    });
+    assert.equal(signedIn.status, 201);
+    assert.equal(signedIn.body.userId, 'bob');
+});
+
+test('setting up a passcode twice is refused', async () => {
+    const env = createEnv();
+    await adoptedProfiles(env, 'alex');
+    await request(env, 'POST', '/api/v1/auth/setup', { body: { userId: 'alex', passcode: '1234' } });
+    const again = await request(env, 'POST', '/api/v1/auth/setup', { body: { userId: 'alex', passcode: '9999' } });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'passcode_already_set');
+});
+
+test('a profile can only be deleted by its own session, and takes its data with it', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env, 'Alex');
+    const { profile: sam, token: samToken } = await createProfile(env, 'Sam', { token });
+
+    assert.equal((await request(env, 'DELETE', `/api/v1/profiles/${sam.id}`, { token })).status, 403);
+    assert.equal((await request(env, 'DELETE', `/api/v1/profiles/${sam.id}`, { token: samToken })).status, 200);
+
+    const keys = [...env.MEDICATION_KV.values.keys()].filter(key => key.startsWith(`user:${sam.id}:`));
+    assert.deepEqual(keys, []);
+});
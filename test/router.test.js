@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications } from './helpers.js';
+
+const ROUTES_WITH_BODIES = [
+    ['POST', '/api/v1/entry'],
+    ['PUT', '/api/v1/entry'],
+    ['DELETE', '/api/v1/entry'],
+    ['POST', '/api/v1/medications'],
+    ['POST', '/api/v1/medication/iron/archive'],
+    ['POST', '/api/v1/entries/batch'],
+    ['POST', '/api/v1/import'],
+    ['POST', '/api/v1/auth/login'],
+];
+
+async function setUp() {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' }]);
+    return { env, token };
+}
+
+test('a body that is not a JSON object is a 400, not a server error', async () => {
+    const { env, token } = await setUp();
+    for (const [method, path] of ROUTES_WITH_BODIES) {
+        for (const body of ['{"date":', 'null', '[]', '"text"', '42']) {
+            const response = await request(env, method, path, { body, token });
+            assert.equal(response.status, 400, `${method} ${path} ${body}`);
+            assert.equal(response.body.code, 'bad_request', `${method} ${path} ${body}`);
+        }
+    }
+});
+
+test('an empty body is checked like any other', async () => {
+    const { env, token } = await setUp();
+    const response = await request(env, 'POST', '/api/v1/entry', { body: '', token });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'validation_failed');
+});
+
+test('a bad body is only looked at once the request is authorized', async () => {
+    const { env } = await setUp();
+    const response = await request(env, 'POST', '/api/v1/entry', { body: 'null' });
+    assert.equal(response.status, 401);
+});
+
+test('unknown paths are 404 and wrong methods are 405 with Allow', async () => {
+    const { env, token } = await setUp();
+    assert.equal((await request(env, 'GET', '/api/v1/nothing-here', { token })).status, 404);
+    const response = await request(env, 'PATCH', '/api/v1/medications', { token });
+    assert.equal(response.status, 405);
+    assert.match(response.headers.get('Allow'), /POST/);
+});
@@ -0,0 +1,229 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    addDays, asNeededLimits, courseEndDate, everyOtherDayAsInterval, isScheduledOn, taperPhaseOn, timesPerDayOn,
+} from '../shared/medications.js';
+import { KVStorage } from '../worker/storage.js';
+import { createEnv, createFirstProfile, request, runCron, saveMedications, todayKey } from './helpers.js';
+
+// The dates from `from` to `to` on which a medication is due
+function dueDates(med, from, to) {
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (isScheduledOn(med, date)) dates.push(date);
+    }
+    return dates;
+}
+
+// Save a medication list, resolving to the validation errors' fields (none
+// when it was saved)
+async function saveErrors(medications) {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    const { status, body } = await request(env, 'POST', '/api/v1/medications', { body: { medications }, token });
+    return status === 422 ? body.errors.map(error => error.field) : [];
+}
+
+test('interval medications keep their spacing across month ends', () => {
+    const everyOther = { id: 'a', name: 'A', frequency: 'interval', intervalDays: 2, intervalStart: '2026-01-30' };
+    assert.deepEqual(dueDates(everyOther, '2026-01-28', '2026-02-03'),
+        ['2026-01-28', '2026-01-30', '2026-02-01', '2026-02-03']);
+
+    const fortnightly = { ...everyOther, intervalDays: 14, intervalStart: '2026-03-10' };
+    assert.deepEqual(dueDates(fortnightly, '2026-02-01', '2026-04-30'),
+        ['2026-02-10', '2026-02-24', '2026-03-10', '2026-03-24', '2026-04-07', '2026-04-21']);
+});
+
+test('interval medications need a whole number of days and a start', async () => {
+    const med = { id: 'a', name: 'A', frequency: 'interval', intervalDays: 3, intervalStart: '2026-01-01' };
+    assert.deepEqual(await saveErrors([med]), []);
+    assert.deepEqual(await saveErrors([{ ...med, intervalDays: 1 }]), ['medications[0].intervalDays']);
+    assert.deepEqual(await saveErrors([{ ...med, intervalDays: 2.5 }]), ['medications[0].intervalDays']);
+    assert.deepEqual(await saveErrors([{ ...med, intervalStart: undefined }]), ['medications[0].intervalStart']);
+});
+
+test('every-other-day medications become 2-day intervals in the same phase', async () => {
+    const migrated = everyOtherDayAsInterval({ id: 'a', name: 'A', frequency: 'every-other-day' }, '2026-01-31');
+    assert.equal(migrated.intervalStart, '2026-01-30');
+    assert.deepEqual(dueDates(migrated, '2026-01-26', '2026-01-31'), ['2026-01-26', '2026-01-28', '2026-01-30']);
+
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    const storage = new KVStorage(env.MEDICATION_KV);
+    const stored = [{ id: 'a', name: 'A', timesPerDay: 1, frequency: 'every-other-day', startDate: '2026-01-01' }];
+    await storage.saveMedications(profile.id, stored, 3);
+
+    const { body } = await request(env, 'GET', '/api/v1/data', { token });
+    const [med] = body.medications;
+    assert.equal(med.frequency, 'interval');
+    assert.equal(med.intervalDays, 2);
+    assert.ok(med.intervalStart <= todayKey());
+    assert.equal(Number(med.intervalStart.slice(8, 10)) % 2, 0);
+    assert.equal(body.versions.medications, 3);
+
+    // Reads, including share links and the cron, leave the stored list alone
+    const { body: share } = await request(env, 'POST', '/api/v1/shares', { body: { scope: 'calendar' }, token });
+    const shared = await request(env, 'GET', '/api/v1/data', { headers: { 'X-Share-Token': share.share.token } });
+    assert.deepEqual(shared.body.medications, body.medications);
+    await runCron(env, new Date());
+    assert.deepEqual(await storage.getMedications(profile.id), { medications: stored, version: 3 });
+
+    // Saving the list as it was read stores the interval
+    const saved = await request(env, 'POST', '/api/v1/medications', {
+        body: { medications: body.medications },
+        headers: { 'If-Match': '"3"' },
+        token,
+    });
+    assert.equal(saved.status, 200);
+    assert.deepEqual(await storage.getMedications(profile.id), { medications: body.medications, version: 4 });
+
+    // Older clients may still send the old frequency
+    await saveMedications(env, token, stored);
+    assert.equal((await storage.getMedications(profile.id)).medications[0].frequency, 'interval');
+});
+
+const TAPER = {
+    id: 'prednisone',
+    name: 'Prednisone',
+    timesPerDay: 2,
+    frequency: 'taper',
+    startDate: '2026-03-01',
+    phases: [
+        { days: 2, timesPerDay: 2, dose: '40mg' },
+        { days: 3, timesPerDay: 1, dose: '20mg' },
+    ],
+};
+
+test('a taper is due every day of its phases with each phase\'s doses', () => {
+    assert.deepEqual(dueDates(TAPER, '2026-02-27', '2026-03-08'),
+        ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05']);
+    assert.deepEqual(['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-05'].map(date => timesPerDayOn(TAPER, date)),
+        [2, 2, 1, 1]);
+    assert.equal(taperPhaseOn(TAPER, '2026-03-03').dose, '20mg');
+    assert.equal(courseEndDate(TAPER), '2026-03-05');
+    assert.equal(courseEndDate({ ...TAPER, endDate: '2026-03-03' }), '2026-03-03');
+});
+
+test('taper doses are checked against the phase of their day', async () => {
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [TAPER]);
+    const entry = (date, doseIndex) => request(env, 'POST', '/api/v1/entry', {
+        body: { date, medicationId: 'prednisone', doseIndex, taken: true },
+        token,
+    });
+    assert.equal((await entry('2026-03-02', 1)).status, 200);
+    const secondDose = await entry('2026-03-04', 1);
+    assert.equal(secondDose.status, 422);
+    assert.equal(secondDose.body.errors[0].field, 'doseIndex');
+
+    const { body: stats } = await request(env, 'GET', '/api/v1/stats?from=2026-02-28&to=2026-03-07&today=2026-03-08', { token });
+    assert.equal(stats.totals.scheduled, 7);
+    assert.equal(stats.totals.taken, 1);
+});
+
+test('tapers need a start date and valid phases', async () => {
+    assert.deepEqual(await saveErrors([TAPER]), []);
+    assert.deepEqual(await saveErrors([{ ...TAPER, startDate: undefined }]), ['medications[0].startDate']);
+    assert.deepEqual(await saveErrors([{ ...TAPER, phases: [] }]), ['medications[0].phases']);
+    assert.deepEqual(await saveErrors([{ ...TAPER, phases: [{ days: 0, timesPerDay: 13, dose: '' }] }]),
+        ['medications[0].phases[0].days', 'medications[0].phases[0].timesPerDay', 'medications[0].phases[0].dose']);
+});
+
+test('monthly medications fall on the last day of shorter months', async () => {
+    const monthly = { id: 'b12', name: 'B12', timesPerDay: 1, frequency: 'monthly', dayOfMonth: 31, startDate: '2026-01-01' };
+    assert.deepEqual(dueDates(monthly, '2026-01-01', '2026-04-30'),
+        ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    assert.deepEqual(dueDates({ ...monthly, dayOfMonth: 1 }, '2026-01-01', '2026-03-31'),
+        ['2026-01-01', '2026-02-01', '2026-03-01']);
+
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [monthly]);
+    const { body: stats } = await request(env, 'GET', '/api/v1/stats?from=2026-02-01&to=2026-02-28&today=2026-03-01', { token });
+    assert.equal(stats.totals.scheduled, 1);
+    assert.equal(stats.totals.unrecorded, 1);
+});
+
+test('nth-weekday medications fall on the nth or last weekday of each month', () => {
+    const firstMonday = { id: 'a', name: 'A', frequency: 'nth-weekday', weekday: '1', weekOfMonth: 1 };
+    assert.deepEqual(dueDates(firstMonday, '2026-01-01', '2026-04-30'),
+        ['2026-01-05', '2026-02-02', '2026-03-02', '2026-04-06']);
+
+    const lastFriday = { ...firstMonday, weekday: '5', weekOfMonth: -1 };
+    assert.deepEqual(dueDates(lastFriday, '2026-01-01', '2026-04-30'),
+        ['2026-01-30', '2026-02-27', '2026-03-27', '2026-04-24']);
+});
+
+test('cycle medications repeat their on and off days from the cycle start', () => {
+    const fiveTwo = { id: 'a', name: 'A', frequency: 'cycle', cycleDaysOn: 5, cycleDaysOff: 2, cycleStart: '2026-03-02' };
+    assert.deepEqual(dueDates(fiveTwo, '2026-02-27', '2026-03-12'), [
+        '2026-02-27',
+        '2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06',
+        '2026-03-09', '2026-03-10', '2026-03-11', '2026-03-12',
+    ]);
+
+    const pill = { ...fiveTwo, cycleDaysOn: 21, cycleDaysOff: 7, cycleStart: '2026-03-01' };
+    const due = dueDates(pill, '2026-03-01', '2026-04-25');
+    assert.equal(due.length, 21 + 21);
+    assert.equal(due[20], '2026-03-21');
+    assert.equal(due[21], '2026-03-29');
+});
+
+test('monthly, nth-weekday and cycle fields are validated', async () => {
+    assert.deepEqual(await saveErrors([{ id: 'a', name: 'A', frequency: 'monthly', dayOfMonth: 32 }]),
+        ['medications[0].dayOfMonth']);
+    assert.deepEqual(await saveErrors([{ id: 'a', name: 'A', frequency: 'nth-weekday', weekday: 1, weekOfMonth: 6 }]),
+        ['medications[0].weekOfMonth', 'medications[0].weekday']);
+    assert.deepEqual(await saveErrors([{ id: 'a', name: 'A', frequency: 'cycle', cycleDaysOn: 21, cycleDaysOff: 0 }]),
+        ['medications[0].cycleDaysOff', 'medications[0].cycleStart']);
+});
+
+const IBUPROFEN = { id: 'ibuprofen', name: 'Ibuprofen', timesPerDay: 1, frequency: 'as-needed', startDate: '2026-01-01' };
+const HOUR_MS = 60 * 60 * 1000;
+
+test('as-needed limits say when the next dose is allowed', () => {
+    const at = Date.parse('2026-03-02T12:00:00Z');
+    const med = { ...IBUPROFEN, maxPer24h: 3, minIntervalMinutes: 240 };
+
+    assert.equal(asNeededLimits(med, [], at), null);
+    assert.equal(asNeededLimits(med, [at - 5 * HOUR_MS], at), null);
+    // Doses logged later than `at` don't count
+    assert.equal(asNeededLimits(med, [at + HOUR_MS], at), null);
+
+    const tooSoon = asNeededLimits(med, [at - HOUR_MS], at);
+    assert.deepEqual(tooSoon, { tooSoon: true, tooMany: false, takenIn24h: 1, nextAllowed: at + 3 * HOUR_MS });
+
+    // Rolling 24 hours: allowed again once the oldest of the three is a day old
+    const tooMany = asNeededLimits(med, [at - 5 * HOUR_MS, at - 20 * HOUR_MS, at - 10 * HOUR_MS], at);
+    assert.deepEqual(tooMany, { tooSoon: false, tooMany: true, takenIn24h: 3, nextAllowed: at + 4 * HOUR_MS });
+    assert.equal(asNeededLimits(med, [at - 5 * HOUR_MS, at - 25 * HOUR_MS, at - 10 * HOUR_MS], at), null);
+});
+
+test('as-needed medications are never due, missed or counted in adherence', async () => {
+    assert.deepEqual(dueDates(IBUPROFEN, '2026-03-01', '2026-03-07'), []);
+
+    const env = createEnv();
+    const { token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ ...IBUPROFEN, startDate: addDays(todayKey(), -7) }]);
+    const entry = doseIndex => request(env, 'POST', '/api/v1/entry', {
+        body: { date: '2026-03-02', medicationId: 'ibuprofen', doseIndex, taken: true },
+        token,
+    });
+    assert.equal((await entry(9)).status, 200);
+    assert.equal((await entry(50)).status, 422);
+
+    const { body: stats } = await request(env, 'GET', '/api/v1/stats?from=2026-03-01&to=2026-03-07&today=2026-03-08', { token });
+    assert.equal(stats.totals.scheduled, 0);
+    assert.equal(stats.totals.taken, 0);
+
+    await runCron(env, new Date());
+    const { body: data } = await request(env, 'GET', `/api/v1/data?from=${addDays(todayKey(), -1)}&to=${todayKey()}`, { token });
+    assert.deepEqual(data.entries, {});
+});
+
+test('as-needed limits are validated', async () => {
+    assert.deepEqual(await saveErrors([{ ...IBUPROFEN, maxPer24h: 4, minIntervalMinutes: 360 }]), []);
+    assert.deepEqual(await saveErrors([{ ...IBUPROFEN, maxPer24h: 0, minIntervalMinutes: 24 * 60 + 1 }]),
+        ['medications[0].maxPer24h', 'medications[0].minIntervalMinutes']);
+});
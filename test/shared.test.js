@@ -0,0 +1,158 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    adherenceStats,
+    applyBatchToMonth,
+    applyBatchUpdate,
+    applyDoseWrite,
+    groupBatchUpdates,
+    purgeMedication,
+    readStatsQuery,
+    summarizeDays,
+    validateBatch,
+    validateBatchUpdate,
+    validateMedicationList,
+    withArchived,
+} from '../shared/medications.js';
+
+// The rules in shared/medications.js are what both the Worker and the app's
+// local mode run, so these tests hold for either backend
+
+const medications = [{ id: 'zinc', name: 'Zinc', timesPerDay: 2, frequency: 'daily', startDate: '2026-01-01' }];
+
+test('an invalid medication list is described field by field', () => {
+    const errors = validateMedicationList([{ id: 'a', name: '', timesPerDay: 99, frequency: 'daily' }]);
+    assert.deepEqual(errors.map(error => error.field), ['medications[0].name', 'medications[0].timesPerDay']);
+    assert.deepEqual(validateMedicationList(medications), []);
+});
+
+test('malformed batch items are rejected without throwing', () => {
+    for (const update of [null, 5, 'set', [], {}]) {
+        const errors = validateBatchUpdate(update, medications);
+        assert.equal(errors.length, 1, JSON.stringify(update));
+    }
+    const outOfRange = validateBatchUpdate(
+        { action: 'set', date: '2026-03-02', medicationId: 'zinc', doseIndex: 2, taken: true }, medications);
+    assert.equal(outOfRange[0].field, 'doseIndex');
+
+    assert.equal(validateBatch({ updates: [] })[0].field, 'updates');
+    assert.equal(validateBatch({ updates: [{}], versions: [] })[0].field, 'versions');
+});
+
+test('a valid batch update changes only its own dose', () => {
+    const update = { action: 'set', date: '2026-03-02', medicationId: 'zinc', doseIndex: 1, taken: true,
+        timestamp: '2026-03-02T09:00:00.000Z' };
+    assert.deepEqual(validateBatchUpdate(update, medications), []);
+
+    const entries = {};
+    applyBatchUpdate(entries, update);
+    assert.equal(entries.zinc.doses[0], null);
+    assert.equal(entries.zinc.doses[1].taken, true);
+});
+
+// A month document with one dose of zinc on March 2, at version 3
+function march() {
+    return {
+        days: { '2026-03-02': { zinc: { doses: [{ taken: true, timestamp: '2026-03-02T08:00:00.000Z' }] } } },
+        versions: { '2026-03-02': 3 },
+    };
+}
+
+test('a dose write bumps the day version unless it conflicts or has nothing to change', () => {
+    const doc = march();
+    const set = { action: 'set', date: '2026-03-02', medicationId: 'zinc', doseIndex: 1, taken: false,
+        timestamp: '2026-03-02T20:00:00.000Z' };
+    assert.deepEqual(applyDoseWrite(doc, set, 2), { conflict: true, entries: march().days['2026-03-02'], version: 3 });
+
+    const written = applyDoseWrite(doc, set, 3);
+    assert.equal(written.version, 4);
+    assert.deepEqual(written.event, { action: 'set', date: '2026-03-02', medicationId: 'zinc', doseIndex: 1,
+        previous: null, value: { taken: false, timestamp: '2026-03-02T20:00:00.000Z' }, version: 4 });
+    assert.equal(doc.versions['2026-03-02'], 4);
+
+    // Clearing a dose that isn't there succeeds whatever version was expected
+    const absent = applyDoseWrite(doc, { action: 'clear', date: '2026-03-05', medicationId: 'zinc', doseIndex: 0 }, 7);
+    assert.deepEqual(absent, { entries: {}, version: 0 });
+
+    const retime = { action: 'timestamp', medicationId: 'zinc', doseIndex: 0, timestamp: '2026-03-05T09:00:00.000Z' };
+    assert.equal(applyDoseWrite(doc, { ...retime, date: '2026-03-05' }, null).code, 'entry_not_found');
+    assert.equal(applyDoseWrite(doc, { ...retime, date: '2026-03-02', doseIndex: 1 }, null).version, 5);
+    assert.equal(applyDoseWrite(doc, { ...retime, date: '2026-03-02', medicationId: 'iron' }, null).code, 'dose_not_found');
+
+    // Clearing the last doses removes the day but keeps its version
+    applyDoseWrite(doc, { action: 'clear', date: '2026-03-02', medicationId: 'zinc', doseIndex: 0 }, null);
+    const cleared = applyDoseWrite(doc, { action: 'clear', date: '2026-03-02', medicationId: 'zinc', doseIndex: 1 }, null);
+    assert.equal(cleared.event.value, null);
+    assert.deepEqual(doc, { days: {}, versions: { '2026-03-02': 7 } });
+});
+
+test('a batch is applied all-or-nothing per day', () => {
+    const doc = march();
+    const updates = [
+        { action: 'set', date: '2026-03-02', medicationId: 'zinc', doseIndex: 1, taken: true },
+        { action: 'timestamp', date: '2026-03-03', medicationId: 'zinc', doseIndex: 0, timestamp: '2026-03-03T09:00:00.000Z' },
+        { action: 'set', date: '2026-03-03', medicationId: 'zinc', doseIndex: 1, taken: true },
+        { action: 'set', date: '2026-03-04', medicationId: 'zinc', doseIndex: 5, taken: true },
+        { action: 'clear', date: '2026-03-06', medicationId: 'zinc', doseIndex: 0 },
+    ];
+    const { results, byMonth } = groupBatchUpdates(updates, medications);
+    assert.deepEqual([...byMonth.keys()], ['2026-03']);
+    assert.equal(results[3].errors[0].field, 'doseIndex');
+
+    const { days, history } = applyBatchToMonth(doc, byMonth.get('2026-03'), updates, { '2026-03-06': 1 }, results);
+    assert.deepEqual(results.map(result => result.ok), [true, false, false, false, false]);
+    assert.equal(results[2].error, 'Not applied because another update for this day failed');
+    assert.equal(results[4].conflict, true);
+
+    assert.deepEqual(history.map(([date, events]) => [date, events.map(event => event.version)]), [['2026-03-02', [4]]]);
+    assert.equal(history[0][1][0].source, 'batch');
+    assert.deepEqual(Object.keys(doc.days), ['2026-03-02']);
+    assert.deepEqual(doc.versions, { '2026-03-02': 4 });
+    assert.deepEqual(days['2026-03-03'], { entries: {}, version: 0 });
+    assert.equal(days['2026-03-02'].entries.zinc.doses[1].taken, true);
+});
+
+test('purging a medication removes its doses and bumps the days it was on', () => {
+    const doc = march();
+    doc.days['2026-03-03'] = { zinc: { doses: [{ taken: true }] }, iron: { doses: [{ taken: false }] } };
+    doc.days['2026-03-04'] = { iron: { doses: [{ taken: true }] } };
+    assert.equal(purgeMedication(doc, 'zinc'), 2);
+    assert.deepEqual(doc.days, {
+        '2026-03-03': { iron: { doses: [{ taken: false }] } },
+        '2026-03-04': { iron: { doses: [{ taken: true }] } },
+    });
+    assert.deepEqual(doc.versions, { '2026-03-02': 4, '2026-03-03': 1 });
+    assert.equal(purgeMedication(doc, 'zinc'), 0);
+});
+
+test('archiving sets a stop date and restoring removes it', () => {
+    const archived = withArchived(medications, 'zinc', '2026-03-05');
+    assert.deepEqual(archived[0], { ...medications[0], archived: true, stopDate: '2026-03-05' });
+    assert.deepEqual(withArchived(archived, 'zinc', null), medications);
+    assert.deepEqual(withArchived(medications, 'iron', '2026-03-05'), medications);
+});
+
+test('stats count scheduled, taken, missed, unrecorded and pending doses', () => {
+    const summary = summarizeDays({
+        '2026-03-01': { zinc: { doses: [{ taken: true }, { taken: false }] } },
+        '2026-03-02': { zinc: { doses: [{ taken: true }] } },
+    });
+    const query = readStatsQuery(new URLSearchParams('from=2026-03-01&to=2026-03-03&groupBy=day'), '2026-03-03');
+    const { totals, groups } = adherenceStats(medications, summary, query);
+
+    assert.deepEqual(
+        [totals.scheduled, totals.taken, totals.missed, totals.unrecorded, totals.pending],
+        [6, 2, 1, 1, 2]);
+    assert.equal(totals.daysScheduled, 2);
+    assert.equal(totals.daysCovered, 0);
+    assert.deepEqual(groups.map(group => group.key), ['2026-03-01', '2026-03-02', '2026-03-03']);
+});
+
+test('stats queries are checked', () => {
+    const read = query => readStatsQuery(new URLSearchParams(query), '2026-03-03');
+    assert.ok(read('from=2026-03-01').error);
+    assert.ok(read('from=2026-03-05&to=2026-03-01').error);
+    assert.ok(read('from=2024-01-01&to=2026-03-01').error);
+    assert.ok(read('groupBy=year').error);
+    assert.deepEqual(read(''), { from: '2026-02-02', to: '2026-03-03', today: '2026-03-03', groupBy: null, medicationId: null });
+});
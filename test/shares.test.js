@@ -0,0 +1,76 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, request, saveMedications } from './helpers.js';
+
+async function setUp() {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    await saveMedications(env, token, [{ id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' }]);
+    return { env, profile, token };
+}
+
+async function createShare(env, token, scope) {
+    const { status, body } = await request(env, 'POST', '/api/v1/shares', { body: { scope }, token });
+    assert.equal(status, 201);
+    return body.share;
+}
+
+function asShare(env, share, method, path, body) {
+    return request(env, method, path, { body, headers: { 'X-Share-Token': share.token } });
+}
+
+test('a calendar link shows the calendar but not statistics', async () => {
+    const { env, profile, token } = await setUp();
+    const share = await createShare(env, token, 'calendar');
+
+    const about = await asShare(env, share, 'GET', '/api/v1/share');
+    assert.equal(about.status, 200);
+    assert.equal(about.body.profile.id, profile.id);
+    assert.equal(about.body.scope, 'calendar');
+
+    const data = await asShare(env, share, 'GET', '/api/v1/data');
+    assert.equal(data.status, 200);
+    assert.equal(data.body.medications[0].id, 'iron');
+
+    const stats = await asShare(env, share, 'GET', '/api/v1/stats');
+    assert.equal(stats.status, 403);
+    assert.equal(stats.body.code, 'share_scope');
+});
+
+test('an analytics link also shows statistics', async () => {
+    const { env, token } = await setUp();
+    const share = await createShare(env, token, 'analytics');
+    assert.equal((await asShare(env, share, 'GET', '/api/v1/data')).status, 200);
+    assert.equal((await asShare(env, share, 'GET', '/api/v1/stats')).status, 200);
+});
+
+test('share links cannot reach unshared routes or change anything', async () => {
+    const { env, token } = await setUp();
+    const share = await createShare(env, token, 'analytics');
+
+    for (const path of ['/api/v1/history?scope=medications', '/api/v1/shares', '/api/v1/webhooks', '/api/v1/export']) {
+        const response = await asShare(env, share, 'GET', path);
+        assert.equal(response.status, 403, path);
+        assert.equal(response.body.code, 'share_scope', path);
+    }
+    const write = await asShare(env, share, 'POST', '/api/v1/medications', { medications: [] });
+    assert.equal(write.status, 403);
+    assert.equal(write.body.code, 'share_read_only');
+});
+
+test('a revoked link stops working straight away', async () => {
+    const { env, token } = await setUp();
+    const share = await createShare(env, token, 'calendar');
+    assert.equal((await request(env, 'DELETE', `/api/v1/shares/${share.id}`, { token })).status, 200);
+
+    const response = await asShare(env, share, 'GET', '/api/v1/data');
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'share_expired');
+});
+
+test('an unknown scope is rejected', async () => {
+    const { env, token } = await setUp();
+    const response = await request(env, 'POST', '/api/v1/shares', { body: { scope: 'everything' }, token });
+    assert.equal(response.status, 422);
+    assert.equal(response.body.errors[0].field, 'scope');
+});
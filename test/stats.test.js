@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createEnv, createFirstProfile, dateIn, request } from './helpers.js';
+
+test('stats without `today` use today in the profile\'s timezone', async () => {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    for (const timeZone of ['Pacific/Kiritimati', 'Pacific/Pago_Pago']) {
+        await request(env, 'PUT', `/api/v1/profiles/${profile.id}`, { body: { timezone: timeZone }, token });
+        const { body } = await request(env, 'GET', '/api/v1/stats', { token });
+        assert.equal(body.today, dateIn(timeZone), timeZone);
+        assert.equal(body.range.to, dateIn(timeZone), timeZone);
+    }
+});
+
+test('daily summaries without a range end today in the profile\'s timezone', async () => {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    // Kiritimati is always a day or more ahead of Pago Pago
+    const ahead = dateIn('Pacific/Kiritimati');
+    await env.MEDICATION_KV.put(`user:${profile.id}:daily-summaries:${ahead.slice(0, 7)}`,
+        JSON.stringify({ [ahead]: { date: ahead, totals: {}, medications: [] } }));
+
+    const dates = async timeZone => {
+        await request(env, 'PUT', `/api/v1/profiles/${profile.id}`, { body: { timezone: timeZone }, token });
+        const { body } = await request(env, 'GET', '/api/v1/daily-summaries', { token });
+        return body.summaries.map(summary => summary.date);
+    };
+    assert.deepEqual(await dates('Pacific/Kiritimati'), [ahead]);
+    assert.deepEqual(await dates('Pacific/Pago_Pago'), []);
+});
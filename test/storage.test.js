@@ -0,0 +1,194 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { D1Storage, KVStorage, copyStorage } from '../worker/storage.js';
+import { MemoryD1, MemoryKV, createEnv, createFirstProfile, request, saveMedications } from './helpers.js';
+
+// Both backends run the same cases. The one intended difference: KV has no
+// profile list until one is saved (null), while D1 starts with an empty one.
+const BACKENDS = [
+    { name: 'KV', create: async () => new KVStorage(new MemoryKV()), unsavedProfiles: null },
+    { name: 'D1', create: async () => new D1Storage(await MemoryD1.create()), unsavedProfiles: [] },
+];
+
+const MARCH = {
+    days: {
+        '2026-03-01': {
+            iron: { doses: [{ taken: true, timestamp: '2026-03-01T08:00:00.000Z', notes: 'with food' }] },
+            zinc: { doses: [null, { taken: false, timestamp: '2026-03-01T20:30:00.000Z', autoMissed: true }] },
+        },
+        '2026-03-31': {
+            iron: { doses: [{ taken: true, timestamp: '2026-03-31T08:00:00.000Z' }] },
+        },
+    },
+    versions: { '2026-03-01': 3, '2026-03-31': 1 },
+};
+const APRIL = {
+    days: { '2026-04-01': { iron: { doses: [{ taken: true, timestamp: '2026-04-01T08:00:00.000Z' }] } } },
+    versions: { '2026-04-01': 1 },
+};
+
+function historyRecord(minute, event) {
+    return { id: `2026-03-01T08:${String(minute).padStart(2, '0')}:00.000Z:abc123:0`, event };
+}
+
+for (const backend of BACKENDS) {
+    test(`${backend.name}: profiles keep their order`, async () => {
+        const storage = await backend.create();
+        assert.deepEqual(await storage.getProfiles(), backend.unsavedProfiles);
+
+        const profiles = [{ id: 'sam', name: 'Sam' }, { id: 'alex', name: 'Alex', timezone: 'Europe/Paris' }];
+        await storage.saveProfiles(profiles);
+        assert.deepEqual(await storage.getProfiles(), profiles);
+        await storage.saveProfiles(profiles.slice(1));
+        assert.deepEqual(await storage.getProfiles(), profiles.slice(1));
+    });
+
+    test(`${backend.name}: medication lists are saved with their version`, async () => {
+        const storage = await backend.create();
+        assert.deepEqual(await storage.getMedications('alex'), { medications: [], version: 0 });
+
+        const medications = [{ id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' }];
+        await storage.saveMedications('alex', medications, 4);
+        assert.deepEqual(await storage.getMedications('alex'), { medications, version: 4 });
+        assert.deepEqual(await storage.getMedications('sam'), { medications: [], version: 0 });
+    });
+
+    test(`${backend.name}: saving a month replaces its doses and keeps day versions`, async () => {
+        const storage = await backend.create();
+        await storage.saveMonth('alex', '2026-03', MARCH);
+        await storage.saveMonth('alex', '2026-04', APRIL);
+        assert.deepEqual(await storage.getMonth('alex', '2026-03'), MARCH);
+        assert.deepEqual(await storage.listMonths('alex'), ['2026-03', '2026-04']);
+        assert.deepEqual(await storage.getMonthSummary('alex', '2026-03'), {
+            '2026-03-01': { iron: [1, 0], zinc: [0, 1] },
+            '2026-03-31': { iron: [1, 0] },
+        });
+
+        // Clear a day and one medication of another
+        const updated = {
+            days: { '2026-03-01': { iron: MARCH.days['2026-03-01'].iron } },
+            versions: { '2026-03-01': 4, '2026-03-31': 2 },
+        };
+        await storage.saveMonth('alex', '2026-03', updated);
+        assert.deepEqual(await storage.getMonth('alex', '2026-03'), updated);
+        assert.deepEqual(await storage.getMonth('alex', '2026-04'), APRIL);
+
+        assert.deepEqual(await storage.getEntries('alex', '2026-03-15', '2026-04-30'), {
+            entries: APRIL.days,
+            versions: { '2026-03-31': 2, '2026-04-01': 1 },
+        });
+        assert.deepEqual(await storage.getEntries('sam', '2026-03-01', '2026-04-30'), { entries: {}, versions: {} });
+    });
+
+    test(`${backend.name}: records expire and are listed by prefix`, async () => {
+        const storage = await backend.create();
+        await storage.put('sessions:b', 'two');
+        await storage.put('sessions:a', 'one', { expirationTtl: 60 });
+        await storage.put('sessions:old', 'gone', { expiration: Math.floor(Date.now() / 1000) - 60 });
+        await storage.put('shares:x', 'share');
+        await storage.saveProfiles([{ id: 'alex', name: 'Alex' }]);
+        await storage.saveMedications('alex', [], 1);
+        await storage.saveMonth('alex', '2026-04', APRIL);
+
+        assert.equal(await storage.get('sessions:a'), 'one');
+        assert.equal(await storage.get('sessions:old'), null);
+        assert.deepEqual(await storage.list('sessions:'), ['sessions:a', 'sessions:b']);
+
+        await storage.delete('sessions:b');
+        assert.equal(await storage.get('sessions:b'), null);
+
+        // Profiles, medications and months aren't plain records
+        const records = [];
+        for await (const record of storage.records()) {
+            records.push(record.key);
+        }
+        assert.deepEqual(records.sort(), ['sessions:a', 'shares:x']);
+    });
+
+    test(`${backend.name}: history pages newest first and filters by dose`, async () => {
+        const storage = await backend.create();
+        await storage.addHistory('alex', 'entries:2026-03-01', [
+            historyRecord(1, { action: 'set', medicationId: 'iron', doseIndex: 0 }),
+            historyRecord(2, { action: 'set', medicationId: 'zinc', doseIndex: 1 }),
+            historyRecord(3, { action: 'clear', medicationId: 'iron', doseIndex: 0 }),
+        ]);
+        await storage.addHistory('alex', 'medications', [historyRecord(4, { action: 'medication-added', medicationId: 'iron' })]);
+
+        const first = await storage.history('alex', 'entries:2026-03-01', { limit: 2 });
+        assert.deepEqual(first.events.map(({ event }) => event.action), ['clear', 'set']);
+        const rest = await storage.history('alex', 'entries:2026-03-01', { before: first.next, limit: 2 });
+        assert.deepEqual(rest.events.map(({ event }) => event.medicationId), ['iron']);
+        assert.equal(rest.next, null);
+
+        const iron = await storage.history('alex', 'entries:2026-03-01', { limit: 10, filter: { medicationId: 'iron', doseIndex: 0 } });
+        assert.equal(iron.events.length, 2);
+
+        const scopes = [];
+        for await (const { scope } of storage.allHistory('alex')) {
+            scopes.push(scope);
+        }
+        assert.deepEqual(scopes, ['entries:2026-03-01', 'entries:2026-03-01', 'entries:2026-03-01', 'medications']);
+    });
+
+    test(`${backend.name}: deleting a profile's data leaves other profiles alone`, async () => {
+        const storage = await backend.create();
+        for (const userId of ['alex', 'sam']) {
+            await storage.saveMedications(userId, [], 1);
+            await storage.saveMonth(userId, '2026-04', APRIL);
+            await storage.addHistory(userId, 'medications', [historyRecord(1, { action: 'medication-added' })]);
+            await storage.put(`user:${userId}:calendar-token`, 'token');
+        }
+
+        await storage.deleteUser('alex');
+        assert.deepEqual(await storage.getMedications('alex'), { medications: [], version: 0 });
+        assert.deepEqual(await storage.listMonths('alex'), []);
+        assert.equal((await storage.history('alex', 'medications', { limit: 10 })).events.length, 0);
+        assert.equal(await storage.get('user:alex:calendar-token'), null);
+
+        assert.deepEqual(await storage.getMonth('sam', '2026-04'), APRIL);
+        assert.equal(await storage.get('user:sam:calendar-token'), 'token');
+    });
+}
+
+test('the first profile on an empty D1 database needs no session', async () => {
+    const env = createEnv({ MEDICATION_DB: await MemoryD1.create() });
+    const { token } = await createFirstProfile(env);
+    assert.equal((await request(env, 'GET', '/api/v1/data', { token })).status, 200);
+
+    const second = await request(env, 'POST', '/api/v1/profiles', { body: { name: 'Sam', passcode: '1234' } });
+    assert.equal(second.status, 401);
+});
+
+test('copying a KV deployment into D1 keeps data, history and sessions', async () => {
+    const kvEnv = createEnv();
+    const { profile, token } = await createFirstProfile(kvEnv);
+    await saveMedications(kvEnv, token, [{ id: 'iron', name: 'Iron', timesPerDay: 2, frequency: 'daily', startDate: '2026-01-01' }]);
+    for (const [date, doseIndex] of [['2026-01-31', 0], ['2026-02-01', 1]]) {
+        await request(kvEnv, 'POST', '/api/v1/entry', { body: { date, medicationId: 'iron', doseIndex, taken: true }, token });
+    }
+    // Data of a profile that is missing from the profile list is copied too
+    await new KVStorage(kvEnv.MEDICATION_KV).saveMedications('orphan', [], 2);
+
+    const db = await MemoryD1.create();
+    const counts = await copyStorage(new KVStorage(kvEnv.MEDICATION_KV), new D1Storage(db));
+    assert.deepEqual([counts.profiles, counts.medications, counts.months], [1, 2, 2]);
+    assert.equal(counts.history, 3);
+
+    // The KV session still works against D1
+    const d1Env = createEnv({ MEDICATION_DB: db });
+    for (const path of ['/api/v1/data', '/api/v1/history?date=2026-02-01', `/api/v1/profiles`]) {
+        const before = await request(kvEnv, 'GET', path, { token });
+        const after = await request(d1Env, 'GET', path, { token });
+        assert.equal(after.status, 200, path);
+        assert.deepEqual(after.body, before.body, path);
+    }
+    assert.deepEqual(await new D1Storage(db).getMedications('orphan'), { medications: [], version: 2 });
+
+    const login = await request(d1Env, 'POST', '/api/v1/auth/login', { body: { userId: profile.id, passcode: '1234' } });
+    assert.equal(login.status, 200);
+
+    // Running the copy again replaces rather than duplicates
+    await copyStorage(new KVStorage(kvEnv.MEDICATION_KV), new D1Storage(db));
+    assert.deepEqual((await request(d1Env, 'GET', '/api/v1/data', { token })).body,
+        (await request(kvEnv, 'GET', '/api/v1/data', { token })).body);
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { createEnv, createFirstProfile, request, saveMedications, todayKey } from './helpers.js';
+
+const IRON = { id: 'iron', name: 'Iron', timesPerDay: 1, frequency: 'daily' };
+
+async function setUp() {
+    const env = createEnv();
+    const { profile, token } = await createFirstProfile(env);
+    await saveMedications(env, token, [IRON]);
+    return { env, profile, token };
+}
+
+function subscribe(env, token, body = { url: 'https://hooks.example.com/meds' }) {
+    return request(env, 'POST', '/api/v1/webhooks', { body, token });
+}
+
+function queuedDeliveries(env, userId) {
+    return [...env.MEDICATION_KV.values.entries()]
+        .filter(([key]) => key.startsWith(`user:${userId}:webhook-queue:`))
+        .map(([, { value }]) => JSON.parse(value));
+}
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+test('deliveries are signed with the webhook secret', async (t) => {
+    const { env, token } = await setUp();
+    const { status, body: created } = await subscribe(env, token);
+    assert.equal(status, 201);
+    assert.ok(created.webhook.secret);
+
+    const sent = [];
+    t.mock.method(globalThis, 'fetch', async (url, init) => {
+        sent.push({ url, init });
+        return new Response(null, { status: 204 });
+    });
+    const { body } = await request(env, 'POST', `/api/v1/webhooks/${created.webhook.id}/test`, { token });
+    assert.equal(body.success, true);
+
+    assert.equal(sent.length, 1);
+    const { url, init } = sent[0];
+    assert.equal(url, 'https://hooks.example.com/meds');
+    assert.equal(init.headers['X-Webhook-Event'], 'webhook.test');
+    const timestamp = init.headers['X-Webhook-Timestamp'];
+    const expected = createHmac('sha256', created.webhook.secret).update(`${timestamp}.${init.body}`).digest('base64url');
+    assert.equal(init.headers['X-Webhook-Signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(init.body).event, 'webhook.test');
+});
+
+test('the secret is not listed after the webhook is created', async () => {
+    const { env, token } = await setUp();
+    await subscribe(env, token);
+    const { body } = await request(env, 'GET', '/api/v1/webhooks', { token });
+    assert.equal(body.webhooks.length, 1);
+    assert.equal(body.webhooks[0].secret, undefined);
+});
+
+test('a dose marked not taken queues a dose.missed delivery', async () => {
+    const { env, profile, token } = await setUp();
+    await subscribe(env, token, { url: 'https://hooks.example.com/meds', events: ['dose.missed'] });
+    await request(env, 'POST', '/api/v1/entry', {
+        body: { date: todayKey(), medicationId: 'iron', doseIndex: 0, taken: false, timestamp: new Date().toISOString() },
+        token,
+    });
+    const deliveries = queuedDeliveries(env, profile.id);
+    assert.deepEqual(deliveries.map(delivery => delivery.event), ['dose.missed']);
+    assert.equal(deliveries[0].payload.data.medicationId, 'iron');
+});
+
+test('a batch reads the webhook list once, however many days it changes', async () => {
+    const { env, profile, token } = await setUp();
+    await subscribe(env, token, { url: 'https://hooks.example.com/meds', events: ['dose.missed'] });
+
+    let webhookReads = 0;
+    const get = env.MEDICATION_KV.get.bind(env.MEDICATION_KV);
+    env.MEDICATION_KV.get = (key, type) => {
+        if (key === `user:${profile.id}:webhooks`) webhookReads++;
+        return get(key, type);
+    };
+    const updates = [0, 1, 2, 3, 4].map(days => ({
+        action: 'set', date: daysAgo(days), medicationId: 'iron', doseIndex: 0, taken: false, timestamp: new Date().toISOString(),
+    }));
+    const { status } = await request(env, 'POST', '/api/v1/entries/batch', { body: { updates }, token });
+    assert.equal(status, 200);
+    assert.equal(webhookReads, 1);
+    assert.equal(queuedDeliveries(env, profile.id).length, 5);
+});
@@ -0,0 +1,30 @@
+// One-time copy of a KV deployment's data into D1 (npm run worker:migrate-d1)
+//
+// Both the MEDICATION_KV and MEDICATION_DB bindings must be configured in
+// wrangler.toml and the D1 migrations applied. By default this copies the
+// local `wrangler dev` data; add `remote = true` to both bindings to copy the
+// deployed data instead. Existing D1 rows with the same keys are replaced, so
+// it is safe to run again.
+
+import { getPlatformProxy } from 'wrangler';
+import { KVStorage, D1Storage, copyStorage } from './storage.js';
+
+const { env, dispose } = await getPlatformProxy({
+    configPath: new URL('./wrangler.toml', import.meta.url).pathname,
+});
+
+try {
+    if (!env.MEDICATION_KV || !env.MEDICATION_DB) {
+        console.error('Configure both the MEDICATION_KV and MEDICATION_DB bindings in worker/wrangler.toml first');
+        process.exitCode = 1;
+    } else {
+        const counts = await copyStorage(new KVStorage(env.MEDICATION_KV), new D1Storage(env.MEDICATION_DB));
+        console.log(`Copied ${counts.profiles} profiles, ${counts.medications} medication lists, ` +
+            `${counts.months} months of entries, ${counts.history} history events and ${counts.records} other records`);
+    }
+} catch (error) {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+} finally {
+    await dispose();
+}
@@ -0,0 +1,59 @@
+-- Tables for the D1 storage backend (see storage.js)
+-- Apply with: wrangler d1 migrations apply MEDICATION_DB [--local|--remote]
+
+-- Family profiles, in display order. `data` is the profile as JSON.
+CREATE TABLE profiles (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    data TEXT NOT NULL
+);
+
+-- Each profile's medication list (JSON) and its version
+CREATE TABLE medication_lists (
+    user_id TEXT PRIMARY KEY,
+    medications TEXT NOT NULL,
+    version INTEGER NOT NULL
+);
+
+-- One row per recorded dose
+CREATE TABLE doses (
+    user_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    medication_id TEXT NOT NULL,
+    dose_index INTEGER NOT NULL,
+    taken INTEGER NOT NULL,
+    timestamp TEXT,
+    notes TEXT,
+    auto_missed INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, date, medication_id, dose_index)
+);
+
+-- Each day's version. Rows are kept after a day's doses are cleared so that
+-- versions never go backwards.
+CREATE TABLE entry_days (
+    user_id TEXT NOT NULL,
+    date TEXT NOT NULL,
+    version INTEGER NOT NULL,
+    PRIMARY KEY (user_id, date)
+);
+
+-- Append-only change history. `scope` is `entries:<date>` or `medications`;
+-- `id` is `<ISO time>:<request id>:<index>`, so it sorts by time.
+CREATE TABLE history (
+    user_id TEXT NOT NULL,
+    scope TEXT NOT NULL,
+    id TEXT NOT NULL,
+    event TEXT NOT NULL,
+    PRIMARY KEY (user_id, scope, id)
+);
+
+-- Everything else (sessions, credentials, tokens, webhooks, share links,
+-- daily summaries) as key/value records, like KV. `expires_at` is in
+-- milliseconds since the epoch.
+CREATE TABLE records (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL,
+    expires_at INTEGER
+);
+
+CREATE INDEX records_expires_at ON records (expires_at) WHERE expires_at IS NOT NULL;
@@ -0,0 +1,510 @@
+// Storage backends for the Medication Tracker Worker
+//
+// Two interchangeable implementations share the same methods:
+//   KVStorage - Workers KV, with the key layout the Worker has always used
+//   D1Storage - Cloudflare D1 (SQLite), using the tables in migrations/
+// createStorage() picks D1 when a MEDICATION_DB binding is configured in
+// wrangler.toml, and KV otherwise.
+//
+// Profiles, medications, entries and history have their own methods. Other
+// data (sessions, credentials, tokens, webhooks, share links, summaries) are
+// plain key/value records read and written with get/put/delete/list.
+
+import { monthsInRange, summarizeDays } from '../shared/medications.js';
+
+// Profiles are kept in a single KV document
+const PROFILES_KEY = 'profiles';
+
+// Entries are bucketed into one KV document per profile per month
+// (user:<id>:months:<YYYY-MM>), keyed by date inside the document
+const MONTH_PREFIX = 'months';
+// Each month document has a compact summary (user:<id>:stats:<YYYY-MM>) of
+// taken/missed counts per day and medication, rewritten whenever it is saved
+const STATS_PREFIX = 'stats';
+
+// History is append-only: one KV key per event, under
+// user:<id>:history:<scope>:<event id>. The event is also kept in the key's
+// metadata when it fits, so reading history takes one list() per 1000 events
+// instead of a get() per event. Larger events (medication changes, mostly)
+// keep just what the history filters need there.
+const HISTORY_PREFIX = 'history';
+const MAX_METADATA_BYTES = 1024;
+// Event IDs are `<ISO time>:<request id>:<index>`
+const HISTORY_KEY_PATTERN = /^(.+?):(\d{4}-\d{2}-\d{2}T[\d:.]+Z:[^:]+:\d+)$/;
+
+// KV keys that belong to the methods above rather than to plain records
+const DOCUMENT_KEY_PATTERN = new RegExp(
+    `^(${PROFILES_KEY}$|user:[^:]+:(medications$|${MONTH_PREFIX}:|${STATS_PREFIX}:|${HISTORY_PREFIX}:))`
+);
+
+export function createStorage(env) {
+    return env.MEDICATION_DB ? new D1Storage(env.MEDICATION_DB) : new KVStorage(env.MEDICATION_KV);
+}
+
+// Whether a history event (or the fields of it kept in KV metadata) passes
+// the { medicationId, doseIndex } filter of history()
+function matchesHistoryFilter(event, { medicationId = null, doseIndex = null }) {
+    return (medicationId === null || event.medicationId === medicationId) &&
+        (doseIndex === null || event.doseIndex === doseIndex);
+}
+
+function historyMetadata(event) {
+    const metadata = { event };
+    if (new TextEncoder().encode(JSON.stringify(metadata)).length <= MAX_METADATA_BYTES) {
+        return metadata;
+    }
+    return { medicationId: event.medicationId, doseIndex: event.doseIndex };
+}
+
+// Copy everything from one backend to another, e.g. a KV deployment into a
+// new D1 database. Returns how much of each kind of data was copied.
+export async function copyStorage(source, target) {
+    const counts = { profiles: 0, medications: 0, months: 0, history: 0, records: 0 };
+
+    const profiles = (await source.getProfiles()) || [];
+    await target.saveProfiles(profiles);
+    counts.profiles = profiles.length;
+
+    // Profiles that have data but were never added to the profile list are
+    // copied too, so the target adopts them the same way the source would
+    const userIds = new Set(profiles.map(profile => profile.id));
+    for (const key of await source.list('user:')) {
+        userIds.add(key.split(':')[1]);
+    }
+
+    for (const userId of userIds) {
+        const { medications, version } = await source.getMedications(userId);
+        if (version > 0 || medications.length > 0) {
+            await target.saveMedications(userId, medications, version);
+            counts.medications++;
+        }
+
+        for (const month of await source.listMonths(userId)) {
+            await target.saveMonth(userId, month, await source.getMonth(userId, month));
+            counts.months++;
+        }
+
+        const scopes = {};
+        for await (const { scope, id, event } of source.allHistory(userId)) {
+            scopes[scope] = scopes[scope] || [];
+            scopes[scope].push({ id, event });
+        }
+        for (const [scope, records] of Object.entries(scopes)) {
+            await target.addHistory(userId, scope, records);
+            counts.history += records.length;
+        }
+    }
+
+    for await (const { key, value, expiration } of source.records()) {
+        await target.put(key, value, expiration ? { expiration } : {});
+        counts.records++;
+    }
+    return counts;
+}
+
+export class KVStorage {
+    constructor(kv) {
+        this.kv = kv;
+    }
+
+    // Plain records. `options` is { expirationTtl } (seconds from now) or
+    // { expiration } (seconds since the epoch).
+    async get(key) {
+        return this.kv.get(key);
+    }
+
+    async put(key, value, options = {}) {
+        await this.kv.put(key, value, options);
+    }
+
+    async delete(key) {
+        await this.kv.delete(key);
+    }
+
+    // Every key starting with `prefix`, in key order
+    async list(prefix) {
+        return (await this.listKeys(prefix)).map(key => key.name);
+    }
+
+    async listKeys(prefix) {
+        const keys = [];
+        let cursor;
+        do {
+            const listResult = await this.kv.list({ prefix, cursor });
+            keys.push(...listResult.keys);
+            cursor = listResult.list_complete ? null : listResult.cursor;
+        } while (cursor);
+        return keys;
+    }
+
+    // Every plain record, with its expiry (seconds since the epoch) if it has one
+    async *records() {
+        for (const key of await this.listKeys('')) {
+            if (DOCUMENT_KEY_PATTERN.test(key.name)) continue;
+            const value = await this.kv.get(key.name);
+            if (value === null) continue;
+            yield { key: key.name, value, expiration: key.expiration };
+        }
+    }
+
+    // The profile list, or null if it has never been saved
+    async getProfiles() {
+        const stored = await this.kv.get(PROFILES_KEY);
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async saveProfiles(profiles) {
+        await this.kv.put(PROFILES_KEY, JSON.stringify(profiles));
+    }
+
+    // The medications document and its version (kept in KV metadata)
+    async getMedications(userId) {
+        const { value, metadata } = await this.kv.getWithMetadata(`user:${userId}:medications`);
+        return {
+            medications: value ? JSON.parse(value) : [],
+            version: (metadata && metadata.version) || 0,
+        };
+    }
+
+    async saveMedications(userId, medications, version) {
+        await this.kv.put(`user:${userId}:medications`, JSON.stringify(medications), {
+            metadata: { version },
+        });
+    }
+
+    // A month document. `days` is { [date]: { [medicationId]: { doses } } }
+    // and `versions` holds each day's version number (kept in KV metadata).
+    async getMonth(userId, month) {
+        const { value, metadata } = await this.kv.getWithMetadata(`user:${userId}:${MONTH_PREFIX}:${month}`);
+        return {
+            days: value ? JSON.parse(value) : {},
+            versions: (metadata && metadata.versions) || {},
+        };
+    }
+
+    // Month documents are kept even once empty so that day versions never go
+    // backwards (a cleared day must not look unchanged to a stale client)
+    async saveMonth(userId, month, doc) {
+        await this.kv.put(`user:${userId}:${MONTH_PREFIX}:${month}`, JSON.stringify(doc.days), {
+            metadata: { versions: doc.versions },
+        });
+        await this.kv.put(`user:${userId}:${STATS_PREFIX}:${month}`, JSON.stringify(summarizeDays(doc.days)));
+    }
+
+    // Every YYYY-MM that has a month document
+    async listMonths(userId) {
+        const prefix = `user:${userId}:${MONTH_PREFIX}:`;
+        return (await this.list(prefix)).map(name => name.slice(prefix.length));
+    }
+
+    // Entries and day versions from `from` to `to`, or every entry without a
+    // range. One KV read per month.
+    async getEntries(userId, from, to) {
+        const months = from ? monthsInRange(from, to) : await this.listMonths(userId);
+        const documents = await Promise.all(months.map(month => this.getMonth(userId, month)));
+
+        const entries = {};
+        const versions = {};
+        const inRange = date => !from || (date >= from && date <= to);
+        for (const doc of documents) {
+            for (const [date, dayEntries] of Object.entries(doc.days)) {
+                if (inRange(date)) entries[date] = dayEntries;
+            }
+            for (const [date, version] of Object.entries(doc.versions)) {
+                if (inRange(date)) versions[date] = version;
+            }
+        }
+        return { entries, versions };
+    }
+
+    // A month's summary, built from the month document for months last
+    // written before summaries existed
+    async getMonthSummary(userId, month) {
+        const key = `user:${userId}:${STATS_PREFIX}:${month}`;
+        const summary = await this.kv.get(key);
+        if (summary) {
+            return JSON.parse(summary);
+        }
+        const doc = await this.getMonth(userId, month);
+        const built = summarizeDays(doc.days);
+        if (Object.keys(doc.days).length > 0) {
+            await this.kv.put(key, JSON.stringify(built));
+        }
+        return built;
+    }
+
+    // Append history events, given as [{ id, event }]. Scopes are
+    // `entries:<date>` or `medications`.
+    async addHistory(userId, scope, records) {
+        for (const { id, event } of records) {
+            await this.kv.put(`user:${userId}:${HISTORY_PREFIX}:${scope}:${id}`, JSON.stringify(event), {
+                metadata: historyMetadata(event),
+            });
+        }
+    }
+
+    // A history key's event, from its metadata when it is there. Events
+    // written before metadata was used are read one at a time.
+    async historyEvent(key) {
+        if (key.metadata && key.metadata.event) {
+            return key.metadata.event;
+        }
+        const value = await this.kv.get(key.name);
+        return value ? JSON.parse(value) : null;
+    }
+
+    // A page of a scope's history, newest first: up to `limit` events older
+    // than the event ID `before` that match `filter` ({ medicationId,
+    // doseIndex }, both optional). Returns { events: [{ id, event }], next },
+    // where `next` is the `before` for the following page, or null.
+    async history(userId, scope, { before = null, limit, filter = {} }) {
+        const prefix = `user:${userId}:${HISTORY_PREFIX}:${scope}:`;
+        const events = [];
+        for (const key of (await this.listKeys(prefix)).reverse()) {
+            const id = key.name.slice(prefix.length);
+            if (before !== null && id >= before) continue;
+            // Events too big for metadata still have the filtered fields there
+            if (key.metadata && !matchesHistoryFilter(key.metadata.event || key.metadata, filter)) continue;
+
+            const event = await this.historyEvent(key);
+            if (!event || !matchesHistoryFilter(event, filter)) continue;
+            if (events.length === limit) {
+                return { events, next: events[events.length - 1].id };
+            }
+            events.push({ id, event });
+        }
+        return { events, next: null };
+    }
+
+    // Every history event a profile has, as { scope, id, event }
+    async *allHistory(userId) {
+        const prefix = `user:${userId}:${HISTORY_PREFIX}:`;
+        for (const key of await this.listKeys(prefix)) {
+            const match = key.name.slice(prefix.length).match(HISTORY_KEY_PATTERN);
+            const event = match && await this.historyEvent(key);
+            if (event) yield { scope: match[1], id: match[2], event };
+        }
+    }
+
+    // Remove everything stored for a profile except its place in the profile list
+    async deleteUser(userId) {
+        for (const name of await this.list(`user:${userId}:`)) {
+            await this.kv.delete(name);
+        }
+    }
+
+    // KV expires records by itself
+    async purgeExpired() {
+        return 0;
+    }
+}
+
+export class D1Storage {
+    constructor(db) {
+        this.db = db;
+    }
+
+    async get(key) {
+        const row = await this.db.prepare('SELECT value FROM records WHERE key = ? AND (expires_at IS NULL OR expires_at > ?)')
+            .bind(key, Date.now())
+            .first();
+        return row ? row.value : null;
+    }
+
+    async put(key, value, options = {}) {
+        let expiresAt = null;
+        if (options.expiration) {
+            expiresAt = options.expiration * 1000;
+        } else if (options.expirationTtl) {
+            expiresAt = Date.now() + options.expirationTtl * 1000;
+        }
+        await this.db.prepare(`INSERT INTO records (key, value, expires_at) VALUES (?, ?, ?)
+            ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at`)
+            .bind(key, value, expiresAt)
+            .run();
+    }
+
+    async delete(key) {
+        await this.db.prepare('DELETE FROM records WHERE key = ?').bind(key).run();
+    }
+
+    async list(prefix) {
+        const { results } = await this.db.prepare(`SELECT key FROM records
+            WHERE substr(key, 1, length(?1)) = ?1 AND (expires_at IS NULL OR expires_at > ?2) ORDER BY key`)
+            .bind(prefix, Date.now())
+            .all();
+        return results.map(row => row.key);
+    }
+
+    async *records() {
+        const { results } = await this.db.prepare('SELECT key, value, expires_at FROM records WHERE expires_at IS NULL OR expires_at > ?')
+            .bind(Date.now())
+            .all();
+        for (const row of results) {
+            yield {
+                key: row.key,
+                value: row.value,
+                expiration: row.expires_at ? Math.ceil(row.expires_at / 1000) : undefined,
+            };
+        }
+    }
+
+    // D1 databases start out with an empty profile list, so there is never
+    // anything to adopt
+    async getProfiles() {
+        const { results } = await this.db.prepare('SELECT data FROM profiles ORDER BY position').all();
+        return results.map(row => JSON.parse(row.data));
+    }
+
+    async saveProfiles(profiles) {
+        await this.db.batch([
+            this.db.prepare('DELETE FROM profiles'),
+            ...profiles.map((profile, position) =>
+                this.db.prepare('INSERT INTO profiles (id, position, data) VALUES (?, ?, ?)')
+                    .bind(profile.id, position, JSON.stringify(profile))),
+        ]);
+    }
+
+    async getMedications(userId) {
+        const row = await this.db.prepare('SELECT medications, version FROM medication_lists WHERE user_id = ?')
+            .bind(userId)
+            .first();
+        return {
+            medications: row ? JSON.parse(row.medications) : [],
+            version: row ? row.version : 0,
+        };
+    }
+
+    async saveMedications(userId, medications, version) {
+        await this.db.prepare(`INSERT INTO medication_lists (user_id, medications, version) VALUES (?, ?, ?)
+            ON CONFLICT (user_id) DO UPDATE SET medications = excluded.medications, version = excluded.version`)
+            .bind(userId, JSON.stringify(medications), version)
+            .run();
+    }
+
+    async getMonth(userId, month) {
+        const { entries, versions } = await this.getEntries(userId, `${month}-01`, `${month}-31`);
+        return { days: entries, versions };
+    }
+
+    // Rewrites the month's doses and day versions in one transaction
+    async saveMonth(userId, month, doc) {
+        const statements = [
+            this.db.prepare('DELETE FROM doses WHERE user_id = ? AND date BETWEEN ? AND ?')
+                .bind(userId, `${month}-01`, `${month}-31`),
+        ];
+        for (const [date, entries] of Object.entries(doc.days)) {
+            for (const [medicationId, entry] of Object.entries(entries)) {
+                (entry.doses || []).forEach((dose, doseIndex) => {
+                    if (!dose) return;
+                    statements.push(this.db.prepare(`INSERT INTO doses
+                        (user_id, date, medication_id, dose_index, taken, timestamp, notes, auto_missed)
+                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`)
+                        .bind(userId, date, medicationId, doseIndex, dose.taken ? 1 : 0,
+                            dose.timestamp || null, dose.notes || null, dose.autoMissed ? 1 : 0));
+                });
+            }
+        }
+        for (const [date, version] of Object.entries(doc.versions)) {
+            statements.push(this.db.prepare(`INSERT INTO entry_days (user_id, date, version) VALUES (?, ?, ?)
+                ON CONFLICT (user_id, date) DO UPDATE SET version = excluded.version`)
+                .bind(userId, date, version));
+        }
+        await this.db.batch(statements);
+    }
+
+    async listMonths(userId) {
+        const { results } = await this.db.prepare(`SELECT DISTINCT substr(date, 1, 7) AS month FROM entry_days
+            WHERE user_id = ? ORDER BY month`)
+            .bind(userId)
+            .all();
+        return results.map(row => row.month);
+    }
+
+    async getEntries(userId, from, to) {
+        const range = from ? ' AND date BETWEEN ? AND ?' : '';
+        const params = from ? [userId, from, to] : [userId];
+        const [doses, days] = await this.db.batch([
+            this.db.prepare(`SELECT * FROM doses WHERE user_id = ?${range} ORDER BY date, medication_id, dose_index`)
+                .bind(...params),
+            this.db.prepare(`SELECT date, version FROM entry_days WHERE user_id = ?${range}`).bind(...params),
+        ]);
+
+        const entries = {};
+        for (const row of doses.results) {
+            entries[row.date] = entries[row.date] || {};
+            const entry = entries[row.date][row.medication_id] = entries[row.date][row.medication_id] || { doses: [] };
+            while (entry.doses.length < row.dose_index) {
+                entry.doses.push(null);
+            }
+            entry.doses[row.dose_index] = {
+                taken: Boolean(row.taken),
+                timestamp: row.timestamp,
+                ...(row.notes ? { notes: row.notes } : {}),
+                ...(row.auto_missed ? { autoMissed: true } : {}),
+            };
+        }
+        const versions = {};
+        for (const row of days.results) {
+            versions[row.date] = row.version;
+        }
+        return { entries, versions };
+    }
+
+    async getMonthSummary(userId, month) {
+        const { results } = await this.db.prepare(`SELECT date, medication_id, SUM(taken) AS taken, COUNT(*) AS total
+            FROM doses WHERE user_id = ? AND date BETWEEN ? AND ? GROUP BY date, medication_id`)
+            .bind(userId, `${month}-01`, `${month}-31`)
+            .all();
+        const summary = {};
+        for (const row of results) {
+            summary[row.date] = summary[row.date] || {};
+            summary[row.date][row.medication_id] = [row.taken, row.total - row.taken];
+        }
+        return summary;
+    }
+
+    async addHistory(userId, scope, records) {
+        if (records.length === 0) return;
+        await this.db.batch(records.map(({ id, event }) =>
+            this.db.prepare('INSERT OR IGNORE INTO history (user_id, scope, id, event) VALUES (?, ?, ?, ?)')
+                .bind(userId, scope, id, JSON.stringify(event))));
+    }
+
+    async history(userId, scope, { before = null, limit, filter = {} }) {
+        const { medicationId = null, doseIndex = null } = filter;
+        const { results } = await this.db.prepare(`SELECT id, event FROM history
+            WHERE user_id = ?1 AND scope = ?2 AND (?3 IS NULL OR id < ?3)
+            AND (?4 IS NULL OR json_extract(event, '$.medicationId') = ?4)
+            AND (?5 IS NULL OR json_extract(event, '$.doseIndex') = ?5)
+            ORDER BY id DESC LIMIT ?6`)
+            .bind(userId, scope, before, medicationId, doseIndex, limit + 1)
+            .all();
+        const events = results.slice(0, limit).map(row => ({ id: row.id, event: JSON.parse(row.event) }));
+        return { events, next: results.length > limit ? events[events.length - 1].id : null };
+    }
+
+    async *allHistory(userId) {
+        const { results } = await this.db.prepare('SELECT scope, id, event FROM history WHERE user_id = ? ORDER BY scope, id')
+            .bind(userId)
+            .all();
+        for (const row of results) {
+            yield { scope: row.scope, id: row.id, event: JSON.parse(row.event) };
+        }
+    }
+
+    async deleteUser(userId) {
+        await this.db.batch([
+            ...['medication_lists', 'doses', 'entry_days', 'history'].map(table =>
+                this.db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).bind(userId)),
+            this.db.prepare('DELETE FROM records WHERE substr(key, 1, length(?1)) = ?1').bind(`user:${userId}:`),
+        ]);
+    }
+
+    // Expired records are ignored when read; this deletes them. Returns how
+    // many were removed.
+    async purgeExpired() {
+        const result = await this.db.prepare('DELETE FROM records WHERE expires_at <= ?').bind(Date.now()).run();
+        return result.meta.changes;
+    }
+}
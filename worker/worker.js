@@ -1,11 +1,150 @@
 // Cloudflare Worker for Medication Tracker API
 
+import { createStorage } from './storage.js';
+import {
+    DAY_MS, DEFAULT_STATS_DAYS, MAX_INTERVAL_DAYS, MAX_MEDICATION_NAME_LENGTH, MAX_STATS_DAYS, MAX_TIMES_PER_DAY,
+    addDays, adherenceStats, applyBatchToMonth, applyDoseWrite, daysBetween, diffMedications, doseAt, doseSlotsOn,
+    fieldError, getDoseTimes, groupBatchUpdates, isScheduledOn, isValidDate, lastScheduledDate, monthsInRange,
+    profileIdFromName, purgeMedication, readStatsQuery, setDose, taperPhases, timesPerDayOn, validateBatch,
+    validateDoseUpdate, validateMedicationList, validateProfileFields, validateTimestamp, withArchived,
+    withStartDates, withoutEveryOtherDay,
+} from '../shared/medications.js';
+
+// The current API version is served under /api/v1; /api is kept as an alias
+// for clients written before versioning
+const API_PREFIXES = ['/api/v1', '/api'];
+
+// Methods whose JSON body the router parses and passes to the handler
+const BODY_METHODS = ['POST', 'PUT', 'DELETE'];
+
+// Every error response carries a stable `code` the UI can switch on. These
+// are the defaults for each status; routes pass a more specific code where
+// the client needs to tell cases apart.
+const ERROR_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    422: 'validation_failed',
+    429: 'too_many_attempts',
+    500: 'internal_error',
+};
+
 // CORS headers helper
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, X-User-ID',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, If-Match, X-Share-Token',
+    'Access-Control-Expose-Headers': 'ETag, Content-Disposition, Allow',
+};
+
+// Session tokens stay valid for 30 days
+const SESSION_TTL_SECONDS = 60 * 60 * 24 * 30;
+
+// PBKDF2 work factor (100000 is the maximum the Workers runtime allows)
+const PASSCODE_ITERATIONS = 100000;
+const MIN_PASSCODE_LENGTH = 4;
+
+// Lock a profile's login for 15 minutes after 5 failed attempts
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCKOUT_SECONDS = 60 * 15;
+
+// Profile IDs end up inside KV keys, so keep them to a safe character set
+const USER_ID_PATTERN = /^[a-z0-9_-]{1,64}$/;
+
+// Entries used to be stored one KV document per day (user:<id>:entries:<date>)
+const LEGACY_ENTRY_PREFIX = 'entries';
+
+// Change history is append-only, one event per change. GET /api/history
+// returns pages of DEFAULT_HISTORY_EVENTS unless `limit` asks for more.
+const DEFAULT_HISTORY_EVENTS = 100;
+const MAX_HISTORY_EVENTS = 500;
+const MAX_DEVICE_LENGTH = 200;
+
+// GET /api/export formats and the columns of each exported dose
+const EXPORT_FORMATS = ['csv', 'json', 'fhir'];
+const EXPORT_COLUMNS = ['date', 'medicationId', 'medication', 'doseIndex', 'status', 'timestamp', 'notes'];
+const EXPORT_CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    fhir: 'application/fhir+json; charset=utf-8',
+};
+const EXPORT_EXTENSIONS = { csv: 'csv', json: 'json', fhir: 'fhir.json' };
+const FHIR_DAYS_OF_WEEK = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+// For dosage text such as "on the first Monday of each month"
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const WEEK_OF_MONTH_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+// POST /api/import limits, merge strategies and the fields a CSV column can
+// be mapped to. `dose` is a 1-based dose number, `doseIndex` is 0-based.
+const MAX_IMPORT_ROWS = 5000;
+const MAX_IMPORT_ERRORS = 50;
+const MAX_NOTES_LENGTH = 500;
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_STRATEGIES = ['skip', 'overwrite', 'newer'];
+const IMPORT_FIELDS = ['date', 'medicationId', 'medication', 'dose', 'doseIndex', 'taken', 'time', 'notes'];
+// Column headers recognised for each field when no mapping is given
+const IMPORT_HEADER_ALIASES = {
+    date: ['date', 'day'],
+    medicationId: ['medicationid'],
+    medication: ['medication', 'medicine', 'med', 'drug', 'name'],
+    dose: ['dose', 'dosenumber'],
+    doseIndex: ['doseindex'],
+    taken: ['taken', 'status', 'took'],
+    time: ['time', 'timestamp', 'takenat'],
+    notes: ['notes', 'note', 'comment', 'comments'],
 };
+const TAKEN_VALUES = ['taken', 'yes', 'y', 'true', '1', 'x'];
+const MISSED_VALUES = ['missed', 'no', 'n', 'false', '0'];
+
+// iCalendar feed (GET /api/calendar.ics?token=...). Each profile has one
+// secret token at user:<id>:calendar-token, and calendar-tokens:<token>
+// points back at the profile so the feed URL needs nothing else.
+const CALENDAR_TOKEN_PREFIX = 'calendar-tokens';
+const MAX_ALARM_MINUTES = 24 * 60;
+const DOSE_EVENT_MINUTES = 15;
+// Feed events start this many days back so today's doses are always included
+const CALENDAR_LOOKBACK_DAYS = 30;
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Scheduled (cron) processing: doses still unmarked this long after their
+// dose time are marked missed. Override with the MISSED_DOSE_GRACE_MINUTES var.
+const DEFAULT_MISSED_GRACE_MINUTES = 120;
+const MAX_MISSED_GRACE_MINUTES = 23 * 60;
+const DAILY_SUMMARY_PREFIX = 'daily-summaries';
+
+// Outgoing webhooks. Deliveries are queued in storage and sent by the scheduled
+// handler, retrying after each delay (in minutes) before giving up.
+const WEBHOOK_EVENTS = ['dose.missed', 'dose.late', 'medication.added', 'medication.removed'];
+const MAX_WEBHOOKS = 10;
+const MAX_WEBHOOK_URL_LENGTH = 500;
+const WEBHOOK_RETRY_MINUTES = [1, 5, 30, 120, 360];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_LOG = 50;
+
+// Read-only share links. Requests carry the token in an X-Share-Token header
+// and may only GET the routes their scope allows. Each scope includes
+// everything the ones before it do.
+const SHARE_TOKEN_PREFIX = 'share-tokens';
+const SHARE_SCOPES = ['calendar', 'analytics'];
+const DEFAULT_SHARE_DAYS = 7;
+const MAX_SHARE_DAYS = 365;
+const MAX_SHARES = 20;
+const MAX_SHARE_LABEL_LENGTH = 60;
+
+const DEFAULT_PROFILE_COLOR = '#667eea';
+
+// Each environment's storage backend (KV or D1, see storage.js)
+const storages = new WeakMap();
+
+function getStorage(env) {
+    if (!storages.has(env)) {
+        storages.set(env, createStorage(env));
+    }
+    return storages.get(env);
+}
 
 // Helper function to handle CORS preflight
 function handleCORS(request) {
@@ -18,219 +157,2476 @@ function handleCORS(request) {
     return null;
 }
 
-// Get user ID from request headers
-function getUserId(request) {
-    return request.headers.get('X-User-ID') || 'default-user';
-}
-
 // Format response with CORS headers
-function jsonResponse(data, status = 200) {
+function jsonResponse(data, status = 200, headers = {}) {
     return new Response(JSON.stringify(data), {
         status,
         headers: {
             ...corsHeaders,
             'Content-Type': 'application/json',
+            ...headers,
         },
     });
 }
 
-// Error response
-function errorResponse(message, status = 400) {
-    return jsonResponse({ error: message }, status);
+// Error response: { error, code }
+function errorResponse(message, status = 400, code = ERROR_CODES[status], headers = {}) {
+    return jsonResponse({ error: message, code }, status, headers);
 }
 
-// Main request handler
-export default {
-    async fetch(request, env) {
-        // Handle CORS preflight
-        const corsResponse = handleCORS(request);
-        if (corsResponse) return corsResponse;
+// 422 response listing every field problem as { field, message }
+function validationResponse(errors) {
+    return jsonResponse({ error: 'Validation failed', code: ERROR_CODES[422], errors }, 422);
+}
 
-        const url = new URL(request.url);
-        const path = url.pathname;
-        const userId = getUserId(request);
+// Base64url helpers for tokens, salts and hashes
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (const byte of new Uint8Array(bytes)) {
+        binary += String.fromCharCode(byte);
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
 
-        try {
-            // GET /api/data - Retrieve all medication data
-            if (path === '/api/data' && request.method === 'GET') {
-                const medicationsKey = `user:${userId}:medications`;
-                
-                // Get medications
-                const medicationsData = await env.MEDICATION_KV.get(medicationsKey);
-                const medications = medicationsData ? JSON.parse(medicationsData) : [];
-
-                // Get all entry keys for this user
-                const entries = {};
-                const listResult = await env.MEDICATION_KV.list({ prefix: `user:${userId}:entries:` });
-                
-                if (listResult.keys) {
-                    for (const key of listResult.keys) {
-                        const date = key.name.replace(`user:${userId}:entries:`, '');
-                        const entryData = await env.MEDICATION_KV.get(key.name);
-                        if (entryData) {
-                            entries[date] = JSON.parse(entryData);
-                        }
-                    }
-                }
+function base64UrlToBytes(value) {
+    const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}
 
-                return jsonResponse({
-                    medications,
-                    entries,
-                });
-            }
+// Constant-time string comparison so hash checks don't leak timing
+function timingSafeEqual(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
 
-            // POST /api/medications - Save medication list
-            if (path === '/api/medications' && request.method === 'POST') {
-                const body = await request.json();
-                const { medications } = body;
+function randomId(byteLength = 16) {
+    return bytesToBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
 
-                if (!Array.isArray(medications)) {
-                    return errorResponse('medications must be an array');
-                }
+// Hash a passcode with PBKDF2-SHA256
+async function hashPasscode(passcode, salt, iterations = PASSCODE_ITERATIONS) {
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passcode),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: base64UrlToBytes(salt), iterations },
+        keyMaterial,
+        256
+    );
+    return bytesToBase64Url(bits);
+}
 
-                const medicationsKey = `user:${userId}:medications`;
-                await env.MEDICATION_KV.put(medicationsKey, JSON.stringify(medications));
+async function hmacSign(data, secret) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(data));
+    return bytesToBase64Url(signature);
+}
 
-                return jsonResponse({ success: true, medications });
-            }
+// Tokens are `<base64url payload>.<base64url HMAC>` and are backed by a
+// stored session record so that logging out revokes them
+async function createSession(env, userId) {
+    const sessionId = randomId();
+    const expiresAt = Date.now() + SESSION_TTL_SECONDS * 1000;
+    const payload = bytesToBase64Url(new TextEncoder().encode(JSON.stringify({
+        sub: userId,
+        sid: sessionId,
+        exp: expiresAt,
+    })));
+    const token = `${payload}.${await hmacSign(payload, env.SESSION_SECRET)}`;
 
-            // POST /api/entry - Save medication entry
-            if (path === '/api/entry' && request.method === 'POST') {
-                const body = await request.json();
-                const { date, medicationId, taken, timestamp, doseIndex } = body;
+    await getStorage(env).put(
+        `user:${userId}:sessions:${sessionId}`,
+        JSON.stringify({ createdAt: new Date().toISOString(), expiresAt }),
+        { expirationTtl: SESSION_TTL_SECONDS }
+    );
 
-                if (!date || medicationId === undefined || taken === undefined) {
-                    return errorResponse('date, medicationId, and taken are required');
-                }
+    return { token, userId, expiresAt: new Date(expiresAt).toISOString() };
+}
 
-                const entryKey = `user:${userId}:entries:${date}`;
-                const existingData = await env.MEDICATION_KV.get(entryKey);
-                const entries = existingData ? JSON.parse(existingData) : {};
+// Resolve the session behind a request's bearer token, or null if invalid
+async function authenticate(request, env) {
+    const header = request.headers.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    if (!match) return null;
 
-                if (!entries[medicationId]) {
-                    entries[medicationId] = { doses: [] };
-                }
+    const [payload, signature] = match[1].split('.');
+    if (!payload || !signature) return null;
 
-                if (!entries[medicationId].doses) {
-                    entries[medicationId].doses = [];
-                }
+    const expected = await hmacSign(payload, env.SESSION_SECRET);
+    if (!timingSafeEqual(signature, expected)) return null;
 
-                const doseIdx = doseIndex || 0;
-                // Ensure doses array is large enough
-                while (entries[medicationId].doses.length <= doseIdx) {
-                    entries[medicationId].doses.push(null);
-                }
+    let claims;
+    try {
+        claims = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payload)));
+    } catch (error) {
+        return null;
+    }
 
-                entries[medicationId].doses[doseIdx] = {
-                    taken: Boolean(taken),
-                    timestamp: timestamp || new Date().toISOString(),
-                };
+    if (!claims.sub || !claims.sid || !USER_ID_PATTERN.test(claims.sub) || claims.exp < Date.now()) {
+        return null;
+    }
 
-                await env.MEDICATION_KV.put(entryKey, JSON.stringify(entries));
+    const session = await getStorage(env).get(`user:${claims.sub}:sessions:${claims.sid}`);
+    if (!session) return null;
 
-                return jsonResponse({ success: true, entry: entries[medicationId] });
-            }
+    return { userId: claims.sub, sessionId: claims.sid, expiresAt: new Date(claims.exp).toISOString() };
+}
 
-            // PUT /api/entry - Update entry timestamp
-            if (path === '/api/entry' && request.method === 'PUT') {
-                const body = await request.json();
-                const { date, medicationId, timestamp, doseIndex } = body;
+// Read and validate the { userId, passcode } body used by login and setup
+function readCredentials(body) {
+    const userId = typeof body.userId === 'string' ? body.userId.toLowerCase() : '';
+    const passcode = typeof body.passcode === 'string' ? body.passcode : '';
 
-                if (!date || !medicationId || !timestamp) {
-                    return errorResponse('date, medicationId, and timestamp are required');
-                }
+    if (!USER_ID_PATTERN.test(userId)) {
+        return { error: 'A valid userId is required' };
+    }
+    if (passcode.length < MIN_PASSCODE_LENGTH) {
+        return { error: `passcode must be at least ${MIN_PASSCODE_LENGTH} characters` };
+    }
+    return { userId, passcode };
+}
 
-                const entryKey = `user:${userId}:entries:${date}`;
-                const existingData = await env.MEDICATION_KV.get(entryKey);
-                
-                if (!existingData) {
-                    return errorResponse('Entry not found', 404);
-                }
+// Read a month document. `days` is { [date]: { [medicationId]: { doses } } }
+// and `versions` holds each day's version number.
+async function getMonthDocument(env, userId, month) {
+    return getStorage(env).getMonth(userId, month);
+}
 
-                const entries = JSON.parse(existingData);
-                if (!entries[medicationId] || !entries[medicationId].doses) {
-                    return errorResponse('Medication entry not found', 404);
-                }
+// Month documents keep each day's version even once the day is empty so
+// that versions never go backwards (a cleared day must not look unchanged
+// to a stale client)
+async function saveMonthDocument(env, userId, month, doc) {
+    await getStorage(env).saveMonth(userId, month, doc);
+}
+
+// { [date]: { [medicationId]: [taken, missed] } } for a month's entries
+async function getMonthSummary(env, userId, month) {
+    return getStorage(env).getMonthSummary(userId, month);
+}
+
+// Today's date in the profile's timezone (UTC if it hasn't set one), the
+// same day the cron uses when it marks missed doses
+async function profileToday(env, userId) {
+    const profile = (await getProfiles(env)).find(p => p.id === userId);
+    return localDateTime(new Date(), (profile && profile.timezone) || 'UTC').date;
+}
+
+// Read the medications document and its version. Medications still on the
+// old 'every-other-day' frequency come back as 2-day intervals. That happens
+// in memory only, so reads (share links, calendar feeds, the cron) never
+// write; the rewritten list is stored by the next change to the list.
+async function getMedications(env, userId) {
+    const current = await getStorage(env).getMedications(userId);
+    if (!current.medications.some(med => med.frequency === 'every-other-day')) {
+        return current;
+    }
+    const today = await profileToday(env, userId);
+    return { ...current, medications: withoutEveryOtherDay(current.medications, today) };
+}
+
+async function saveMedications(env, userId, medications, version) {
+    await getStorage(env).saveMedications(userId, medications, version);
+}
+
+// Version a client expects to overwrite, from an `If-Match: "<version>"`
+// header. Returns null when the client didn't send one (unconditional write).
+function getExpectedVersion(request) {
+    const header = request.headers.get('If-Match');
+    if (!header || header.trim() === '*') return null;
+    const version = parseInt(header.replace(/^W\//, '').replace(/"/g, ''), 10);
+    return isNaN(version) ? -1 : version;
+}
+
+function etag(version) {
+    return { 'ETag': `"${version}"` };
+}
+
+// 409 response carrying the current state so the client can merge and retry
+function conflictResponse(current) {
+    return jsonResponse({
+        error: 'This data was changed on another device',
+        code: ERROR_CODES[409],
+        conflict: true,
+        current,
+    }, 409, etag(current.version));
+}
+
+// Entries used to be stored as one KV document per day
+// (user:<id>:entries:<date>). Fold them into month documents the first time
+// a profile is used, remembering per isolate so the check stays cheap.
+const migratedUsers = new Set();
+
+async function migrateDayEntries(env, userId) {
+    if (migratedUsers.has(userId)) return;
+
+    const storage = getStorage(env);
+    const prefix = `user:${userId}:${LEGACY_ENTRY_PREFIX}:`;
+    const keys = await storage.list(prefix);
+
+    const months = {};
+    for (const name of keys) {
+        const date = name.slice(prefix.length);
+        const entryData = await storage.get(name);
+        if (entryData && isValidDate(date)) {
+            const month = date.slice(0, 7);
+            months[month] = months[month] || {};
+            months[month][date] = JSON.parse(entryData);
+        }
+    }
+
+    for (const [month, days] of Object.entries(months)) {
+        // Anything already written to the month document is newer
+        const doc = await getMonthDocument(env, userId, month);
+        doc.days = { ...days, ...doc.days };
+        await saveMonthDocument(env, userId, month, doc);
+    }
+
+    for (const name of keys) {
+        await storage.delete(name);
+    }
+
+    migratedUsers.add(userId);
+}
+
+// Load entries and day versions for a date range
+async function getEntriesInRange(env, userId, from, to) {
+    return getStorage(env).getEntries(userId, from, to);
+}
+
+// Every YYYY-MM that has entries
+async function listMonths(env, userId) {
+    return getStorage(env).listMonths(userId);
+}
 
-                const doseIdx = doseIndex || 0;
-                if (!entries[medicationId].doses[doseIdx]) {
-                    return errorResponse('Dose entry not found', 404);
+// Load every entry a profile has, for requests without a date range
+async function getAllEntries(env, userId) {
+    return getStorage(env).getEntries(userId);
+}
+
+// Apply a batch of dose updates. Updates are grouped by day and each day is
+// all-or-nothing (see applyBatchToMonth).
+async function applyBatch(env, userId, updates, versions, actor) {
+    const { medications } = await getMedications(env, userId);
+    const { results, byMonth } = groupBatchUpdates(updates, medications);
+
+    const days = {};
+    const history = [];
+    for (const [month, byDate] of byMonth) {
+        const doc = await getMonthDocument(env, userId, month);
+        const applied = applyBatchToMonth(doc, byDate, updates, versions, results);
+        Object.assign(days, applied.days);
+        if (applied.history.length > 0) {
+            await saveMonthDocument(env, userId, month, doc);
+            history.push(...applied.history);
+        }
+    }
+
+    const webhooks = history.length > 0 ? await getWebhooks(env, userId) : [];
+    for (const [date, events] of history) {
+        await recordHistory(env, userId, `entries:${date}`, actor, events, webhooks);
+    }
+
+    return { results, days };
+}
+
+// Yield one export row per recorded dose, oldest first, reading one month
+// document at a time. Within a day, rows follow the medication list order.
+async function* exportRows(env, userId, medications, { from, to, medicationId }) {
+    const months = from ? monthsInRange(from, to) : (await listMonths(env, userId)).sort();
+    const names = new Map(medications.map(med => [med.id, med.name]));
+    const order = new Map(medications.map((med, index) => [med.id, index]));
+
+    for (const month of months) {
+        const doc = await getMonthDocument(env, userId, month);
+        for (const date of Object.keys(doc.days).sort()) {
+            if (from && (date < from || date > to)) continue;
+
+            // Medications that were deleted without archiving sort last
+            const medIds = Object.keys(doc.days[date])
+                .filter(id => !medicationId || id === medicationId)
+                .sort((a, b) => (order.has(a) ? order.get(a) : Infinity) - (order.has(b) ? order.get(b) : Infinity));
+
+            for (const medId of medIds) {
+                const doses = doc.days[date][medId].doses || [];
+                for (const [doseIndex, dose] of doses.entries()) {
+                    if (!dose) continue;
+                    yield {
+                        date,
+                        medicationId: medId,
+                        medication: names.get(medId) || medId,
+                        doseIndex,
+                        status: dose.taken ? 'taken' : 'missed',
+                        timestamp: dose.timestamp || '',
+                        notes: dose.notes || '',
+                    };
                 }
+            }
+        }
+    }
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* csvChunks(rows) {
+    yield EXPORT_COLUMNS.join(',') + '\r\n';
+    for await (const row of rows) {
+        yield EXPORT_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n';
+    }
+}
+
+// Write `{ ...head, [key]: [items] }` one array item at a time
+async function* jsonArrayChunks(head, key, items) {
+    yield JSON.stringify(head).slice(0, -1) + `,${JSON.stringify(key)}:[`;
+    let first = true;
+    for await (const item of items) {
+        yield (first ? '\n' : ',\n') + JSON.stringify(item);
+        first = false;
+    }
+    yield '\n]}\n';
+}
+
+// Deterministic UUID for a name, so re-exporting the same medication or
+// dose gives the same FHIR resource ID
+async function nameToUuid(name) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(name)));
+    hash[6] = (hash[6] & 0x0f) | 0x50;
+    hash[8] = (hash[8] & 0x3f) | 0x80;
+    const hex = Array.from(hash.slice(0, 16), byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// FHIR Timing for a medication's schedule. Timing has no anchor for a
+// period, day of the month or on/off pattern, so an interval's start date,
+// a monthly medication's day and a cycle only appear in the dosage text
+// (with a monthly or daily period). A taper is one Dosage per phase, in
+// sequence, each bounded to its dates. As-needed medications have no Timing.
+function fhirDosage(med) {
+    const timesPerDay = med.timesPerDay || 1;
+    const frequency = med.frequency || 'daily';
+    if (frequency === 'as-needed') {
+        const limits = [];
+        if (med.maxPer24h) limits.push(`at most ${med.maxPer24h} doses in 24 hours`);
+        if (med.minIntervalMinutes) limits.push(`at least ${med.minIntervalMinutes} minutes apart`);
+        return [{
+            text: ['As needed', ...limits].join(', '),
+            asNeededBoolean: true,
+            ...(med.maxPer24h ? {
+                maxDosePerPeriod: {
+                    numerator: { value: med.maxPer24h },
+                    denominator: { value: 24, unit: 'h', system: 'http://unitsofmeasure.org', code: 'h' },
+                },
+            } : {}),
+        }];
+    }
+    if (frequency === 'taper') {
+        return taperPhases(med).map(phase => ({
+            sequence: phase.index + 1,
+            text: `${phase.dose}, ${phase.timesPerDay}x per day from ${phase.start} to ${phase.end}`,
+            timing: {
+                repeat: {
+                    boundsPeriod: { start: phase.start, end: phase.end },
+                    frequency: phase.timesPerDay,
+                    period: 1,
+                    periodUnit: 'd',
+                },
+            },
+        }));
+    }
+    const monthly = frequency === 'monthly' || frequency === 'nth-weekday';
+    const repeat = {
+        frequency: timesPerDay,
+        period: frequency === 'interval' ? med.intervalDays : 1,
+        periodUnit: monthly ? 'mo' : 'd',
+    };
+    let text = `${timesPerDay}x per day`;
+
+    if (frequency === 'interval') {
+        text += `, every ${med.intervalDays} days counting from ${med.intervalStart}`;
+    } else if (frequency === 'weekly') {
+        repeat.dayOfWeek = (med.daysOfWeek || []).map(day => FHIR_DAYS_OF_WEEK[day]);
+        text += `, on ${repeat.dayOfWeek.join(', ')}`;
+    } else if (frequency === 'monthly') {
+        text += `, monthly on day ${med.dayOfMonth}${med.dayOfMonth > 28 ? ' (or the last day of shorter months)' : ''}`;
+    } else if (frequency === 'nth-weekday') {
+        repeat.dayOfWeek = [FHIR_DAYS_OF_WEEK[med.weekday]];
+        text += `, on the ${WEEK_OF_MONTH_NAMES[med.weekOfMonth]} ${WEEKDAY_NAMES[med.weekday]} of each month`;
+    } else if (frequency === 'cycle') {
+        text += `, ${med.cycleDaysOn} days on and ${med.cycleDaysOff} days off, counting from ${med.cycleStart}`;
+    } else {
+        text += ', daily';
+    }
+    if (Array.isArray(med.doseTimes)) {
+        repeat.timeOfDay = med.doseTimes.map(time => `${time}:00`);
+        text += ` at ${med.doseTimes.join(', ')}`;
+    }
+    return [{ text, timing: { repeat } }];
+}
+
+// A course that has ended counts as completed, like an archived medication
+function fhirStatus(med, today) {
+    const lastDate = lastScheduledDate(med);
+    if (med.archived || (lastDate && lastDate < today)) return 'completed';
+    return med.startDate && med.startDate > today ? 'intended' : 'active';
+}
+
+function fhirEffectivePeriod(med) {
+    const period = {};
+    if (med.startDate) period.start = med.startDate;
+    const lastDate = lastScheduledDate(med);
+    if (lastDate) period.end = lastDate;
+    return Object.keys(period).length > 0 ? { effectivePeriod: period } : {};
+}
+
+// FHIR R4 collection Bundle: a Patient for the profile, a MedicationStatement
+// per medication and a MedicationAdministration per recorded dose
+async function* fhirChunks(rows, medications, { userId, profileName, exportedAt, medicationId }) {
+    const patientId = await nameToUuid(`medication-tracker:${userId}`);
+    const patient = { reference: `urn:uuid:${patientId}`, display: profileName };
+
+    async function* resources() {
+        yield {
+            fullUrl: patient.reference,
+            resource: { resourceType: 'Patient', id: patientId, name: [{ text: profileName }] },
+        };
 
-                entries[medicationId].doses[doseIdx].timestamp = timestamp;
-                await env.MEDICATION_KV.put(entryKey, JSON.stringify(entries));
+        for (const med of medications) {
+            if (medicationId && med.id !== medicationId) continue;
+            const id = await nameToUuid(`medication-tracker:${userId}:medication:${med.id}`);
+            yield {
+                fullUrl: `urn:uuid:${id}`,
+                resource: {
+                    resourceType: 'MedicationStatement',
+                    id,
+                    identifier: [{ system: 'urn:medication-tracker:medication', value: med.id }],
+                    status: fhirStatus(med, exportedAt.slice(0, 10)),
+                    medicationCodeableConcept: { text: med.name },
+                    subject: patient,
+                    ...fhirEffectivePeriod(med),
+                    dateAsserted: exportedAt,
+                    dosage: fhirDosage(med),
+                },
+            };
+        }
+
+        for await (const row of rows) {
+            const key = `${row.date}/${row.medicationId}/${row.doseIndex}`;
+            const id = await nameToUuid(`medication-tracker:${userId}:dose:${key}`);
+            const med = medications.find(m => m.id === row.medicationId);
+            yield {
+                fullUrl: `urn:uuid:${id}`,
+                resource: {
+                    resourceType: 'MedicationAdministration',
+                    id,
+                    identifier: [{ system: 'urn:medication-tracker:dose', value: key }],
+                    status: row.status === 'taken' ? 'completed' : 'not-done',
+                    ...(row.status === 'taken' ? {} : { statusReason: [{ text: 'Missed' }] }),
+                    medicationCodeableConcept: { text: row.medication },
+                    subject: patient,
+                    effectiveDateTime: row.timestamp,
+                    ...(row.notes ? { note: [{ text: row.notes }] } : {}),
+                    dosage: {
+                        text: med && med.frequency === 'as-needed'
+                            ? `As-needed dose on ${row.date}`
+                            : `Dose ${row.doseIndex + 1} of ${med ? timesPerDayOn(med, row.date) : row.doseIndex + 1} on ${row.date}`,
+                    },
+                },
+            };
+        }
+    }
 
-                return jsonResponse({ success: true, entry: entries[medicationId] });
+    yield* jsonArrayChunks({ resourceType: 'Bundle', type: 'collection', timestamp: exportedAt }, 'entry', resources());
+}
+
+// Stream an export as it is generated instead of building the whole file in memory
+function exportResponse(chunks, format, filename) {
+    const { readable, writable } = new TransformStream();
+    const writer = writable.getWriter();
+    const encoder = new TextEncoder();
+
+    (async () => {
+        try {
+            for await (const chunk of chunks) {
+                await writer.write(encoder.encode(chunk));
             }
+            await writer.close();
+        } catch (error) {
+            console.error('Export failed:', error);
+            await writer.abort(error);
+        }
+    })();
 
-            // DELETE /api/medication/:id - Delete medication
-            if (path.startsWith('/api/medication/') && request.method === 'DELETE') {
-                const medicationId = path.split('/api/medication/')[1];
+    return new Response(readable, {
+        headers: {
+            'Content-Type': EXPORT_CONTENT_TYPES[format],
+            'Content-Disposition': `attachment; filename="${filename}"`,
+            ...corsHeaders,
+        },
+    });
+}
 
-                if (!medicationId) {
-                    return errorResponse('medicationId is required');
-                }
+// Parse CSV text into rows of cells, handling quoted fields and picking
+// the delimiter (comma, semicolon or tab) that splits the header line most
+function parseCSV(text) {
+    text = text.replace(/^\uFEFF/, '');
+    const headerLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [';', '\t'].reduce(
+        (best, candidate) => headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best,
+        ','
+    );
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Map import fields to CSV columns by recognising common header names
+function detectImportMapping(columns) {
+    const normalized = columns.map(column => column.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    const mapping = {};
+    for (const field of IMPORT_FIELDS) {
+        const index = normalized.findIndex(header => IMPORT_HEADER_ALIASES[field].includes(header));
+        if (index !== -1) {
+            mapping[field] = columns[index];
+        }
+    }
+    return mapping;
+}
+
+function validateImportMapping(mapping, columns) {
+    const errors = [];
+    for (const [field, column] of Object.entries(mapping)) {
+        if (!IMPORT_FIELDS.includes(field)) {
+            errors.push(fieldError(`mapping.${field}`, `is not one of ${IMPORT_FIELDS.join(', ')}`));
+        } else if (column && !columns.includes(column)) {
+            errors.push(fieldError(`mapping.${field}`, `column "${column}" is not in the file`));
+        }
+    }
+    if (!mapping.date) {
+        errors.push(fieldError('mapping.date', 'must name the date column'));
+    }
+    if (!mapping.medication && !mapping.medicationId) {
+        errors.push(fieldError('mapping.medication', 'must name the medication column'));
+    }
+    if (!mapping.taken) {
+        errors.push(fieldError('mapping.taken', 'must name the taken/status column'));
+    }
+    return errors;
+}
+
+// Accepts YYYY-MM-DD, YYYY/MM/DD and US-style M/D/YYYY
+function parseImportDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+    let date = match && `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+    if (!match) {
+        match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+        date = match && `${match[3]}-${match[1].padStart(2, '0')}-${match[2].padStart(2, '0')}`;
+    }
+    return date && isValidDate(date) ? date : null;
+}
+
+function parseTaken(value) {
+    const text = String(value).trim().toLowerCase();
+    if (TAKEN_VALUES.includes(text)) return true;
+    if (MISSED_VALUES.includes(text)) return false;
+    return null;
+}
+
+// Turn an import time into an ISO timestamp. Full date-times are used as is;
+// a bare "8:30" or "8:30 pm" is read as local time on the entry date, using
+// the importing browser's UTC offset in minutes. No time means noon.
+function parseImportTime(value, date, timezoneOffset) {
+    const text = String(value || '').trim();
+    const [year, month, day] = date.split('-').map(Number);
+    const localTime = (hours, minutes) =>
+        new Date(Date.UTC(year, month - 1, day, hours, minutes) + timezoneOffset * 60000).toISOString();
 
-                // Get medications
-                const medicationsKey = `user:${userId}:medications`;
-                const medicationsData = await env.MEDICATION_KV.get(medicationsKey);
-                const medications = medicationsData ? JSON.parse(medicationsData) : [];
+    if (!text) return localTime(12, 0);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(text) && !isNaN(Date.parse(text))) {
+        return new Date(text).toISOString();
+    }
+    const match = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?$/i);
+    if (!match) return null;
+    let hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    const meridiem = match[3] && match[3][0].toLowerCase();
+    if (meridiem === 'p' && hours < 12) hours += 12;
+    if (meridiem === 'a' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return localTime(hours, minutes);
+}
+
+// Read an import body into normalized rows ({ row, date, medicationId,
+// medication, doseIndex, taken, timestamp, notes }) plus per-row errors.
+// CSV rows are numbered by file line, JSON rows by position from 1.
+function readImportRows(body) {
+    const rows = [];
+    const errors = [];
+    const timezoneOffset = Number.isFinite(body.timezoneOffset) ? body.timezoneOffset : 0;
+    const rowError = (row, field, message) => errors.push({ row, field, message });
+
+    const addRow = (row, values) => {
+        const date = parseImportDate(values.date);
+        if (!date) {
+            return rowError(row, 'date', `"${values.date || ''}" is not a date`);
+        }
+        const medication = String(values.medication || '').trim();
+        const medicationId = String(values.medicationId || '').trim();
+        if (!medication && !medicationId) {
+            return rowError(row, 'medication', 'is required');
+        }
+        const doseIndex = values.doseIndex !== undefined && values.doseIndex !== ''
+            ? Number(values.doseIndex)
+            : values.dose !== undefined && values.dose !== '' ? Number(values.dose) - 1 : 0;
+        if (!Number.isInteger(doseIndex) || doseIndex < 0 || doseIndex >= MAX_TIMES_PER_DAY) {
+            return rowError(row, 'dose', `must be a dose number from 1 to ${MAX_TIMES_PER_DAY}`);
+        }
+        const taken = typeof values.taken === 'boolean' ? values.taken : parseTaken(values.taken);
+        if (taken === null) {
+            return rowError(row, 'taken', `"${values.taken}" is not one of ${[...TAKEN_VALUES, ...MISSED_VALUES].join(', ')}`);
+        }
+        const timestamp = parseImportTime(values.time, date, timezoneOffset);
+        const timeErrors = timestamp
+            ? validateTimestamp(timestamp, date, 'time', true)
+            : [fieldError('time', `"${values.time}" is not a time`)];
+        if (timeErrors.length > 0) {
+            return rowError(row, 'time', timeErrors[0].message);
+        }
+        const notes = String(values.notes || '').trim().slice(0, MAX_NOTES_LENGTH);
+        rows.push({ row, date, medicationId, medication, doseIndex, taken, timestamp, notes });
+    };
+
+    if (body.format === 'csv') {
+        const [columns = [], ...lines] = parseCSV(String(body.data || ''));
+        const header = columns.map(column => column.trim());
+        const mapping = body.mapping || detectImportMapping(header);
+        const mappingErrors = validateImportMapping(mapping, header);
+        if (mappingErrors.length > 0) {
+            return { rows, errors, columns: header, mapping, mappingErrors };
+        }
+        lines.forEach((cells, index) => {
+            if (cells.every(cell => cell.trim() === '')) return;
+            const values = {};
+            for (const [field, column] of Object.entries(mapping)) {
+                if (column) values[field] = cells[header.indexOf(column)];
+            }
+            addRow(index + 2, values);
+        });
+        return { rows, errors, columns: header, mapping, mappingErrors: [] };
+    }
 
-                // Remove medication
-                const filtered = medications.filter(m => m.id !== medicationId);
-                await env.MEDICATION_KV.put(medicationsKey, JSON.stringify(filtered));
+    // The app's own JSON export ({ doses: [...] }), or just the doses array
+    let data = body.data;
+    if (typeof data === 'string') {
+        try {
+            data = JSON.parse(data);
+        } catch (error) {
+            return { rows, errors, mappingErrors: [fieldError('data', 'is not valid JSON')] };
+        }
+    }
+    const doses = Array.isArray(data) ? data : data && data.doses;
+    if (!Array.isArray(doses)) {
+        return { rows, errors, mappingErrors: [fieldError('data', 'must be an app export with a doses array')] };
+    }
+    doses.forEach((dose, index) => addRow(index + 1, {
+        ...dose,
+        taken: dose && (dose.taken !== undefined ? dose.taken : dose.status),
+        time: dose && dose.timestamp,
+    }));
+    return { rows, errors, mappingErrors: [] };
+}
 
-                // Optionally clean up entries (or leave them for historical data)
-                // For now, we'll leave entries to preserve history
+// Resolve each row to a medication: by ID, then by name (ignoring case),
+// otherwise a new daily medication named after the row
+function matchImportMedications(rows, medications, errors) {
+    const byId = new Map(medications.map(med => [med.id, med]));
+    const byName = new Map(medications.map(med => [med.name.trim().toLowerCase(), med]));
+    const matched = new Set();
+    const created = new Map();
+    const resolved = [];
 
-                return jsonResponse({ success: true });
+    for (const row of rows) {
+        let med = byId.get(row.medicationId) || byName.get(row.medication.toLowerCase());
+        if (med) {
+            const timesPerDay = doseSlotsOn(med, row.date);
+            if (row.doseIndex >= timesPerDay) {
+                errors.push({ row: row.row, field: 'dose', message: `${med.name} is only taken ${timesPerDay}x per day` });
+                continue;
             }
+            matched.add(med);
+        } else {
+            const name = (row.medication || row.medicationId).slice(0, MAX_MEDICATION_NAME_LENGTH);
+            med = created.get(name.toLowerCase());
+            if (!med) {
+                med = { id: `imported-${randomId(6)}`, name, timesPerDay: 1, frequency: 'daily', color: '#ffc107' };
+                created.set(name.toLowerCase(), med);
+            }
+            med.timesPerDay = Math.max(med.timesPerDay, row.doseIndex + 1);
+            // Due from the first imported dose
+            if (!med.startDate || row.date < med.startDate) med.startDate = row.date;
+        }
+        resolved.push({ ...row, medicationId: med.id });
+    }
 
-            // DELETE /api/entry - Delete medication entry (clear status)
-            if (path === '/api/entry' && request.method === 'DELETE') {
-                const body = await request.json();
-                const { date, medicationId, doseIndex } = body;
+    return { rows: resolved, matched: [...matched], created: [...created.values()] };
+}
 
-                if (!date || !medicationId || doseIndex === undefined) {
-                    return errorResponse('date, medicationId, and doseIndex are required');
-                }
+// Work out what importing `rows` would do with the given merge strategy and,
+// unless `dryRun`, write it. Later rows for the same dose win. The dates of
+// the days saved so far are added to `written`, so a caller can tell how far
+// an import that failed partway got.
+async function applyImport(env, userId, rows, strategy, dryRun, actor, written = []) {
+    const doses = new Map();
+    for (const row of rows) {
+        doses.set(`${row.date}|${row.medicationId}|${row.doseIndex}`, row);
+    }
 
-                const entryKey = `user:${userId}:entries:${date}`;
-                const existingData = await env.MEDICATION_KV.get(entryKey);
-                
-                if (!existingData) {
-                    return jsonResponse({ success: true }); // Already deleted
-                }
+    const summary = { added: 0, changed: 0, unchanged: 0, conflicts: 0, skipped: 0 };
+    const byMonth = new Map();
+    let webhooks = null;
+    for (const row of doses.values()) {
+        const month = row.date.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(row);
+    }
 
-                const entries = JSON.parse(existingData);
-                if (!entries[medicationId] || !entries[medicationId].doses) {
-                    return jsonResponse({ success: true }); // Already deleted
-                }
+    for (const [month, monthRows] of byMonth) {
+        const doc = await getMonthDocument(env, userId, month);
+        const events = new Map();
 
-                // Remove the specific dose
-                entries[medicationId].doses[doseIndex] = null;
+        for (const row of monthRows) {
+            const entries = doc.days[row.date] || {};
+            const existing = doseAt(entries, row.medicationId, row.doseIndex);
+            const dose = { taken: row.taken, timestamp: row.timestamp, ...(row.notes ? { notes: row.notes } : {}) };
 
-                // Clean up if all doses are null
-                const hasAnyDoses = entries[medicationId].doses.some(d => d !== null);
-                if (!hasAnyDoses) {
-                    delete entries[medicationId];
+            if (existing) {
+                if (existing.taken === dose.taken && existing.timestamp === dose.timestamp &&
+                    (existing.notes || '') === (dose.notes || '')) {
+                    summary.unchanged++;
+                    continue;
                 }
-
-                // If no medications left for this day, delete the entry
-                if (Object.keys(entries).length === 0) {
-                    await env.MEDICATION_KV.delete(entryKey);
-                } else {
-                    await env.MEDICATION_KV.put(entryKey, JSON.stringify(entries));
+                summary.conflicts++;
+                const replace = strategy === 'overwrite' ||
+                    (strategy === 'newer' && Date.parse(dose.timestamp) > Date.parse(existing.timestamp));
+                if (!replace) {
+                    summary.skipped++;
+                    continue;
                 }
+                summary.changed++;
+            } else {
+                summary.added++;
+            }
+
+            if (dryRun) continue;
+            setDose(entries, row.medicationId, row.doseIndex, dose.taken, dose.timestamp);
+            if (dose.notes) {
+                entries[row.medicationId].doses[row.doseIndex].notes = dose.notes;
+            }
+            doc.days[row.date] = entries;
+            if (!events.has(row.date)) events.set(row.date, []);
+            events.get(row.date).push({
+                action: 'set',
+                source: 'import',
+                date: row.date,
+                medicationId: row.medicationId,
+                doseIndex: row.doseIndex,
+                previous: existing,
+                value: doseAt(entries, row.medicationId, row.doseIndex),
+            });
+        }
 
-                return jsonResponse({ success: true });
+        if (events.size > 0) {
+            for (const date of events.keys()) {
+                doc.versions[date] = (doc.versions[date] || 0) + 1;
             }
+            await saveMonthDocument(env, userId, month, doc);
+            written.push(...events.keys());
+            webhooks = webhooks || await getWebhooks(env, userId);
+            for (const [date, dayEvents] of events) {
+                await recordHistory(env, userId, `entries:${date}`, actor,
+                    dayEvents.map(event => ({ ...event, version: doc.versions[date] })), webhooks);
+            }
+        }
+    }
 
-            // 404 for unknown routes
-            return errorResponse('Not found', 404);
-        } catch (error) {
-            console.error('Worker error:', error);
-            return errorResponse('Internal server error', 500);
+    return summary;
+}
+
+// Read a profile's calendar token, creating it (or replacing it when
+// `regenerate` is set, which breaks existing subscriptions) as needed
+async function getCalendarToken(env, userId, regenerate = false) {
+    const key = `user:${userId}:calendar-token`;
+    const existing = await getStorage(env).get(key);
+    if (existing && !regenerate) return existing;
+
+    if (existing) {
+        await getStorage(env).delete(`${CALENDAR_TOKEN_PREFIX}:${existing}`);
+    }
+    const token = randomId(24);
+    await getStorage(env).put(`${CALENDAR_TOKEN_PREFIX}:${token}`, userId);
+    await getStorage(env).put(key, token);
+    return token;
+}
+
+// Escape TEXT values and fold lines at 75 octets (RFC 5545 section 3.1)
+function icsText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function foldIcsLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = encoder.encode(char).length;
+        if (size + length > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            size = 0;
         }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+// One recurring VEVENT per medication dose (per taper phase, or per on day of
+// a cycle, where one rule can't describe the schedule). Times are
+// "floating" (no time zone) so they show at the same clock time wherever the
+// calendar is. The feed is built on every request, so it always reflects the
+// current medication list.
+function buildCalendar(medications, { calendarName, userId, alarmMinutes }) {
+    const now = new Date();
+    const dtstamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const from = addDays(now.toISOString().slice(0, 10), -CALENDAR_LOOKBACK_DAYS);
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Medication Tracker//Dose Schedule//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${icsText(calendarName)}`,
+        'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+        'X-PUBLISHED-TTL:PT1H',
+    ];
+
+    // One event per dose of a series of days that share a rule and dose times
+    const addDoseEvents = (med, { start, rule, times, uid, label }) => {
+        times.forEach((time, doseIndex) => {
+            const dose = times.length > 1 ? ` (dose ${doseIndex + 1} of ${times.length})` : '';
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${uid}-${doseIndex}@medication-tracker`,
+                `DTSTAMP:${dtstamp}`,
+                `DTSTART:${start.replace(/-/g, '')}T${time.replace(':', '')}00`,
+                `DURATION:PT${DOSE_EVENT_MINUTES}M`,
+                `RRULE:${rule}`,
+                `SUMMARY:${icsText(`💊 ${med.name}${label}${dose}`)}`,
+                'TRANSP:TRANSPARENT'
+            );
+            if (alarmMinutes !== null) {
+                lines.push(
+                    'BEGIN:VALARM',
+                    'ACTION:DISPLAY',
+                    `DESCRIPTION:${icsText(`Time to take ${med.name}${label}`)}`,
+                    `TRIGGER:-PT${alarmMinutes}M`,
+                    'END:VALARM'
+                );
+            }
+            lines.push('END:VEVENT');
+        });
+    };
+
+    for (const med of medications) {
+        if (med.frequency === 'as-needed') continue;
+        const lastDate = lastScheduledDate(med);
+
+        // Each taper phase is its own daily series, since the number of doses
+        // and the dose change from one phase to the next
+        if (med.frequency === 'taper') {
+            taperPhases(med).forEach(phase => {
+                const end = lastDate && lastDate < phase.end ? lastDate : phase.end;
+                const start = phase.start > from ? phase.start : from;
+                if (start > end) return;
+                addDoseEvents(med, {
+                    start,
+                    rule: `FREQ=DAILY;UNTIL=${end.replace(/-/g, '')}T235959`,
+                    times: getDoseTimes(med, phase.start),
+                    uid: `${userId}-${med.id}-phase${phase.index}`,
+                    label: ` ${phase.dose}`,
+                });
+            });
+            continue;
+        }
+
+        // A cycle is one series per day of its on stretch, each repeating
+        // once per cycle
+        if (med.frequency === 'cycle') {
+            const first = med.startDate && med.startDate > from ? med.startDate : from;
+            const length = med.cycleDaysOn + med.cycleDaysOff;
+            const offset = ((daysBetween(med.cycleStart, first) % length) + length) % length;
+            const until = lastDate ? `;UNTIL=${lastDate.replace(/-/g, '')}T235959` : '';
+            for (let day = 0; day < med.cycleDaysOn; day++) {
+                const start = addDays(first, (day - offset + length) % length);
+                if (lastDate && start > lastDate) continue;
+                addDoseEvents(med, {
+                    start,
+                    rule: `FREQ=DAILY;INTERVAL=${length}${until}`,
+                    times: getDoseTimes(med, start),
+                    uid: `${userId}-${med.id}-day${day}`,
+                    label: '',
+                });
+            }
+            continue;
+        }
+
+        // DTSTART must itself be an occurrence of the RRULE
+        let start = med.startDate && med.startDate > from ? med.startDate : from;
+        for (let i = 0; i < MAX_INTERVAL_DAYS && !isScheduledOn(med, start); i++) {
+            start = addDays(start, 1);
+        }
+        if (!isScheduledOn(med, start)) continue;
+
+        let rule;
+        switch (med.frequency || 'daily') {
+            case 'interval':
+                rule = `FREQ=DAILY;INTERVAL=${med.intervalDays}`;
+                break;
+            case 'weekly':
+                rule = `FREQ=WEEKLY;BYDAY=${med.daysOfWeek.map(day => ICS_DAYS[day]).join(',')}`;
+                break;
+            case 'monthly':
+                // From day 29 on, the last of the days up to dayOfMonth that
+                // the month has, so shorter months fall on their last day
+                rule = med.dayOfMonth > 28
+                    ? `FREQ=MONTHLY;BYMONTHDAY=${Array.from({ length: med.dayOfMonth - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`
+                    : `FREQ=MONTHLY;BYMONTHDAY=${med.dayOfMonth}`;
+                break;
+            case 'nth-weekday':
+                rule = `FREQ=MONTHLY;BYDAY=${med.weekOfMonth}${ICS_DAYS[med.weekday]}`;
+                break;
+            default:
+                rule = 'FREQ=DAILY';
+        }
+        if (lastDate) {
+            rule += `;UNTIL=${lastDate.replace(/-/g, '')}T235959`;
+        }
+
+        addDoseEvents(med, { start, rule, times: getDoseTimes(med, start), uid: `${userId}-${med.id}`, label: '' });
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+// GET /api/calendar.ics?token=&alarm= - The dose schedule as an iCalendar
+// feed. Calendar apps can't send headers, so the URL token is the credential.
+async function handleCalendarFeed({ env, url }) {
+    const token = url.searchParams.get('token');
+    const alarm = url.searchParams.get('alarm');
+    const alarmMinutes = alarm === null || alarm === '' ? null : Number(alarm);
+
+    if (alarmMinutes !== null &&
+        !(Number.isInteger(alarmMinutes) && alarmMinutes >= 0 && alarmMinutes <= MAX_ALARM_MINUTES)) {
+        return errorResponse(`alarm must be a whole number of minutes from 0 to ${MAX_ALARM_MINUTES}`);
+    }
+
+    const userId = token && await getStorage(env).get(`${CALENDAR_TOKEN_PREFIX}:${token}`);
+    if (!userId) {
+        return errorResponse('Calendar not found', 404, 'calendar_not_found');
+    }
+    const profile = (await getProfiles(env)).find(p => p.id === userId);
+    if (!profile) {
+        return errorResponse('Calendar not found', 404, 'calendar_not_found');
+    }
+
+    const { medications } = await getMedications(env, userId);
+    const calendar = buildCalendar(medications, {
+        calendarName: `${profile.name}'s medications`,
+        userId,
+        alarmMinutes,
+    });
+
+    return new Response(calendar, {
+        headers: {
+            'Content-Type': 'text/calendar; charset=utf-8',
+            'Content-Disposition': `inline; filename="${userId}-medications.ics"`,
+            'Cache-Control': 'no-cache',
+            ...corsHeaders,
+        },
+    });
+}
+
+// Adherence statistics (see adherenceStats) from the month summaries, so no
+// entry documents are read
+async function computeStats(env, userId, medications, options) {
+    const summary = {};
+    for (const month of monthsInRange(options.from, options.to)) {
+        Object.assign(summary, await getMonthSummary(env, userId, month));
+    }
+    return adherenceStats(medications, summary, options);
+}
+
+// Remove every recorded dose of a medication, bumping the version of each day
+// that changed. Returns the number of days touched.
+async function purgeMedicationEntries(env, userId, medicationId) {
+    let touched = 0;
+    for (const month of await listMonths(env, userId)) {
+        const doc = await getMonthDocument(env, userId, month);
+        const days = purgeMedication(doc, medicationId);
+        if (days > 0) {
+            await saveMonthDocument(env, userId, month, doc);
+            touched += days;
+        }
+    }
+    return touched;
+}
+
+// Who made a change: the profile, a short session ID (one per login, so one
+// per device) and the device's user agent
+function getActor(request, session) {
+    return {
+        userId: session.userId,
+        session: session.sessionId.slice(0, 8),
+        device: (request.headers.get('User-Agent') || '').slice(0, MAX_DEVICE_LENGTH),
+    };
+}
+
+// Append events to a profile's history. `scope` is `entries:<date>` or
+// `medications`; keys sort by time, then by position within the request.
+// Every change passes through here, so this is also where webhooks are queued.
+// Callers recording several days in one request pass the profile's
+// `webhooks`, read once, instead of having the list read again for each day.
+async function recordHistory(env, userId, scope, actor, events, webhooks = null) {
+    const at = new Date().toISOString();
+    const requestId = randomId(6);
+    await getStorage(env).addHistory(userId, scope, events.map((event, index) => ({
+        id: `${at}:${requestId}:${String(index).padStart(3, '0')}`,
+        event: { at, ...actor, ...event },
+    })));
+    await queueWebhookEvents(env, userId, events, webhooks || await getWebhooks(env, userId));
+}
+
+// A page of history events for a scope, oldest first: the `limit` most
+// recent before `cursor` (an event ID) that match `filter`. `cursor` in the
+// result fetches the page before this one, or is null at the start.
+async function getHistory(env, userId, scope, { cursor, limit, filter }) {
+    const { events, next } = await getStorage(env).history(userId, scope, { before: cursor, limit, filter });
+    return { history: events.map(({ event }) => event).reverse(), cursor: next };
+}
+
+async function getWebhooks(env, userId) {
+    const stored = await getStorage(env).get(`user:${userId}:webhooks`);
+    return stored ? JSON.parse(stored) : [];
+}
+
+async function saveWebhooks(env, userId, webhooks) {
+    await getStorage(env).put(`user:${userId}:webhooks`, JSON.stringify(webhooks));
+}
+
+// Webhooks are listed without their signing secret, which is only shown once
+function publicWebhook(webhook) {
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+function validateWebhook(body) {
+    const errors = [];
+    if (typeof body.url !== 'string' || body.url.length > MAX_WEBHOOK_URL_LENGTH) {
+        errors.push(fieldError('url', `must be a URL of at most ${MAX_WEBHOOK_URL_LENGTH} characters`));
+    } else {
+        let url = null;
+        try {
+            url = new URL(body.url);
+        } catch (error) {
+            errors.push(fieldError('url', 'must be a valid URL'));
+        }
+        // Plain http is only allowed for local testing
+        const local = url && (url.hostname === 'localhost' || url.hostname === '127.0.0.1');
+        if (url && url.protocol !== 'https:' && !(url.protocol === 'http:' && local)) {
+            errors.push(fieldError('url', 'must start with https://'));
+        }
+    }
+    if (body.events !== undefined) {
+        if (!Array.isArray(body.events) || body.events.length === 0) {
+            errors.push(fieldError('events', 'must be a non-empty list'));
+        } else {
+            body.events.forEach((event, index) => {
+                if (!WEBHOOK_EVENTS.includes(event)) {
+                    errors.push(fieldError(`events[${index}]`, `must be one of ${WEBHOOK_EVENTS.join(', ')}`));
+                }
+            });
+        }
+    }
+    return errors;
+}
+
+// Epoch milliseconds of a wall-clock date and time in a time zone
+function zonedTime(date, time, timeZone) {
+    const guess = Date.parse(`${date}T${time}:00Z`);
+    const local = localDateTime(new Date(guess), timeZone);
+    const [hours, minutes] = time.split(':').map(Number);
+    const drift = (Date.parse(`${local.date}T00:00:00Z`) - Date.parse(`${date}T00:00:00Z`)) / 60000 +
+        local.minutes - (hours * 60 + minutes);
+    return guess - drift * 60000;
+}
+
+// Turn history events into webhook events. A dose is missed when it is newly
+// marked not taken (by a person or the scheduled handler) and late when it is
+// marked taken after the missed-dose grace period. Imports never notify.
+async function webhookEvents(env, userId, events) {
+    const results = [];
+    let medications = null;
+    let timeZone = null;
+
+    for (const event of events) {
+        if (event.source === 'import') continue;
+
+        if (event.action === 'medication-added' || event.action === 'medication-removed') {
+            const med = event.value || event.previous;
+            results.push({
+                event: event.action === 'medication-added' ? 'medication.added' : 'medication.removed',
+                data: { medicationId: med.id, medication: med.name },
+            });
+            continue;
+        }
+
+        if (event.action !== 'set' || !event.value) continue;
+        const { value, previous } = event;
+        if (previous && previous.taken === value.taken) continue;
+
+        if (!medications) {
+            medications = (await getMedications(env, userId)).medications;
+            const profile = (await getProfiles(env)).find(p => p.id === userId);
+            timeZone = (profile && profile.timezone) || 'UTC';
+        }
+        // As-needed doses are never missed or late
+        const med = medications.find(m => m.id === event.medicationId);
+        if (!med || med.frequency === 'as-needed') continue;
+
+        const doseTime = getDoseTimes(med, event.date)[event.doseIndex];
+        const data = {
+            date: event.date,
+            medicationId: med.id,
+            medication: med.name,
+            doseIndex: event.doseIndex,
+            doseTime: doseTime || null,
+            taken: value.taken,
+            timestamp: value.timestamp,
+        };
+
+        if (!value.taken) {
+            results.push({ event: 'dose.missed', data: { ...data, autoMissed: Boolean(value.autoMissed) } });
+        } else if (doseTime) {
+            const minutesLate = Math.floor((Date.parse(value.timestamp) - zonedTime(event.date, doseTime, timeZone)) / 60000);
+            if (minutesLate > getMissedGraceMinutes(env)) {
+                results.push({ event: 'dose.late', data: { ...data, minutesLate } });
+            }
+        }
+    }
+    return results;
+}
+
+// Queue one delivery per subscribed webhook for each event
+async function queueWebhookEvents(env, userId, events, webhooks) {
+    if (webhooks.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    for (const { event, data } of await webhookEvents(env, userId, events)) {
+        for (const webhook of webhooks.filter(w => w.events.includes(event))) {
+            await queueWebhookDelivery(env, userId, webhook, event, data, createdAt);
+        }
+    }
+}
+
+// Returns the queue key and the delivery
+async function queueWebhookDelivery(env, userId, webhook, event, data, createdAt) {
+    const delivery = {
+        id: randomId(12),
+        webhookId: webhook.id,
+        event,
+        payload: { event, createdAt, profileId: userId, data },
+        attempts: 0,
+        nextAttemptAt: createdAt,
+    };
+    delivery.payload.id = delivery.id;
+    const key = `user:${userId}:webhook-queue:${createdAt}:${delivery.id}`;
+    await getStorage(env).put(key, JSON.stringify(delivery));
+    return { key, delivery };
+}
+
+// POST a delivery, signed with the webhook's secret. The signature is the
+// base64url HMAC-SHA256 of `<timestamp>.<body>`.
+async function sendWebhook(webhook, delivery) {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = await hmacSign(`${timestamp}.${body}`, webhook.secret);
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MedicationTracker-Webhooks/1.0',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': `sha256=${signature}`,
+            },
+            body,
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+        });
+        return { ok: response.ok, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+    } catch (error) {
+        return { ok: false, status: null, error: error.name === 'TimeoutError' ? 'Timed out' : error.message };
+    }
+}
+
+// Attempt a queued delivery, logging the result and scheduling a retry (or
+// dropping it from the queue once it succeeds or runs out of attempts)
+async function attemptWebhookDelivery(env, userId, key, delivery, webhook, now) {
+    const result = await sendWebhook(webhook, delivery);
+    delivery.attempts++;
+    const retryMinutes = WEBHOOK_RETRY_MINUTES[delivery.attempts - 1];
+    const nextAttemptAt = !result.ok && retryMinutes !== undefined
+        ? new Date(now.getTime() + retryMinutes * 60000).toISOString()
+        : null;
+
+    const entry = {
+        deliveryId: delivery.id,
+        webhookId: webhook.id,
+        url: webhook.url,
+        event: delivery.event,
+        attempt: delivery.attempts,
+        at: new Date().toISOString(),
+        ok: result.ok,
+        status: result.status,
+        error: result.error,
+        nextAttemptAt,
+    };
+    const log = await getWebhookLog(env, userId);
+    log.unshift(entry);
+    await getStorage(env).put(`user:${userId}:webhook-log`, JSON.stringify(log.slice(0, MAX_WEBHOOK_LOG)));
+
+    if (nextAttemptAt) {
+        await getStorage(env).put(key, JSON.stringify({ ...delivery, nextAttemptAt }));
+    } else {
+        await getStorage(env).delete(key);
+    }
+    return entry;
+}
+
+// Most recent delivery attempts first
+async function getWebhookLog(env, userId) {
+    const stored = await getStorage(env).get(`user:${userId}:webhook-log`);
+    return stored ? JSON.parse(stored) : [];
+}
+
+// Send every queued delivery that is due. Deliveries for deleted webhooks are dropped.
+async function deliverWebhooks(env, userId, now) {
+    const keys = await getStorage(env).list(`user:${userId}:webhook-queue:`);
+    if (keys.length === 0) return 0;
+
+    // Deliveries queued earlier in this same run are stamped slightly after `now`
+    const dueBy = Math.max(now.getTime(), Date.now());
+    const webhooks = await getWebhooks(env, userId);
+    let sent = 0;
+    for (const key of keys) {
+        const stored = await getStorage(env).get(key);
+        if (!stored) continue;
+        const delivery = JSON.parse(stored);
+        if (Date.parse(delivery.nextAttemptAt) > dueBy) continue;
+
+        const webhook = webhooks.find(w => w.id === delivery.webhookId);
+        if (!webhook) {
+            await getStorage(env).delete(key);
+            continue;
+        }
+        await attemptWebhookDelivery(env, userId, key, delivery, webhook, now);
+        sent++;
+    }
+    return sent;
+}
+
+// GET /api/webhooks - List webhooks (without secrets)
+async function handleListWebhooks({ env, userId }) {
+    const webhooks = await getWebhooks(env, userId);
+    return jsonResponse({ webhooks: webhooks.map(publicWebhook), events: WEBHOOK_EVENTS });
+}
+
+// POST /api/webhooks - { url, events? } Subscribe a URL (default: every event).
+// The response is the only time the signing secret is returned.
+async function handleCreateWebhook({ body, env, userId }) {
+    const errors = validateWebhook(body);
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+
+    const webhooks = await getWebhooks(env, userId);
+    if (webhooks.length >= MAX_WEBHOOKS) {
+        return errorResponse(`A profile can have at most ${MAX_WEBHOOKS} webhooks`, 400, 'limit_reached');
+    }
+    const webhook = {
+        id: randomId(9),
+        url: body.url,
+        events: body.events ? [...new Set(body.events)] : [...WEBHOOK_EVENTS],
+        secret: randomId(24),
+        createdAt: new Date().toISOString(),
+    };
+    webhooks.push(webhook);
+    await saveWebhooks(env, userId, webhooks);
+
+    return jsonResponse({ success: true, webhook }, 201);
+}
+
+// GET /api/webhooks/deliveries - Recent delivery attempts, newest first
+async function handleListWebhookDeliveries({ env, userId }) {
+    return jsonResponse({ deliveries: await getWebhookLog(env, userId) });
+}
+
+// POST /api/webhooks/:id/test - Send a test event now (failures are retried like any other)
+async function handleTestWebhook({ env, params, userId }) {
+    const webhooks = await getWebhooks(env, userId);
+    const webhook = webhooks.find(w => w.id === params.id);
+    if (!webhook) {
+        return errorResponse('Webhook not found', 404, 'webhook_not_found');
+    }
+
+    const now = new Date();
+    const { key, delivery } = await queueWebhookDelivery(env, userId, webhook, 'webhook.test',
+        { message: 'Test delivery from Medication Tracker' }, now.toISOString());
+    const result = await attemptWebhookDelivery(env, userId, key, delivery, webhook, now);
+    return jsonResponse({ success: result.ok, delivery: result });
+}
+
+// DELETE /api/webhooks/:id - Unsubscribe; queued deliveries are dropped
+async function handleDeleteWebhook({ env, params, userId }) {
+    const webhooks = await getWebhooks(env, userId);
+    const webhook = webhooks.find(w => w.id === params.id);
+    if (!webhook) {
+        return errorResponse('Webhook not found', 404, 'webhook_not_found');
+    }
+
+    await saveWebhooks(env, userId, webhooks.filter(w => w.id !== webhook.id));
+    return jsonResponse({ success: true });
+}
+
+async function getShares(env, userId) {
+    const stored = await getStorage(env).get(`user:${userId}:shares`);
+    return stored ? JSON.parse(stored) : [];
+}
+
+// Look up a share token, returning { userId, id, scope, expiresAt } or null
+// if it doesn't exist, was revoked or has expired
+async function authenticateShare(env, token) {
+    const stored = await getStorage(env).get(`${SHARE_TOKEN_PREFIX}:${token}`);
+    if (!stored) return null;
+    const share = JSON.parse(stored);
+    return Date.parse(share.expiresAt) > Date.now() ? share : null;
+}
+
+function validateShare(body) {
+    const errors = [];
+    if (body.label !== undefined &&
+        (typeof body.label !== 'string' || body.label.trim().length > MAX_SHARE_LABEL_LENGTH)) {
+        errors.push(fieldError('label', `must be at most ${MAX_SHARE_LABEL_LENGTH} characters`));
+    }
+    if (body.scope !== undefined && !SHARE_SCOPES.includes(body.scope)) {
+        errors.push(fieldError('scope', `must be one of ${SHARE_SCOPES.join(', ')}`));
+    }
+    if (body.expiresInDays !== undefined &&
+        !(Number.isInteger(body.expiresInDays) && body.expiresInDays >= 1 && body.expiresInDays <= MAX_SHARE_DAYS)) {
+        errors.push(fieldError('expiresInDays', `must be a whole number from 1 to ${MAX_SHARE_DAYS}`));
+    }
+    return errors;
+}
+
+// Expired links are dropped from the list whenever it is read
+async function getActiveShares(env, userId) {
+    const now = Date.now();
+    return (await getShares(env, userId)).filter(share => Date.parse(share.expiresAt) > now);
+}
+
+// GET /api/shares - List the profile's active share links
+async function handleListShares({ env, userId }) {
+    const shares = await getActiveShares(env, userId);
+    return jsonResponse({ shares });
+}
+
+// POST /api/shares - { label?, scope?: calendar|analytics, expiresInDays? } Create a link
+async function handleCreateShare({ body, env, userId }) {
+    const errors = validateShare(body);
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+    const shares = await getActiveShares(env, userId);
+    if (shares.length >= MAX_SHARES) {
+        return errorResponse(`A profile can have at most ${MAX_SHARES} share links`, 400, 'limit_reached');
+    }
+
+    const now = Date.now();
+    const days = body.expiresInDays || DEFAULT_SHARE_DAYS;
+    const share = {
+        id: randomId(9),
+        token: randomId(24),
+        label: (body.label || '').trim(),
+        scope: body.scope || 'calendar',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + days * DAY_MS).toISOString(),
+    };
+    await getStorage(env).put(`${SHARE_TOKEN_PREFIX}:${share.token}`, JSON.stringify({
+        userId,
+        id: share.id,
+        scope: share.scope,
+        expiresAt: share.expiresAt,
+    }), { expirationTtl: days * 24 * 60 * 60 });
+    shares.push(share);
+    await getStorage(env).put(`user:${userId}:shares`, JSON.stringify(shares));
+
+    return jsonResponse({ success: true, share }, 201);
+}
+
+// DELETE /api/shares/:id - Revoke a link straight away
+async function handleRevokeShare({ env, params, userId }) {
+    const shares = await getActiveShares(env, userId);
+    const share = shares.find(s => s.id === params.id);
+    if (!share) {
+        return errorResponse('Share link not found', 404, 'share_not_found');
+    }
+    await getStorage(env).delete(`${SHARE_TOKEN_PREFIX}:${share.token}`);
+    await getStorage(env).put(`user:${userId}:shares`, JSON.stringify(shares.filter(s => s.id !== params.id)));
+
+    return jsonResponse({ success: true });
+}
+
+// Load the profile list. The first time this runs on an existing deployment
+// there is no list yet, so adopt every profile that already has data in KV.
+async function getProfiles(env) {
+    const stored = await getStorage(env).getProfiles();
+    if (stored) {
+        return stored;
+    }
+
+    const userIds = new Set();
+    for (const key of await getStorage(env).list('user:')) {
+        userIds.add(key.split(':')[1]);
+    }
+
+    const createdAt = new Date().toISOString();
+    const profiles = [...userIds]
+        .filter(id => USER_ID_PATTERN.test(id))
+        .sort()
+        .map(id => ({
+            id,
+            name: id.charAt(0).toUpperCase() + id.slice(1),
+            color: DEFAULT_PROFILE_COLOR,
+            createdAt,
+        }));
+
+    await saveProfiles(env, profiles);
+    return profiles;
+}
+
+async function saveProfiles(env, profiles) {
+    await getStorage(env).saveProfiles(profiles);
+}
+
+// Remove every user:<id>:* key (medications, entries, credentials, sessions)
+async function deleteUserData(env, userId) {
+    const calendarToken = await getStorage(env).get(`user:${userId}:calendar-token`);
+    if (calendarToken) {
+        await getStorage(env).delete(`${CALENDAR_TOKEN_PREFIX}:${calendarToken}`);
+    }
+    for (const share of await getShares(env, userId)) {
+        await getStorage(env).delete(`${SHARE_TOKEN_PREFIX}:${share.token}`);
+    }
+
+    await getStorage(env).deleteUser(userId);
+}
+
+// GET /api/profiles - List profiles. Public, so the login screen can show who
+// to log in as.
+async function handleListProfiles({ env }) {
+    return jsonResponse({ profiles: await getProfiles(env) });
+}
+
+// POST /api/profiles - Create a profile with its passcode, returning a
+// session for it. The first profile can be created without a session. The
+// passcode is saved before the profile is listed, so there is never a listed
+// profile without one for somebody else to claim through /auth/setup.
+async function handleCreateProfile({ body, env, session }) {
+    const profiles = await getProfiles(env);
+    if (!session && profiles.length > 0) {
+        return errorResponse('Unauthorized', 401);
+    }
+
+    const error = validateProfileFields({ name: body.name, color: body.color });
+    if (error) return errorResponse(error);
+    if (body.name === undefined) return errorResponse('name is required');
+    if (typeof body.passcode !== 'string' || body.passcode.length < MIN_PASSCODE_LENGTH) {
+        return errorResponse(`passcode must be at least ${MIN_PASSCODE_LENGTH} characters`);
+    }
+
+    const name = body.name.trim();
+    const profile = {
+        id: profileIdFromName(name, profiles),
+        name,
+        color: body.color || DEFAULT_PROFILE_COLOR,
+        createdAt: new Date().toISOString(),
+    };
+    await saveCredentials(env, profile.id, body.passcode);
+    profiles.push(profile);
+    await saveProfiles(env, profiles);
+
+    return jsonResponse({ success: true, profile, session: await createSession(env, profile.id) }, 201);
+}
+
+// Only a profile's own session may change or delete it
+async function getOwnProfile({ env, params, session }) {
+    if (session.userId !== params.id) {
+        return { error: errorResponse('You can only change your own profile', 403) };
+    }
+
+    const profiles = await getProfiles(env);
+    const profile = profiles.find(p => p.id === params.id);
+    if (!profile) {
+        return { error: errorResponse('Profile not found', 404, 'profile_not_found') };
+    }
+    return { profiles, profile };
+}
+
+// PUT /api/profiles/:id - Rename a profile or change its avatar color or time zone
+async function handleUpdateProfile(context) {
+    const { body, env } = context;
+    const { profiles, profile, error: accessError } = await getOwnProfile(context);
+    if (accessError) return accessError;
+
+    const error = validateProfileFields({ name: body.name, color: body.color, timezone: body.timezone });
+    if (error) return errorResponse(error);
+
+    if (body.name !== undefined) profile.name = body.name.trim();
+    if (body.color !== undefined) profile.color = body.color;
+    if (body.timezone !== undefined) profile.timezone = body.timezone;
+    await saveProfiles(env, profiles);
+
+    return jsonResponse({ success: true, profile });
+}
+
+// DELETE /api/profiles/:id - Delete a profile and all of its data
+async function handleDeleteProfile(context) {
+    const { env } = context;
+    const { profiles, profile, error } = await getOwnProfile(context);
+    if (error) return error;
+
+    await deleteUserData(env, profile.id);
+    await saveProfiles(env, profiles.filter(p => p.id !== profile.id));
+
+    return jsonResponse({ success: true });
+}
+
+async function saveCredentials(env, userId, passcode) {
+    const salt = randomId();
+    await getStorage(env).put(`user:${userId}:credentials`, JSON.stringify({
+        salt,
+        iterations: PASSCODE_ITERATIONS,
+        hash: await hashPasscode(passcode, salt),
+        updatedAt: new Date().toISOString(),
+    }));
+}
+
+// Whether any profile has a passcode yet
+async function hasAnyPasscode(env, profiles) {
+    for (const profile of profiles) {
+        if (await getStorage(env).get(`user:${profile.id}:credentials`)) return true;
+    }
+    return false;
+}
+
+// POST /api/auth/setup - Set the first passcode for a profile without one.
+// Profiles created through POST /api/profiles always have one, so these are
+// profiles adopted from data saved before passcodes existed. Until one
+// profile has a passcode anyone may set them; after that it takes a session
+// for another profile, so nobody can claim a profile that isn't theirs.
+async function handleAuthSetup({ body, env, session }) {
+    const { userId, passcode, error } = readCredentials(body);
+    if (error) return errorResponse(error);
+
+    const profiles = await getProfiles(env);
+    if (!profiles.some(p => p.id === userId)) {
+        return errorResponse('Profile not found', 404, 'profile_not_found');
+    }
+
+    if (await getStorage(env).get(`user:${userId}:credentials`)) {
+        return errorResponse('Passcode already set for this profile', 409, 'passcode_already_set');
+    }
+    if (!session && await hasAnyPasscode(env, profiles)) {
+        return errorResponse('Log in to another profile first to set a passcode for this one', 401);
+    }
+
+    await saveCredentials(env, userId, passcode);
+    return jsonResponse(await createSession(env, userId), 201);
+}
+
+// POST /api/auth/login - Exchange a profile passcode for a session token
+async function handleAuthLogin({ body, env }) {
+    const { userId, passcode, error } = readCredentials(body);
+    if (error) return errorResponse(error);
+
+    const credentialsData = await getStorage(env).get(`user:${userId}:credentials`);
+    if (!credentialsData) {
+        return jsonResponse({ error: 'Passcode not set for this profile', code: 'setup_required', setupRequired: true }, 403);
+    }
+
+    const failuresKey = `user:${userId}:login-failures`;
+    const failures = parseInt(await getStorage(env).get(failuresKey)) || 0;
+    if (failures >= MAX_LOGIN_FAILURES) {
+        return errorResponse('Too many failed attempts. Try again later.', 429);
+    }
+
+    const credentials = JSON.parse(credentialsData);
+    const hash = await hashPasscode(passcode, credentials.salt, credentials.iterations);
+    if (!timingSafeEqual(hash, credentials.hash)) {
+        await getStorage(env).put(failuresKey, String(failures + 1), {
+            expirationTtl: LOGIN_LOCKOUT_SECONDS,
+        });
+        return errorResponse('Incorrect passcode', 401, 'incorrect_passcode');
+    }
+
+    if (failures > 0) {
+        await getStorage(env).delete(failuresKey);
+    }
+
+    return jsonResponse(await createSession(env, userId));
+}
+
+// POST /api/auth/logout - Revoke the current session
+async function handleAuthLogout({ request, env }) {
+    const session = await authenticate(request, env);
+    if (session) {
+        await getStorage(env).delete(`user:${session.userId}:sessions:${session.sessionId}`);
+    }
+    return jsonResponse({ success: true });
+}
+
+// GET /api/auth/session - Check the current session
+async function handleAuthSession({ request, env }) {
+    const session = await authenticate(request, env);
+    if (!session) {
+        return errorResponse('Unauthorized', 401);
+    }
+    return jsonResponse({ userId: session.userId, expiresAt: session.expiresAt });
+}
+
+function getMissedGraceMinutes(env) {
+    const minutes = Number(env.MISSED_DOSE_GRACE_MINUTES);
+    if (env.MISSED_DOSE_GRACE_MINUTES === undefined || !Number.isInteger(minutes) ||
+        minutes < 0 || minutes > MAX_MISSED_GRACE_MINUTES) {
+        return DEFAULT_MISSED_GRACE_MINUTES;
+    }
+    return minutes;
+}
+
+// The local date and minutes past midnight at an instant in a time zone
+function localDateTime(instant, timeZone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+    });
+    for (const { type, value } of format.formatToParts(instant)) {
+        parts[type] = value;
+    }
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    };
+}
+
+// Mark a profile's overdue doses from yesterday and today (in the profile's
+// time zone) as missed. Auto-missed doses carry `autoMissed: true` until
+// someone records the dose themselves. Returns the number of doses marked.
+async function markOverdueDoses(env, userId, medications, local, graceMinutes, now) {
+    const actor = { userId, session: 'system', device: 'scheduled' };
+    const timestamp = now.toISOString();
+    const days = [[addDays(local.date, -1), -24 * 60], [local.date, 0]];
+    let marked = 0;
+    let webhooks = null;
+
+    for (const [date, offset] of days) {
+        const month = date.slice(0, 7);
+        const doc = await getMonthDocument(env, userId, month);
+        const entries = doc.days[date] || {};
+        const events = [];
+
+        for (const med of medications) {
+            if (!isScheduledOn(med, date)) continue;
+            getDoseTimes(med, date).forEach((time, doseIndex) => {
+                const [hours, minutes] = time.split(':').map(Number);
+                if (offset + hours * 60 + minutes + graceMinutes > local.minutes) return;
+                if (doseAt(entries, med.id, doseIndex)) return;
+
+                setDose(entries, med.id, doseIndex, false, timestamp);
+                entries[med.id].doses[doseIndex].autoMissed = true;
+                events.push({
+                    action: 'set',
+                    date,
+                    medicationId: med.id,
+                    doseIndex,
+                    previous: null,
+                    value: doseAt(entries, med.id, doseIndex),
+                    source: 'system',
+                });
+            });
+        }
+
+        if (events.length === 0) continue;
+        const version = (doc.versions[date] || 0) + 1;
+        doc.days[date] = entries;
+        doc.versions[date] = version;
+        await saveMonthDocument(env, userId, month, doc);
+        webhooks = webhooks || await getWebhooks(env, userId);
+        await recordHistory(env, userId, `entries:${date}`, actor, events.map(event => ({ ...event, version })), webhooks);
+        marked += events.length;
+    }
+    return marked;
+}
+
+// Once a day is over and every dose on it is past the grace period, keep a
+// snapshot of its statistics. Summaries are stored one document per month
+// under user:<id>:daily-summaries:<YYYY-MM>, keyed by date.
+async function writeDailySummary(env, userId, medications, local, graceMinutes) {
+    if (local.minutes < graceMinutes) return false;
+
+    const date = addDays(local.date, -1);
+    const key = `user:${userId}:${DAILY_SUMMARY_PREFIX}:${date.slice(0, 7)}`;
+    const stored = await getStorage(env).get(key);
+    const summaries = stored ? JSON.parse(stored) : {};
+    if (summaries[date]) return false;
+
+    const stats = await computeStats(env, userId, medications, {
+        from: date,
+        to: date,
+        today: local.date,
+        groupBy: 'medication',
+    });
+    summaries[date] = {
+        date,
+        generatedAt: new Date().toISOString(),
+        totals: stats.totals,
+        medications: stats.groups,
+    };
+    await getStorage(env).put(key, JSON.stringify(summaries));
+    return true;
+}
+
+// Cron entry point: process every profile, carrying on past any that fail
+async function runScheduledTasks(env, now) {
+    const graceMinutes = getMissedGraceMinutes(env);
+    let marked = 0;
+    let summaries = 0;
+    let delivered = 0;
+
+    for (const profile of await getProfiles(env)) {
+        try {
+            const { medications } = await getMedications(env, profile.id);
+            if (medications.length > 0) {
+                const local = localDateTime(now, profile.timezone || 'UTC');
+                marked += await markOverdueDoses(env, profile.id, medications, local, graceMinutes, now);
+                if (await writeDailySummary(env, profile.id, medications, local, graceMinutes)) {
+                    summaries++;
+                }
+            }
+            delivered += await deliverWebhooks(env, profile.id, now);
+        } catch (error) {
+            console.error(`Scheduled processing failed for ${profile.id}:`, error);
+        }
+    }
+
+    // KV expires sessions, lockouts and share links by itself; D1 needs a sweep
+    const purged = await getStorage(env).purgeExpired();
+
+    console.log(`Scheduled run: ${marked} doses marked missed, ${summaries} daily summaries written, ` +
+        `${delivered} webhook deliveries attempted, ${purged} expired records removed`);
+    return { marked, summaries, delivered, purged };
+}
+
+// Route handlers. Each takes the request context built by the fetch handler:
+// { request, env, url, params, session, share, userId, actor }
+
+// GET /api/data - Retrieve medications and entries, optionally for ?from=&to=
+async function handleGetData({ env, url, userId }) {
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+
+    if ((from || to) && !(isValidDate(from) && isValidDate(to))) {
+        return errorResponse('from and to must both be dates in YYYY-MM-DD format');
+    }
+    if (from && from > to) {
+        return errorResponse('from must not be after to');
+    }
+
+    const { medications, version } = await getMedications(env, userId);
+
+    const { entries, versions } = from
+        ? await getEntriesInRange(env, userId, from, to)
+        : await getAllEntries(env, userId);
+
+    return jsonResponse({
+        medications,
+        entries,
+        versions: {
+            medications: version,
+            entries: versions,
+        },
+        ...(from ? { range: { from, to } } : {}),
+    });
+}
+
+// POST /api/medications - Save medication list (If-Match: medications version)
+async function handleSaveMedications({ request, body, env, userId, actor }) {
+    const { medications } = body;
+
+    const errors = validateMedicationList(medications);
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+
+    // Storage has no compare-and-swap, so this check narrows the race
+    // between two devices to the few milliseconds of this request
+    const current = await getMedications(env, userId);
+    const expected = getExpectedVersion(request);
+    if (expected !== null && expected !== current.version) {
+        return conflictResponse(current);
+    }
+
+    // Older clients may still send 'every-other-day'
+    const today = await profileToday(env, userId);
+    const saved = withStartDates(current.medications, withoutEveryOtherDay(medications, today), today);
+    const version = current.version + 1;
+    await saveMedications(env, userId, saved, version);
+    await recordHistory(env, userId, 'medications', actor,
+        diffMedications(current.medications, saved).map(event => ({ ...event, version })));
+
+    return jsonResponse({ success: true, medications: saved, version }, 200, etag(version));
+}
+
+// Write one dose of a day (If-Match: day version) with applyDoseWrite and
+// record it in the day's history. Validation is up to the caller.
+async function writeEntry({ request, env, userId, actor }, update) {
+    const month = update.date.slice(0, 7);
+    const doc = await getMonthDocument(env, userId, month);
+    const written = applyDoseWrite(doc, update, getExpectedVersion(request));
+    if (written.conflict) {
+        return conflictResponse({ version: written.version, entries: written.entries });
+    }
+    if (written.error) {
+        return errorResponse(written.error, 404, written.code);
+    }
+    if (!written.event) {
+        return jsonResponse({ success: true, entries: written.entries, version: written.version }, 200, etag(written.version));
+    }
+
+    await saveMonthDocument(env, userId, month, doc);
+    await recordHistory(env, userId, `entries:${update.date}`, actor, [written.event]);
+
+    const { entries, version } = written;
+    return jsonResponse({ success: true, entry: entries[update.medicationId], entries, version }, 200, etag(version));
+}
+
+// POST /api/entry - Save medication entry (If-Match: day version)
+async function handleSetEntry(context) {
+    const { body, env, userId } = context;
+    const { medications } = await getMedications(env, userId);
+    const errors = validateDoseUpdate(body, medications, 'set');
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+    return writeEntry(context, { ...body, action: 'set' });
+}
+
+// PUT /api/entry - Update entry timestamp (If-Match: day version)
+async function handleUpdateEntryTimestamp(context) {
+    const { body, env, userId } = context;
+    const { medications } = await getMedications(env, userId);
+    const errors = validateDoseUpdate(body, medications, 'timestamp');
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+    return writeEntry(context, { ...body, action: 'timestamp' });
+}
+
+// Clear one recorded dose (If-Match: day version). Clearing a dose that isn't
+// recorded succeeds without changing anything.
+async function clearEntry(context, dose) {
+    const errors = validateDoseUpdate(dose, [], 'clear');
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+    return writeEntry(context, { ...dose, action: 'clear' });
+}
+
+// DELETE /api/entries/:date/:medicationId/:doseIndex - Clear a dose (If-Match: day version)
+async function handleClearEntry(context) {
+    const { date, medicationId, doseIndex } = context.params;
+    return clearEntry(context, { date, medicationId, doseIndex: Number(doseIndex) });
+}
+
+// DELETE /api/entry - { date, medicationId, doseIndex } The same, with a JSON body.
+// Kept for older clients; some proxies drop DELETE bodies.
+async function handleClearEntryLegacy(context) {
+    return clearEntry(context, context.body);
+}
+
+// POST /api/medication/:id/archive - Stop scheduling a medication after { stopDate }.
+//   The client sends its own local date; without one it's today in the
+//   profile's timezone.
+// POST /api/medication/:id/restore - Put an archived medication back on the schedule
+async function updateArchived({ body, env, params, userId, actor }, archive) {
+    const medicationId = params.id;
+    const stopDate = archive ? (body.stopDate || await profileToday(env, userId)) : null;
+
+    if (archive && !isValidDate(stopDate)) {
+        return validationResponse([fieldError('stopDate', 'must be a valid date in YYYY-MM-DD format')]);
+    }
+
+    // Like delete, this changes one medication by ID, so it
+    // doesn't need If-Match
+    const current = await getMedications(env, userId);
+    if (!current.medications.some(m => m.id === medicationId)) {
+        return errorResponse('Medication not found', 404, 'medication_not_found');
+    }
+    const medications = withArchived(current.medications, medicationId, stopDate);
+    const saved = withStartDates(current.medications, medications, await profileToday(env, userId));
+    const version = current.version + 1;
+    await saveMedications(env, userId, saved, version);
+    await recordHistory(env, userId, 'medications', actor,
+        diffMedications(current.medications, saved).map(event => ({ ...event, version })));
+
+    return jsonResponse({ success: true, medications: saved, version }, 200, etag(version));
+}
+
+async function handleArchiveMedication(context) {
+    return updateArchived(context, true);
+}
+
+async function handleRestoreMedication(context) {
+    return updateArchived(context, false);
+}
+
+// DELETE /api/medication/:id - Permanently delete a medication and its recorded doses
+async function handleDeleteMedication({ env, params, userId, actor }) {
+    const medicationId = params.id;
+
+    // Removing by ID applies cleanly to whatever the current list
+    // is, so this route doesn't need If-Match
+    const current = await getMedications(env, userId);
+    if (!current.medications.some(m => m.id === medicationId)) {
+        return errorResponse('Medication not found', 404, 'medication_not_found');
+    }
+    const filtered = current.medications.filter(m => m.id !== medicationId);
+    const version = current.version + 1;
+    await saveMedications(env, userId, filtered, version);
+    await recordHistory(env, userId, 'medications', actor,
+        diffMedications(current.medications, filtered).map(event => ({ ...event, version })));
+
+    // Archiving is the way to keep a medication's history, so a
+    // delete also removes its doses instead of leaving them orphaned
+    const purgedDays = await purgeMedicationEntries(env, userId, medicationId);
+
+    return jsonResponse({ success: true, medications: filtered, version, purgedDays }, 200, etag(version));
+}
+
+// POST /api/entries/batch - Apply many dose updates, atomically per day
+async function handleEntryBatch({ body, env, userId, actor }) {
+    const { updates, versions = {} } = body;
+
+    const errors = validateBatch(body);
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+
+    const { results, days } = await applyBatch(env, userId, updates, versions, actor);
+
+    return jsonResponse({
+        success: results.every(result => result.ok),
+        results,
+        days,
+    });
+}
+
+// GET /api/export?format=csv|json|fhir&from=&to=&medicationId= - Download recorded doses
+async function handleExport({ env, url, userId }) {
+    const format = url.searchParams.get('format') || 'csv';
+    const from = url.searchParams.get('from');
+    const to = url.searchParams.get('to');
+    const medicationId = url.searchParams.get('medicationId');
+
+    if (!EXPORT_FORMATS.includes(format)) {
+        return errorResponse(`format must be one of ${EXPORT_FORMATS.join(', ')}`);
+    }
+    if ((from || to) && !(isValidDate(from) && isValidDate(to))) {
+        return errorResponse('from and to must both be dates in YYYY-MM-DD format');
+    }
+    if (from && from > to) {
+        return errorResponse('from must not be after to');
+    }
+
+    const { medications } = await getMedications(env, userId);
+    const exportedAt = new Date().toISOString();
+    const filename = `${userId}-medications-${from ? `${from}-to-${to}` : `all-${exportedAt.slice(0, 10)}`}.${EXPORT_EXTENSIONS[format]}`;
+    const rows = exportRows(env, userId, medications, { from, to, medicationId });
+
+    let chunks;
+    if (format === 'csv') {
+        chunks = csvChunks(rows);
+    } else if (format === 'json') {
+        chunks = jsonArrayChunks({
+            profile: userId,
+            from: from || null,
+            to: to || null,
+            medicationId: medicationId || null,
+            exportedAt,
+        }, 'doses', rows);
+    } else {
+        const profile = (await getProfiles(env)).find(p => p.id === userId);
+        chunks = fhirChunks(rows, medications, {
+            userId,
+            profileName: profile ? profile.name : userId,
+            exportedAt,
+            medicationId,
+        });
+    }
+
+    return exportResponse(chunks, format, filename);
+}
+
+// POST /api/import - Import doses from CSV or the app's JSON export.
+// With dryRun: true, only reports what would be added, changed or skipped.
+async function handleImport({ body, env, userId, actor }) {
+    const { format, strategy = 'skip', dryRun = false } = body;
+
+    const errors = [];
+    if (!IMPORT_FORMATS.includes(format)) {
+        errors.push(fieldError('format', `must be one of ${IMPORT_FORMATS.join(', ')}`));
+    }
+    if (!IMPORT_STRATEGIES.includes(strategy)) {
+        errors.push(fieldError('strategy', `must be one of ${IMPORT_STRATEGIES.join(', ')}`));
+    }
+    if (body.mapping !== undefined && (!body.mapping || typeof body.mapping !== 'object')) {
+        errors.push(fieldError('mapping', 'must be an object of { field: column }'));
+    }
+    if (errors.length > 0) {
+        return validationResponse(errors);
+    }
+
+    const parsed = readImportRows(body);
+    // A preview still answers with the columns so the mapping can be fixed
+    if (parsed.mappingErrors.length > 0 && !dryRun) {
+        return validationResponse(parsed.mappingErrors);
+    }
+    const rowCount = parsed.rows.length + parsed.errors.length;
+    if (rowCount > MAX_IMPORT_ROWS) {
+        return validationResponse([fieldError('data', `must contain at most ${MAX_IMPORT_ROWS} rows`)]);
+    }
+
+    const current = await getMedications(env, userId);
+    const { rows, matched, created } = matchImportMedications(parsed.rows, current.medications, parsed.errors);
+
+    let medicationsVersion = current.version;
+    if (!dryRun && created.length > 0) {
+        const medications = [...current.medications, ...created];
+        medicationsVersion = current.version + 1;
+        await saveMedications(env, userId, medications, medicationsVersion);
+        await recordHistory(env, userId, 'medications', actor,
+            diffMedications(current.medications, medications)
+                .map(event => ({ ...event, source: 'import', version: medicationsVersion })));
+    }
+
+    // The new medications are saved first so the doses have something to
+    // belong to. If writing the doses fails partway, say what was saved:
+    // importing the same data again with the `skip` strategy matches those
+    // medications by name, leaves the saved doses alone and adds the rest.
+    const written = [];
+    let summary;
+    try {
+        summary = await applyImport(env, userId, rows, strategy, dryRun, actor, written);
+    } catch (error) {
+        console.error('Import failed partway:', error);
+        return jsonResponse({
+            error: 'The import stopped partway through. Import the same data again to add the rest.',
+            code: 'import_incomplete',
+            written: {
+                medications: dryRun ? [] : created.map(med => med.name),
+                dates: written.sort(),
+            },
+            medicationsVersion,
+        }, 500);
+    }
+    parsed.errors.sort((a, b) => a.row - b.row);
+
+    return jsonResponse({
+        success: true,
+        dryRun: Boolean(dryRun),
+        format,
+        strategy,
+        ...(parsed.columns ? { columns: parsed.columns, mapping: parsed.mapping } : {}),
+        mappingErrors: parsed.mappingErrors,
+        summary: {
+            rows: rowCount,
+            valid: rows.length,
+            invalid: parsed.errors.length,
+            ...summary,
+        },
+        medications: {
+            matched: matched.map(med => med.name),
+            created: created.map(med => med.name),
+        },
+        errors: parsed.errors.slice(0, MAX_IMPORT_ERRORS),
+        medicationsVersion,
+    });
+}
+
+// GET /api/stats?from=&to=&today=&groupBy=day|week|month|medication&medicationId= -
+// Adherence counts for a date range (default: the last 30 days). `today` is the
+// client's local date, which splits unrecorded doses from pending ones.
+async function handleGetStats({ env, url, userId }) {
+    const query = readStatsQuery(url.searchParams, await profileToday(env, userId));
+    if (query.error) {
+        return errorResponse(query.error);
+    }
+    const { from, to, today, groupBy } = query;
+
+    const { medications } = await getMedications(env, userId);
+    const stats = await computeStats(env, userId, medications, query);
+
+    return jsonResponse({ range: { from, to }, today, groupBy: groupBy || null, ...stats });
+}
+
+// GET /api/share - Who and what a share link shows (share links only)
+async function handleGetShare({ env, share, userId }) {
+    if (!share) {
+        return errorResponse('Not found', 404);
+    }
+    const profile = (await getProfiles(env)).find(p => p.id === userId);
+    if (!profile) {
+        return errorResponse('This share link has expired or been revoked', 401, 'share_expired');
+    }
+    return jsonResponse({
+        profile: { id: profile.id, name: profile.name, color: profile.color },
+        scope: share.scope,
+        expiresAt: share.expiresAt,
+    });
+}
+
+// GET /api/daily-summaries?from=&to= - Daily summaries written by the scheduled
+// handler (default: the last 30 days)
+async function handleGetDailySummaries({ env, url, userId }) {
+    let from = url.searchParams.get('from');
+    let to = url.searchParams.get('to');
+    if ((from || to) && !(isValidDate(from) && isValidDate(to))) {
+        return errorResponse('from and to must both be dates in YYYY-MM-DD format');
+    }
+    if (!from) {
+        to = await profileToday(env, userId);
+        from = addDays(to, -(DEFAULT_STATS_DAYS - 1));
+    }
+    if (from > to) {
+        return errorResponse('from must not be after to');
+    }
+    if (Date.parse(to) - Date.parse(from) >= MAX_STATS_DAYS * DAY_MS) {
+        return errorResponse(`The range must be at most ${MAX_STATS_DAYS} days`);
+    }
+
+    const summaries = [];
+    for (const month of monthsInRange(from, to)) {
+        const stored = await getStorage(env).get(`user:${userId}:${DAILY_SUMMARY_PREFIX}:${month}`);
+        if (!stored) continue;
+        const days = JSON.parse(stored);
+        for (const date of Object.keys(days).sort()) {
+            if (date >= from && date <= to) summaries.push(days[date]);
+        }
+    }
+
+    return jsonResponse({ summaries });
+}
+
+// GET /api/calendar/token - The profile's calendar feed token
+async function handleGetCalendarToken({ env, userId }) {
+    return jsonResponse({ token: await getCalendarToken(env, userId) });
+}
+
+// POST /api/calendar/token - Replace it, cutting off old subscriptions
+async function handleResetCalendarToken({ env, userId }) {
+    return jsonResponse({ token: await getCalendarToken(env, userId, true) });
+}
+
+// GET /api/history?date=&medicationId=&doseIndex=&limit=&cursor= - Change
+// history. With a date: dose changes on that day. Without: medication list
+// changes. Pass the returned `cursor` to get the page of older events.
+async function handleGetHistory({ env, url, userId }) {
+    const date = url.searchParams.get('date');
+    const medicationId = url.searchParams.get('medicationId');
+    const doseIndexParam = url.searchParams.get('doseIndex');
+    const doseIndex = doseIndexParam === null ? null : Number(doseIndexParam);
+    const limitParam = url.searchParams.get('limit');
+    const limit = limitParam === null ? DEFAULT_HISTORY_EVENTS : Number(limitParam);
+
+    if (date !== null && !isValidDate(date)) {
+        return errorResponse('date must be in YYYY-MM-DD format');
+    }
+    if (doseIndex !== null && !(Number.isInteger(doseIndex) && doseIndex >= 0)) {
+        return errorResponse('doseIndex must be a whole number of at least 0');
+    }
+    if (!(Number.isInteger(limit) && limit >= 1 && limit <= MAX_HISTORY_EVENTS)) {
+        return errorResponse(`limit must be a whole number from 1 to ${MAX_HISTORY_EVENTS}`);
+    }
+
+    return jsonResponse(await getHistory(env, userId, date ? `entries:${date}` : 'medications', {
+        cursor: url.searchParams.get('cursor'),
+        limit,
+        filter: { medicationId: medicationId || null, doseIndex },
+    }));
+}
+
+// API routes. Every path is served under /api/v1 and, for older clients, under
+// /api. `:name` segments are passed to the handler in `params`, and the JSON
+// body of anything but a GET in `body`.
+//   auth: 'session' (the default) needs a session or share link, 'optional'
+//         runs with or without a session, 'none' skips authentication
+//   share: the lowest share link scope that may GET the route
+const ROUTES = [
+    { method: 'POST', path: '/auth/setup', auth: 'optional', handler: handleAuthSetup },
+    { method: 'POST', path: '/auth/login', auth: 'none', handler: handleAuthLogin },
+    { method: 'POST', path: '/auth/logout', auth: 'none', handler: handleAuthLogout },
+    { method: 'GET', path: '/auth/session', auth: 'none', handler: handleAuthSession },
+    { method: 'GET', path: '/calendar.ics', auth: 'none', handler: handleCalendarFeed },
+    { method: 'GET', path: '/profiles', auth: 'none', handler: handleListProfiles },
+    { method: 'POST', path: '/profiles', auth: 'optional', handler: handleCreateProfile },
+    { method: 'PUT', path: '/profiles/:id', handler: handleUpdateProfile },
+    { method: 'DELETE', path: '/profiles/:id', handler: handleDeleteProfile },
+    { method: 'GET', path: '/share', share: 'calendar', handler: handleGetShare },
+    { method: 'GET', path: '/data', share: 'calendar', handler: handleGetData },
+    { method: 'POST', path: '/medications', handler: handleSaveMedications },
+    { method: 'POST', path: '/medication/:id/archive', handler: handleArchiveMedication },
+    { method: 'POST', path: '/medication/:id/restore', handler: handleRestoreMedication },
+    { method: 'DELETE', path: '/medication/:id', handler: handleDeleteMedication },
+    { method: 'POST', path: '/entry', handler: handleSetEntry },
+    { method: 'PUT', path: '/entry', handler: handleUpdateEntryTimestamp },
+    { method: 'DELETE', path: '/entry', handler: handleClearEntryLegacy },
+    { method: 'DELETE', path: '/entries/:date/:medicationId/:doseIndex', handler: handleClearEntry },
+    { method: 'POST', path: '/entries/batch', handler: handleEntryBatch },
+    { method: 'GET', path: '/export', handler: handleExport },
+    { method: 'POST', path: '/import', handler: handleImport },
+    { method: 'GET', path: '/stats', share: 'analytics', handler: handleGetStats },
+    { method: 'GET', path: '/daily-summaries', share: 'analytics', handler: handleGetDailySummaries },
+    { method: 'GET', path: '/history', handler: handleGetHistory },
+    { method: 'GET', path: '/calendar/token', handler: handleGetCalendarToken },
+    { method: 'POST', path: '/calendar/token', handler: handleResetCalendarToken },
+    { method: 'GET', path: '/shares', handler: handleListShares },
+    { method: 'POST', path: '/shares', handler: handleCreateShare },
+    { method: 'DELETE', path: '/shares/:id', handler: handleRevokeShare },
+    { method: 'GET', path: '/webhooks', handler: handleListWebhooks },
+    { method: 'POST', path: '/webhooks', handler: handleCreateWebhook },
+    { method: 'GET', path: '/webhooks/deliveries', handler: handleListWebhookDeliveries },
+    { method: 'POST', path: '/webhooks/:id/test', handler: handleTestWebhook },
+    { method: 'DELETE', path: '/webhooks/:id', handler: handleDeleteWebhook },
+].map(route => {
+    const params = [];
+    const pattern = route.path
+        .replace(/\./g, '\\.')
+        .replace(/:(\w+)/g, (match, name) => {
+            params.push(name);
+            return '([^/]+)';
+        });
+    return { auth: 'session', ...route, params, pattern: new RegExp(`^${pattern}$`) };
+});
+
+// Find the route for a request. Returns { route, params }, { allowed } when
+// the path exists but not for this method, or null for an unknown path.
+function matchRoute(method, pathname) {
+    const prefix = API_PREFIXES.find(p => pathname.startsWith(`${p}/`));
+    if (!prefix) return null;
+    const path = pathname.slice(prefix.length);
+
+    const allowed = [];
+    for (const route of ROUTES) {
+        const match = path.match(route.pattern);
+        if (!match) continue;
+        if (route.method !== method) {
+            allowed.push(route.method);
+            continue;
+        }
+
+        const params = {};
+        try {
+            route.params.forEach((name, i) => {
+                params[name] = decodeURIComponent(match[i + 1]);
+            });
+        } catch (error) {
+            return null;
+        }
+        return { route, params };
+    }
+    return allowed.length > 0 ? { allowed } : null;
+}
+
+// Work out who a request is for, filling in context.session or context.share,
+// context.userId and context.actor. Returns an error response if the request
+// may not use the route.
+async function authorizeRequest(context, route) {
+    const { request, env } = context;
+
+    // Share links stand in for a session on a few read-only routes
+    const shareToken = request.headers.get('X-Share-Token');
+    if (shareToken) {
+        const share = await authenticateShare(env, shareToken);
+        if (!share) {
+            return errorResponse('This share link has expired or been revoked', 401, 'share_expired');
+        }
+        if (request.method !== 'GET') {
+            return errorResponse('Share links are read-only', 403, 'share_read_only');
+        }
+        if (!route.share || SHARE_SCOPES.indexOf(share.scope) < SHARE_SCOPES.indexOf(route.share)) {
+            return errorResponse('This share link does not include that data', 403, 'share_scope');
+        }
+        context.share = share;
+        context.userId = share.userId;
+    } else {
+        context.session = await authenticate(request, env);
+        if (!context.session) {
+            return route.auth === 'optional' ? null : errorResponse('Unauthorized', 401);
+        }
+        context.userId = context.session.userId;
+        context.actor = getActor(request, context.session);
+    }
+
+    await migrateDayEntries(env, context.userId);
+    return null;
+}
+
+// Parse a request's body, which must be a JSON object. An empty body is
+// treated as {} so routes that take no body (logout, restore) need none.
+async function readJsonBody(request) {
+    const text = await request.text();
+    if (!text.trim()) {
+        return { body: {} };
+    }
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        return { error: 'Request body must be valid JSON' };
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return { error: 'Request body must be a JSON object' };
+    }
+    return { body };
+}
+
+// Main request handler
+export default {
+    async fetch(request, env) {
+        // Handle CORS preflight
+        const corsResponse = handleCORS(request);
+        if (corsResponse) return corsResponse;
+
+        const url = new URL(request.url);
+
+        try {
+            if (!env.SESSION_SECRET) {
+                console.error('SESSION_SECRET is not configured');
+                return errorResponse('Server authentication is not configured', 500, 'server_not_configured');
+            }
+
+            const match = matchRoute(request.method, url.pathname);
+            if (!match) {
+                return errorResponse('Not found', 404);
+            }
+            if (match.allowed) {
+                return errorResponse(`${request.method} is not allowed here`, 405, undefined, {
+                    'Allow': [...new Set([...match.allowed, 'OPTIONS'])].join(', '),
+                });
+            }
+
+            const { route, params } = match;
+            const context = { request, env, url, params, body: null, session: null, share: null, userId: null, actor: null };
+            if (route.auth !== 'none') {
+                const denied = await authorizeRequest(context, route);
+                if (denied) return denied;
+            }
+            if (BODY_METHODS.includes(request.method)) {
+                const { body, error } = await readJsonBody(request);
+                if (error) return errorResponse(error, 400, 'bad_request');
+                context.body = body;
+            }
+
+            return await route.handler(context);
+        } catch (error) {
+            console.error('Worker error:', error);
+            return errorResponse('Internal server error', 500);
+        }
+    },
+
+    // Cron trigger (see wrangler.toml). Run locally with `wrangler dev --test-scheduled`
+    // and visit /__scheduled to fire it.
+    async scheduled(controller, env, ctx) {
+        ctx.waitUntil(runScheduledTasks(env, new Date(controller.scheduledTime)));
     },
 };